@@ -2,11 +2,19 @@ import { displayNotification } from "/core/utils/commons.mjs";
 
 import ConfigManager from "/core/helpers/config-manager.mjs";
 
+import ConfigHistory from "/core/helpers/config-history.mjs";
+
 import Gesture from "/core/models/gesture.mjs";
 
 import Command from "/core/models/command.mjs";
 
-import { getClosestGestureByPattern } from "/core/utils/matching-algorithms.mjs";
+import SiteRule from "/core/models/site-rule.mjs";
+
+import GestureIndex from "/core/utils/gesture-index.mjs";
+
+import { isAmbiguousMatch } from "/core/utils/matching-algorithms.mjs";
+
+import TabSwitcher from "/core/helpers/tab-switcher.mjs";
 
 import "/core/helpers/message-router.mjs";
 
@@ -18,9 +26,31 @@ const Config = new ConfigManager("local", browser.runtime.getURL("resources/json
       Config.loaded.then(updateVariablesOnConfigChange);
       Config.addEventListener("change", updateVariablesOnConfigChange);
 
+// record a snapshot of the config on every change so previous states can be restored
+const History = new ConfigHistory(Config);
+      History.autoRecord = true;
+      // store the initial state so the first change can be reverted
+      History.record();
+
 const MouseGestures = new Set();
 
-let RockerGestureLeft, RockerGestureRight, WheelGestureUp, WheelGestureDown;
+// pre-computed matching data of the mouse gestures, rebuilt on every config change
+let MouseGestureIndex = new GestureIndex();
+
+// site rules in the order of their priority, each with the pre-computed matching data of its gestures
+let SiteRules = [];
+
+let RockerGestureLeft, RockerGestureRight, WheelGestureUp, WheelGestureDown, WheelGestureLeft, WheelGestureRight, LongPressGesture, DoubleClickGesture;
+
+// commands of the additional wheel bindings, each an object mapping the wheel directions to their command (or null)
+// bindings whose commands cannot be created are null, so the indices still match the bindings of the content script
+let WheelBindings = [];
+
+// commands that are performed via the tab switcher on wheel gestures, mapped to their tab offset
+const TAB_SWITCHER_COMMANDS = {
+  FocusRightTab: 1,
+  FocusLeftTab: -1
+};
 
 
 /**
@@ -31,31 +61,61 @@ function updateVariablesOnConfigChange () {
   for (const gesture of Config.get("Gestures")) {
     MouseGestures.add(new Gesture(gesture));
   }
+  MouseGestureIndex = new GestureIndex(MouseGestures);
+
+  SiteRules = Config.get("SiteRules").map(rule => {
+    const siteRule = new SiteRule(rule);
+    return { rule: siteRule, gestureIndex: new GestureIndex(siteRule.getGestures()) };
+  });
 
   RockerGestureLeft = new Command(Config.get("Settings.Rocker.leftMouseClick"));
   RockerGestureRight = new Command(Config.get("Settings.Rocker.rightMouseClick"));
   WheelGestureUp = new Command(Config.get("Settings.Wheel.wheelUp"));
   WheelGestureDown = new Command(Config.get("Settings.Wheel.wheelDown"));
+  WheelGestureLeft = new Command(Config.get("Settings.Wheel.wheelLeft"));
+  WheelGestureRight = new Command(Config.get("Settings.Wheel.wheelRight"));
+  LongPressGesture = new Command(Config.get("Settings.LongPress.command"));
+  DoubleClickGesture = new Command(Config.get("Settings.DoubleClick.command"));
+
+  WheelBindings = Config.get("Settings.Wheel.bindings").map(binding => {
+    const wheelBinding = {};
+    try {
+      for (const direction of ["wheelUp", "wheelDown", "wheelLeft", "wheelRight"]) {
+        wheelBinding[direction] = binding[direction] ? new Command(binding[direction]) : null;
+      }
+    }
+    catch (error) {
+      console.warn("Gesturefy skipped a wheel binding with an invalid command.", error);
+      return null;
+    }
+    return wheelBinding;
+  });
   }
 
 
 /**
  * Message handler - listens for the content tab script messages
  * mouse gesture:
- * on gesture pattern change, respond gesture name
  * on gesture end, execute command
  * special gesture: execute related command
+ * tab url: respond with the url of the sender tab (required by embedded frames)
  **/
 browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // message subject to handler mapping
   const messageHandler = {
-    "gestureChange":          handleMouseGestureCommandResponse,
     "gestureEnd":             handleMouseGestureCommandExecution,
 
     "rockerLeft":             handleSpecialGestureCommandExecution,
     "rockerRight":            handleSpecialGestureCommandExecution,
     "wheelUp":                handleSpecialGestureCommandExecution,
-    "wheelDown":              handleSpecialGestureCommandExecution
+    "wheelDown":              handleSpecialGestureCommandExecution,
+    "wheelLeft":              handleSpecialGestureCommandExecution,
+    "wheelRight":             handleSpecialGestureCommandExecution,
+    "wheelRelease":           handleWheelRelease,
+    "longPress":              handleSpecialGestureCommandExecution,
+    "doubleClick":            handleSpecialGestureCommandExecution,
+
+    "tabURL":                 handleTabURLRequest
   }
   // call subject corresponding message handler if existing
   if (message.subject in messageHandler) messageHandler[message.subject](message, sender, sendResponse);
@@ -63,48 +123,42 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 
 /**
- * Handles messages for gesture changes
- * Sends a response with the label of the best matching gesture
- * If the gesture exceeds the deviation tolerance an empty string will be send
+ * Returns the sorted gesture candidates for the given pattern, its length relative to the viewport, the held modifier keys and the target contexts
+ * Candidates that exceed the deviation tolerance, require a different length, a modifier key that is not held or a different context are not included
+ * If a site rule matches the given url its gestures take precedence over the global gestures
  **/
-function handleMouseGestureCommandResponse (message, sender, sendResponse) {
-  const bestMatchingGesture = getClosestGestureByPattern(
-    message.data,
-    MouseGestures,
-    Config.get("Settings.Gesture.deviationTolerance"),
-    Config.get("Settings.Gesture.matchingAlgorithm")
-  );
-
-  // if the mismatch ratio exceeded the deviation tolerance bestMatchingGesture is null
-  const gestureName = bestMatchingGesture?.toString();
-
-  // send the matching gesture name if any
-  sendResponse(gestureName);
-
-  // if message was sent from a child frame also send a message to the top frame
-  if (sender.frameId !== 0) browser.tabs.sendMessage(
-    sender.tab.id,
-    { subject: "matchingGesture", data: gestureName },
-    { frameId: 0 }
-  );
+function getMouseGestureCandidates (pattern, patternLength, modifierKeys = [], contexts = [], url = "") {
+  const deviationTolerance = Config.get("Settings.Gesture.deviationTolerance");
+  const matchingAlgorithm = Config.get("Settings.Gesture.matchingAlgorithm");
+  const constraints = {
+    patternLength: patternLength,
+    lengthThreshold: Config.get("Settings.Gesture.lengthThreshold"),
+    modifierKeys: modifierKeys,
+    contexts: contexts
+  };
+
+  // only the first matching site rule is applied
+  const siteRule = SiteRules.find(siteRule => siteRule.rule.matchesURL(url));
+  if (siteRule) {
+    const candidates = siteRule.gestureIndex.getCandidates(pattern, deviationTolerance, matchingAlgorithm, constraints);
+    if (candidates.length > 0 || siteRule.rule.getReplaceGestures()) return candidates;
+  }
+
+  return MouseGestureIndex.getCandidates(pattern, deviationTolerance, matchingAlgorithm, constraints);
 }
 
 
 /**
  * Handles messages for gesture end
  * Executes the command of the best matching gesture if it does not exceed the deviation tolerance
+ * No command is executed if the two best matching gestures are too similar
  * Passes the sender and source data to the executed command
  **/
 function handleMouseGestureCommandExecution (message, sender, sendResponse) {
-  const bestMatchingGesture = getClosestGestureByPattern(
-    message.data.pattern,
-    MouseGestures,
-    Config.get("Settings.Gesture.deviationTolerance"),
-    Config.get("Settings.Gesture.matchingAlgorithm")
-  );
-
-  if (bestMatchingGesture) {
-    const command = bestMatchingGesture.getCommand();
+  const candidates = getMouseGestureCandidates(message.data.pattern, message.data.patternLength, message.data.modifierKeys, message.data.contexts, sender.url);
+
+  if (candidates.length > 0 && !isAmbiguousMatch(candidates, Config.get("Settings.Gesture.minimumMargin"))) {
+    const command = candidates[0].gesture.getCommand();
     // run command, apply the current sender object, pass the source data
     command.execute(sender, message.data);
   }
@@ -112,22 +166,68 @@ function handleMouseGestureCommandExecution (message, sender, sendResponse) {
 
 
 /**
- * Handles messages for rocker and wheel gestures
- * Executes the command of the corresponding wheel or rocker gesture
+ * Handles messages for rocker, wheel and press gestures
+ * Executes the command of the corresponding wheel, rocker, long press or double click gesture
+ * Focus tab commands of wheel gestures are performed via the tab switcher if it is enabled
  * Passes the sender and source data to the executed command
  **/
 function handleSpecialGestureCommandExecution (message, sender, sendResponse) {
-  // run command, pass the sender and source data
-  switch (message.subject) {
+  let command;
+  // wheel gestures of additional wheel bindings
+  if ("wheelBinding" in message) {
+    const index = message.wheelBinding;
+    // the binding may have been removed in the meantime or skipped because of an invalid command
+    const wheelBinding = Number.isInteger(index) && index >= 0 && index < WheelBindings.length ? WheelBindings[index] : null;
+    if (wheelBinding && Object.hasOwn(wheelBinding, message.subject)) command = wheelBinding[message.subject];
+  }
+  else switch (message.subject) {
     case "rockerLeft":
-      RockerGestureLeft.execute(sender, message.data); break;
+      command = RockerGestureLeft; break;
     case "rockerRight":
-      RockerGestureRight.execute(sender, message.data); break;
+      command = RockerGestureRight; break;
     case "wheelUp":
-      WheelGestureUp.execute(sender, message.data); break;
+      command = WheelGestureUp; break;
     case "wheelDown":
-      WheelGestureDown.execute(sender, message.data); break;
+      command = WheelGestureDown; break;
+    case "wheelLeft":
+      command = WheelGestureLeft; break;
+    case "wheelRight":
+      command = WheelGestureRight; break;
+    case "longPress":
+      command = LongPressGesture; break;
+    case "doubleClick":
+      command = DoubleClickGesture; break;
   }
+  if (!command) return;
+
+  // move the highlight of the tab switcher instead of activating every tab on the way
+  const isWheelGesture = message.subject.startsWith("wheel");
+  if (isWheelGesture && Config.get("Settings.Wheel.tabSwitcher") && command.getName() in TAB_SWITCHER_COMMANDS) {
+    TabSwitcher.step(sender, message.data, TAB_SWITCHER_COMMANDS[command.getName()], {
+      cycling: command.getSetting("cycling"),
+      excludeDiscarded: command.getSetting("excludeDiscarded")
+    });
+  }
+  // run command, pass the sender and source data
+  else command.execute(sender, message.data);
+}
+
+
+/**
+ * Handles messages for the release of the wheel gesture mouse button
+ * Activates the highlighted tab of the tab switcher if it is open
+ **/
+function handleWheelRelease (message, sender, sendResponse) {
+  TabSwitcher.select(sender);
+}
+
+
+/**
+ * Handles messages requesting the tab url
+ * Embedded frames cannot access the url of their top level frame if it has a different origin
+ **/
+function handleTabURLRequest (message, sender, sendResponse) {
+  sendResponse(sender.tab.url);
 }
 
 
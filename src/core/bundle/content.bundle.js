@@ -1,11 +1,10 @@
 'use strict';
 
-/**
- * get JSON file as object from url
- * returns a promise which is fulfilled with the json object as a parameter
- * otherwise it's rejected
- * request url needs permissions in the addon manifest
- **/
+// modifier keys that can be held during a gesture, named like the corresponding mouse event properties
+const MODIFIER_KEYS = ["shiftKey", "ctrlKey", "altKey"];
+
+// syntaxes an url pattern can be interpreted with (see urlPatternToRegExp)
+const URL_PATTERN_TYPES = ["wildcard", "match-pattern", "regex"];
 
 
 /**
@@ -25,6 +24,23 @@ function cloneObject (obj) {
 }
 
 
+/**
+ * creates a pen-up vector which connects the end of a stroke with the start of the next stroke of a multi-stroke gesture
+ * pen-up vectors are marked by a third array element
+ **/
+function createPenUpVector (x, y) {
+  return [x, y, 1];
+}
+
+
+/**
+ * checks if the given pattern vector is a pen-up vector
+ **/
+function isPenUpVector (vector) {
+  return vector.length === 3 && vector[2] === 1;
+}
+
+
 /**
  * calculates and returns the distance
  * between to points
@@ -46,6 +62,71 @@ function toSingleButton (pressedButton) {
 }
 
 
+/**
+ * check if the given url matches the given url pattern interpreted with the given syntax
+ * invalid regular expressions never match
+ * see urlPatternToRegExp for the supported syntaxes
+ **/
+function matchesURLPattern (urlPattern, url, urlPatternType = "wildcard") {
+  try {
+    return urlPatternToRegExp(urlPattern, urlPatternType).test(url);
+  }
+  catch (e) {
+    return false;
+  }
+}
+
+
+// regular expression enclosed in slashes followed by optional flags
+const REGEX_PATTERN_REGEX = /^\/.+\/[a-z]*$/;
+
+// scheme, host and path of a WebExtension match pattern
+// the host is either *, *. followed by a domain or a host without wildcards, it is empty for file urls
+const MATCH_PATTERN_REGEX = /^(\*|https?|wss?|ftp|file):\/\/(\*|\*\.[^*/]+|[^*/]+)?(\/.*)$/;
+
+/**
+ * converts the given url pattern to a regular expression by the given syntax (see URL_PATTERN_TYPES)
+ * regular expressions are used as they are, an invalid regular expression throws an error
+ * match patterns follow the WebExtension rules, so the fragment and port of the url are ignored
+ * and a host starting with *. also matches the domain itself
+ * wildcard patterns have to match the whole url, where "*" matches any characters
+ **/
+function urlPatternToRegExp (urlPattern, urlPatternType = "wildcard") {
+  const escape = (string) => string.replace(/[-[\]{}()*+?.,\\^$|#\s]/g, '\\$&');
+
+  switch (urlPatternType) {
+    case "regex": {
+      if (!REGEX_PATTERN_REGEX.test(urlPattern)) throw "The url pattern is no regular expression enclosed in slashes.";
+      const lastSlashIndex = urlPattern.lastIndexOf("/");
+      return new RegExp(urlPattern.slice(1, lastSlashIndex), urlPattern.slice(lastSlashIndex + 1));
+    }
+
+    case "match-pattern": {
+      if (urlPattern === "<all_urls>") return /^(https?|wss?|ftp|file|data):/;
+
+      const matchPatternParts = urlPattern.match(MATCH_PATTERN_REGEX);
+      if (!matchPatternParts) throw "The url pattern is no valid match pattern.";
+      const [, scheme, host = "", path] = matchPatternParts;
+      // the * scheme only matches http(s) and ws(s)
+      const schemePattern = scheme === "*" ? "(https?|wss?)" : scheme;
+      let hostPattern;
+      if (host === "*") hostPattern = "[^/]*";
+      else if (host.startsWith("*.")) hostPattern = "([^/]+\\.)?" + escape(host.slice(2));
+      else hostPattern = escape(host);
+      const pathPattern = path.split("*").map(escape).join(".*");
+      return new RegExp("^" + schemePattern + "://" + hostPattern + "(:\\d+)?" + pathPattern + "(#.*)?$");
+    }
+
+    default: {
+      // replace * with .* -> matches anything 0 or more times, else escape character
+      const pattern = urlPattern.split("*").map(escape).join(".*");
+      // ^ matches beginning of input and $ matches ending of input
+      return new RegExp("^" + pattern + "$");
+    }
+  }
+}
+
+
 /**
  * returns the selected text, if no text is selected it will return an empty string
  * inspired by https://stackoverflow.com/a/5379408/3771196
@@ -92,10 +173,36 @@ function getTargetData (target) {
 
 	data.textSelection = getTextSelection();
 
+	data.contexts = getTargetContexts(target);
+
 	return data;
 }
 
 
+/**
+ * returns an array of the contexts the given target belongs to
+ * possible contexts are: link, image, media, editable and selection
+ * if the target belongs to none of them the context page will be returned
+ **/
+function getTargetContexts (target) {
+  const contexts = [];
+
+  if (target.closest("a[href], area[href]")) contexts.push("link");
+
+  if (target.nodeName === "IMG" || target.nodeName === "image") contexts.push("image");
+
+  if (target.closest("video, audio")) contexts.push("media");
+
+  if (isEditableInput(target) || target.isContentEditable) contexts.push("editable");
+
+  if (getTextSelection()) contexts.push("selection");
+
+  if (contexts.length === 0) contexts.push("page");
+
+  return contexts;
+}
+
+
 /**
  * returns the closest html parent element that matches the conditions of the provided test function or null
  **/
@@ -478,60 +585,68 @@ class ConfigManager {
 // global static variables
 
 const LEFT_MOUSE_BUTTON$2 = 1;
-const RIGHT_MOUSE_BUTTON$2 = 2;
+const RIGHT_MOUSE_BUTTON$3 = 2;
 const MIDDLE_MOUSE_BUTTON$1 = 4;
 
 const PASSIVE = 0;
 const PENDING = 1;
 const ACTIVE = 2;
 const ABORTED = 3;
+const AWAITING_STROKE = 4;
 
 
 /**
  * MouseGestureController "singleton"
- * provides 4 events: on start, update, abort and end
+ * provides 5 events: on start, stroke, update, abort and end
+ * if multi-stroke gestures are active the gesture only ends if the mouse button is not pressed again within the multi-stroke delay
+ * otherwise the stroke event is fired and the new stroke is appended to the same gesture
  * events can be added via addEventListener and removed via removeEventListener
  * on default the controller is disabled and must be enabled via enable()
  * cancel() can be called to reset the controller
+ * modifierKeys contains the modifier keys held during the latest event of the current gesture
  **/
 
 // public methods and variables
 
 
 var MouseGestureController = {
-  enable: enable$2,
-  disable: disable$2,
+  enable: enable$3,
+  disable: disable$3,
   cancel: cancel,
-  addEventListener: addEventListener$2,
-  hasEventListener: hasEventListener$2,
-  removeEventListener: removeEventListener$2,
+  addEventListener: addEventListener$3,
+  hasEventListener: hasEventListener$3,
+  removeEventListener: removeEventListener$3,
+
+  get modifierKeys () {
+    return modifierKeys;
+  },
 
   get targetElement () {
-    return targetElement$2;
+    return targetElement$3;
   },
   set targetElement (value) {
-    targetElement$2 = value;
+    targetElement$3 = value;
   },
 
   get mouseButton () {
-    return mouseButton$1;
+    return mouseButton$2;
   },
   set mouseButton (value) {
-    mouseButton$1 = Number(value);
+    mouseButton$2 = Number(value);
   },
 
   get suppressionKey () {
-    return suppressionKey;
+    return suppressionKey$1;
   },
   set suppressionKey (value) {
-    suppressionKey = value;
+    suppressionKey$1 = value;
   },
 
   get distanceThreshold () {
-    return distanceThreshold;
+    return distanceThreshold$1;
   },
   set distanceThreshold (value) {
-    distanceThreshold = Number(value);
+    distanceThreshold$1 = Number(value);
   },
 
   get timeoutActive () {
@@ -549,48 +664,64 @@ var MouseGestureController = {
     // convert seconds to milliseconds
     timeoutDuration = Number(value) * 1000;
   },
+
+  get multiStrokeActive () {
+    return multiStrokeActive;
+  },
+  set multiStrokeActive (value) {
+    multiStrokeActive = Boolean(value);
+  },
+
+  get multiStrokeDelay () {
+    // convert milliseconds back to seconds
+    return multiStrokeDelay / 1000;
+  },
+  set multiStrokeDelay (value) {
+    // convert seconds to milliseconds
+    multiStrokeDelay = Number(value) * 1000;
+  },
 };
 
 
 /**
  * Add callbacks to the given events
  **/
-function addEventListener$2 (event, callback) {
+function addEventListener$3 (event, callback) {
   // if event exists add listener (duplicates won't be added)
-  if (event in events$2) events$2[event].add(callback);
+  if (event in events$3) events$3[event].add(callback);
 }
 
 /**
  * Check if an event listener is registered
  **/
-function hasEventListener$2 (event, callback) {
+function hasEventListener$3 (event, callback) {
   // if event exists check for listener
-  if (event in events$2) events$2[event].has(callback);
+  if (event in events$3) events$3[event].has(callback);
 }
 
 /**
  * Remove callbacks from the given events
  **/
-function removeEventListener$2 (event, callback) {
+function removeEventListener$3 (event, callback) {
   // if event exists remove listener
-  if (event in events$2) events$2[event].delete(callback);
+  if (event in events$3) events$3[event].delete(callback);
 }
 
 /**
  * Add the event listeners to detect a gesture start
  **/
-function enable$2 () {
-  targetElement$2.addEventListener('pointerdown', handlePointerdown, true);
+function enable$3 () {
+  targetElement$3.addEventListener('pointerdown', handlePointerdown$1, true);
 }
 
 /**
  * Remove the event listeners and resets the controller
  **/
-function disable$2 () {
-  targetElement$2.removeEventListener('pointerdown', handlePointerdown, true);
+function disable$3 () {
+  targetElement$3.removeEventListener('pointerdown', handlePointerdown$1, true);
 
   // reset to initial state
-  reset();
+  reset$1();
 }
 
 
@@ -599,21 +730,22 @@ function disable$2 () {
  **/
 function cancel () {
   // reset to initial state
-  reset();
+  reset$1();
 }
 
 // private variables and methods
 
 
-// internal states are PASSIVE, PENDING, ACTIVE, ABORTED
+// internal states are PASSIVE, PENDING, ACTIVE, ABORTED, AWAITING_STROKE
 let state = PASSIVE;
 
-// contains the timeout identifier
-let timeoutId = null;
+// contains the timeout identifier of the idle timeout or the multi-stroke delay
+let timeoutId$1 = null;
 
 // holds all custom module event callbacks
-const events$2 = {
+const events$3 = {
   'start': new Set(),
+  'stroke': new Set(),
   'update': new Set(),
   'abort': new Set(),
   'end': new Set()
@@ -622,12 +754,17 @@ const events$2 = {
 // temporary buffer for occurred mouse events where the latest event is always at the end of the array
 let mouseEventBuffer = [];
 
-let targetElement$2 = window,
-    mouseButton$1 = RIGHT_MOUSE_BUTTON$2,
-    suppressionKey = "",
-    distanceThreshold = 10,
+// names of the modifier keys (e.g. "shiftKey") that were held during the latest mouse event
+let modifierKeys = [];
+
+let targetElement$3 = window,
+    mouseButton$2 = RIGHT_MOUSE_BUTTON$3,
+    suppressionKey$1 = "",
+    distanceThreshold$1 = 10,
     timeoutActive = false,
-    timeoutDuration = 1000;
+    timeoutDuration = 1000,
+    multiStrokeActive = false,
+    multiStrokeDelay = 500;
 
 /**
  * Initializes the gesture controller to the "pending" state, where it's unclear if the user is starting a gesture or not
@@ -636,15 +773,16 @@ let targetElement$2 = window,
 function initialize$1 (event) {
   // buffer initial mouse event
   mouseEventBuffer.push(event);
+  updateModifierKeys(event);
 
   // change internal state
   state = PENDING;
 
   // add gesture detection listeners
-  targetElement$2.addEventListener('pointermove', handlePointermove, true);
-  targetElement$2.addEventListener('dragstart', handleDragstart, true);
-  targetElement$2.addEventListener('pointerup', handlePointerup, true);
-  targetElement$2.addEventListener('visibilitychange', handleVisibilitychange$2, true);
+  targetElement$3.addEventListener('pointermove', handlePointermove$1, true);
+  targetElement$3.addEventListener('dragstart', handleDragstart, true);
+  targetElement$3.addEventListener('pointerup', handlePointerup$1, true);
+  targetElement$3.addEventListener('visibilitychange', handleVisibilitychange$3, true);
 
   // workaround to redirect all events to this frame/element
   // don't redirect them to the root element yet since it's unclear if the user wants to perform a gesture
@@ -661,6 +799,7 @@ function initialize$1 (event) {
 function update (event) {
   // buffer mouse event
   mouseEventBuffer.push(event);
+  updateModifierKeys(event);
 
   // needs to be called to prevent the values of the coalesced events from getting cleared (probably a Firefox bug)
   event.getCoalescedEvents();
@@ -671,9 +810,9 @@ function update (event) {
     const initialEvent = mouseEventBuffer[0];
     const latestEvent = mouseEventBuffer[mouseEventBuffer.length - 1];
     // check if the distance between the initial pointer and the latest pointer is greater than the threshold
-    if (getDistance(initialEvent.clientX, initialEvent.clientY, latestEvent.clientX, latestEvent.clientY) > distanceThreshold) {
+    if (getDistance(initialEvent.clientX, initialEvent.clientY, latestEvent.clientX, latestEvent.clientY) > distanceThreshold$1) {
       // dispatch all bound functions on start and pass the initial event and an array of the buffered mouse events
-      events$2['start'].forEach(callback => callback(initialEvent, mouseEventBuffer));
+      events$3['start'].forEach(callback => callback(initialEvent, mouseEventBuffer));
 
       // change internal state
       state = ACTIVE;
@@ -688,13 +827,13 @@ function update (event) {
   // update gesture
   else if (state === ACTIVE) {
     // dispatch all bound functions on update and pass the latest event and an array of the buffered mouse events
-    events$2['update'].forEach(callback => callback(event, mouseEventBuffer));
+    events$3['update'].forEach(callback => callback(event, mouseEventBuffer));
 
     // handle timeout
     if (timeoutActive) {
       // clear previous timeout if existing
-      if (timeoutId) window.clearTimeout(timeoutId);
-      timeoutId = window.setTimeout(abort, timeoutDuration);
+      if (timeoutId$1) window.clearTimeout(timeoutId$1);
+      timeoutId$1 = window.setTimeout(abort, timeoutDuration);
     }
   }
 }
@@ -705,38 +844,79 @@ function update (event) {
  **/
 function abort () {
   // dispatch all bound functions on timeout and pass an array of buffered mouse events
-  events$2['abort'].forEach(callback => callback(mouseEventBuffer));
+  events$3['abort'].forEach(callback => callback(mouseEventBuffer));
   state = ABORTED;
 }
 
 
 /**
- * Indicates the gesture end and should be called to terminate the gesture
+ * Continues the gesture with a new stroke and sets the state back to active
+ * stroke - will be called with the event that started the new stroke
+ * requires a mouse/pointer event
+ **/
+function continueStroke (event) {
+  // clear the multi-stroke delay
+  window.clearTimeout(timeoutId$1);
+  timeoutId$1 = null;
+
+  // buffer mouse event
+  mouseEventBuffer.push(event);
+  updateModifierKeys(event);
+
+  state = ACTIVE;
+
+  // dispatch all bound functions on stroke and pass the initial event of the stroke and an array of the buffered mouse events
+  events$3['stroke'].forEach(callback => callback(event, mouseEventBuffer));
+
+  // workaround to redirect all events to this frame/element
+  document.documentElement.setPointerCapture(event.pointerId);
+}
+
+
+/**
+ * Indicates the end of a stroke and should be called to terminate the gesture
+ * If multi-stroke gestures are active the gesture end is delayed to wait for a further stroke
  * requires a mouse/pointer event
  **/
 function terminate$1 (event) {
   // buffer mouse event
   mouseEventBuffer.push(event);
+  updateModifierKeys(event);
+
+  if (state === ACTIVE && multiStrokeActive) {
+    state = AWAITING_STROKE;
+    // the idle timeout is replaced by the multi-stroke delay
+    if (timeoutId$1 !== null) window.clearTimeout(timeoutId$1);
+    timeoutId$1 = window.setTimeout(end, multiStrokeDelay, event);
+  }
+  else end(event);
+}
 
-  if (state === ACTIVE) {
+
+/**
+ * Ends the gesture and resets the controller
+ * requires the last mouse/pointer event of the gesture
+ **/
+function end (event) {
+  if (state === ACTIVE || state === AWAITING_STROKE) {
     // dispatch all bound functions on end and pass the latest event and an array of the buffered mouse events
-    events$2['end'].forEach(callback => callback(event, mouseEventBuffer));
+    events$3['end'].forEach(callback => callback(event, mouseEventBuffer));
   }
 
   // reset gesture controller
-  reset();
+  reset$1();
 }
 
 
 /**
  * Resets the controller to its initial state
  **/
-function reset () {
+function reset$1 () {
   // remove gesture detection listeners
-  targetElement$2.removeEventListener('pointermove', handlePointermove, true);
-  targetElement$2.removeEventListener('pointerup', handlePointerup, true);
-  targetElement$2.removeEventListener('dragstart', handleDragstart, true);
-  targetElement$2.removeEventListener('visibilitychange', handleVisibilitychange$2, true);
+  targetElement$3.removeEventListener('pointermove', handlePointermove$1, true);
+  targetElement$3.removeEventListener('pointerup', handlePointerup$1, true);
+  targetElement$3.removeEventListener('dragstart', handleDragstart, true);
+  targetElement$3.removeEventListener('visibilitychange', handleVisibilitychange$3, true);
 
   neglectPreventDefault();
 
@@ -747,30 +927,46 @@ function reset () {
     document.documentElement.releasePointerCapture(firstMouseEvent.pointerId);
   }
 
-  // reset mouse event buffer and internal state
+  // reset mouse event buffer, modifier keys and internal state
   mouseEventBuffer = [];
+  modifierKeys = [];
   state = PASSIVE;
 
-  if (timeoutId !== null) {
-    window.clearTimeout(timeoutId);
-    timeoutId = null;
+  if (timeoutId$1 !== null) {
+    window.clearTimeout(timeoutId$1);
+    timeoutId$1 = null;
   }
 }
 
 
+/**
+ * Stores the modifier keys held during the given mouse event
+ **/
+function updateModifierKeys (event) {
+  modifierKeys = MODIFIER_KEYS.filter(modifierKey => event[modifierKey]);
+}
+
+
 /**
  * Handles pointerdown which will initialize the gesture and switch to the pending state.
  * This will only be called for the first mouse button any subsequent mouse bu
  * This means if the user holds a non-trigger button and then presses the trigger button,
  * no pointerdown event will be dispatched and thus no gesture will be started
  **/
-function handlePointerdown (event) {
+function handlePointerdown$1 (event) {
+  if (!event.isTrusted) return;
   // on mouse button and no suppression key
-  if (event.isTrusted && event.buttons === mouseButton$1 && (!suppressionKey || !event[suppressionKey])) {
-    initialize$1(event);
+  if (event.buttons === mouseButton$2 && (!suppressionKey$1 || !event[suppressionKey$1])) {
+    // append a new stroke if the previous stroke ended within the multi-stroke delay
+    if (state === AWAITING_STROKE) continueStroke(event);
+    else initialize$1(event);
 
     // prevent middle click scroll
-    if (mouseButton$1 === MIDDLE_MOUSE_BUTTON$1) event.preventDefault();
+    if (mouseButton$2 === MIDDLE_MOUSE_BUTTON$1) event.preventDefault();
+  }
+  // end the gesture immediately if any other button is pressed while waiting for a further stroke
+  else if (state === AWAITING_STROKE) {
+    end(mouseEventBuffer[mouseEventBuffer.length - 1]);
   }
 }
 
@@ -780,13 +976,13 @@ function handlePointerdown (event) {
  * Pointermove event can better be understand as a pointerchange event.
  * This means it will fire even when the mouse does not move but an additional button is pressed.
  **/
-function handlePointermove (event) {
+function handlePointermove$1 (event) {
   if (event.isTrusted) {
-    if (event.buttons === mouseButton$1) {
+    if (event.buttons === mouseButton$2) {
       update(event);
 
       // prevent text selection
-      if (mouseButton$1 === LEFT_MOUSE_BUTTON$2) window.getSelection().removeAllRanges();
+      if (mouseButton$2 === LEFT_MOUSE_BUTTON$2) window.getSelection().removeAllRanges();
     }
     // button: -1 means that no buttons changed since the last event
     // explicity check if a button changed to prevent https://github.com/Robbendebiene/Gesturefy/issues/622
@@ -794,7 +990,7 @@ function handlePointermove (event) {
       // a pointermove event triggered by the gesture mouse button means
       // it got released while another mouse button is still pressed.
       // in theory this should never happen because the gesture will be canceled when another mouse button is pressed
-      if (event.button === toSingleButton(mouseButton$1)) {
+      if (event.button === toSingleButton(mouseButton$2)) {
         terminate$1(event);
       }
       // cancel the gesture if another mouse button was pressed
@@ -810,8 +1006,8 @@ function handlePointermove (event) {
  * Handles pointerup and terminates the gesture.
  * Pointerup is only fired if all pressed buttons of the mouse are released.
  **/
-function handlePointerup (event) {
-  if (event.isTrusted && event.button === toSingleButton(mouseButton$1)) {
+function handlePointerup$1 (event) {
+  if (event.isTrusted && event.button === toSingleButton(mouseButton$2)) {
     terminate$1(event);
   }
 }
@@ -822,7 +1018,7 @@ function handlePointerup (event) {
  **/
 function handleDragstart (event) {
   // prevent drag if mouse button and no suppression key is pressed
-  if (event.isTrusted && event.buttons === mouseButton$1 && (!suppressionKey || !event[suppressionKey])) {
+  if (event.isTrusted && event.buttons === mouseButton$2 && (!suppressionKey$1 || !event[suppressionKey$1])) {
     event.preventDefault();
   }
 }
@@ -831,11 +1027,11 @@ function handleDragstart (event) {
 /**
  * This is only needed for tab changing actions
  **/
-function handleVisibilitychange$2() {
+function handleVisibilitychange$3() {
   // call abort to trigger attached events
   abort();
   // reset to initial state
-  reset();
+  reset$1();
 }
 
 
@@ -916,15 +1112,15 @@ function enablePreventDefault () {
   // stop propagation because a custom context menus might trigger on the contextmenu event for example
 
   // prevent the context menu for right mouse button
-  targetElement$2.addEventListener('contextmenu', preventDefault$2, true);
+  targetElement$3.addEventListener('contextmenu', preventDefault$3, true);
   // prevent the left click from opening links or pressing buttons
-  targetElement$2.addEventListener('click', preventDefault$2, true);
+  targetElement$3.addEventListener('click', preventDefault$3, true);
   // prevent the middle click from opening links, or clipboard pasting on linux
-  targetElement$2.addEventListener('auxclick', preventDefault$2, true);
+  targetElement$3.addEventListener('auxclick', preventDefault$3, true);
   // prevent clicking links
-  targetElement$2.addEventListener('mouseup', preventDefault$2, true);
+  targetElement$3.addEventListener('mouseup', preventDefault$3, true);
   // prevent focus of e.g. input fields
-  targetElement$2.addEventListener('mousedown', preventDefault$2, true);
+  targetElement$3.addEventListener('mousedown', preventDefault$3, true);
 }
 
 
@@ -936,18 +1132,18 @@ function disablePreventDefault () {
 
   isTargetFrame = false;
 
-  targetElement$2.removeEventListener('contextmenu', preventDefault$2, true);
-  targetElement$2.removeEventListener('click', preventDefault$2, true);
-  targetElement$2.removeEventListener('auxclick', preventDefault$2, true);
-  targetElement$2.removeEventListener('mouseup', preventDefault$2, true);
-  targetElement$2.removeEventListener('mousedown', preventDefault$2, true);
+  targetElement$3.removeEventListener('contextmenu', preventDefault$3, true);
+  targetElement$3.removeEventListener('click', preventDefault$3, true);
+  targetElement$3.removeEventListener('auxclick', preventDefault$3, true);
+  targetElement$3.removeEventListener('mouseup', preventDefault$3, true);
+  targetElement$3.removeEventListener('mousedown', preventDefault$3, true);
 }
 
 
 /**
  * Prevent the context menu for right mouse button
  **/
-function preventDefault$2 (event) {
+function preventDefault$3 (event) {
   if (event.isTrusted) {
     event.preventDefault();
     event.stopPropagation();
@@ -957,7 +1153,7 @@ function preventDefault$2 (event) {
 // global static variables
 
 const LEFT_MOUSE_BUTTON$1 = 1;
-const RIGHT_MOUSE_BUTTON$1 = 2;
+const RIGHT_MOUSE_BUTTON$2 = 2;
 
 /**
  * RockerGestureController "singleton"
@@ -971,17 +1167,17 @@ const RIGHT_MOUSE_BUTTON$1 = 2;
 
 
 var RockerGestureController = {
-  enable: enable$1,
-  disable: disable$1,
-  addEventListener: addEventListener$1,
-  hasEventListener: hasEventListener$1,
-  removeEventListener: removeEventListener$1,
+  enable: enable$2,
+  disable: disable$2,
+  addEventListener: addEventListener$2,
+  hasEventListener: hasEventListener$2,
+  removeEventListener: removeEventListener$2,
 
   get targetElement () {
-    return targetElement$1;
+    return targetElement$2;
   },
   set targetElement (value) {
-    targetElement$1 = value;
+    targetElement$2 = value;
   }
 };
 
@@ -989,63 +1185,63 @@ var RockerGestureController = {
 /**
  * Add callbacks to the given events
  **/
-function addEventListener$1 (event, callback) {
+function addEventListener$2 (event, callback) {
   // if event exists add listener (duplicates won't be added)
-  if (event in events$1) events$1[event].add(callback);
+  if (event in events$2) events$2[event].add(callback);
 }
 
 /**
  * Check if an event listener is registered
  **/
-function hasEventListener$1 (event, callback) {
+function hasEventListener$2 (event, callback) {
   // if event exists check for listener
-  if (event in events$1) events$1[event].has(callback);
+  if (event in events$2) events$2[event].has(callback);
 }
 
 /**
  * Remove callbacks from the given events
  **/
-function removeEventListener$1 (event, callback) {
+function removeEventListener$2 (event, callback) {
   // if event exists remove listener
-  if (event in events$1) events$1[event].delete(callback);
+  if (event in events$2) events$2[event].delete(callback);
 }
 
 /**
  * Add the event listeners to detect a gesture start
  **/
-function enable$1 () {
-  targetElement$1.addEventListener('mousedown', handleMousedown$1, true);
-  targetElement$1.addEventListener('mouseup', handleMouseup$1, true);
-  targetElement$1.addEventListener('click', handleClick$1, true);
-  targetElement$1.addEventListener('contextmenu', handleContextmenu$1, true);
-  targetElement$1.addEventListener('visibilitychange', handleVisibilitychange$1, true);
+function enable$2 () {
+  targetElement$2.addEventListener('mousedown', handleMousedown$1, true);
+  targetElement$2.addEventListener('mouseup', handleMouseup$1, true);
+  targetElement$2.addEventListener('click', handleClick$2, true);
+  targetElement$2.addEventListener('contextmenu', handleContextmenu$2, true);
+  targetElement$2.addEventListener('visibilitychange', handleVisibilitychange$2, true);
 }
 
 /**
  * Remove the event listeners and resets the controller
  **/
-function disable$1 () {
-  preventDefault$1 = true;
-  targetElement$1.removeEventListener('mousedown', handleMousedown$1, true);
-  targetElement$1.removeEventListener('mouseup', handleMouseup$1, true);
-  targetElement$1.removeEventListener('click', handleClick$1, true);
-  targetElement$1.removeEventListener('contextmenu', handleContextmenu$1, true);
-  targetElement$1.removeEventListener('visibilitychange', handleVisibilitychange$1, true);
+function disable$2 () {
+  preventDefault$2 = true;
+  targetElement$2.removeEventListener('mousedown', handleMousedown$1, true);
+  targetElement$2.removeEventListener('mouseup', handleMouseup$1, true);
+  targetElement$2.removeEventListener('click', handleClick$2, true);
+  targetElement$2.removeEventListener('contextmenu', handleContextmenu$2, true);
+  targetElement$2.removeEventListener('visibilitychange', handleVisibilitychange$2, true);
 }
 
 // private variables and methods
 
 // holds all custom module event callbacks
-const events$1 = {
+const events$2 = {
   'rockerleft': new Set(),
   'rockerright': new Set()
 };
 
-let targetElement$1 = window;
+let targetElement$2 = window;
 
 // defines whether or not the click/contextmenu should be prevented
 // keep preventDefault true for the special case that the contextmenu or click is fired without a previous mousedown
-let preventDefault$1 = true;
+let preventDefault$2 = true;
 
 // timestamp of the last mouseup
 // this is needed to distinguish between true mouse click events and other click events fired by pressing enter or by clicking labels
@@ -1058,17 +1254,17 @@ let lastMouseup$1 = 0;
 function handleMousedown$1 (event) {
   if (event.isTrusted) {
     // always disable prevention on mousedown
-    preventDefault$1 = false;
+    preventDefault$2 = false;
 
-    if (event.buttons === LEFT_MOUSE_BUTTON$1 + RIGHT_MOUSE_BUTTON$1 && (event.button === toSingleButton(LEFT_MOUSE_BUTTON$1) || event.button === toSingleButton(RIGHT_MOUSE_BUTTON$1))) {
+    if (event.buttons === LEFT_MOUSE_BUTTON$1 + RIGHT_MOUSE_BUTTON$2 && (event.button === toSingleButton(LEFT_MOUSE_BUTTON$1) || event.button === toSingleButton(RIGHT_MOUSE_BUTTON$2))) {
       // dispatch all bound functions on rocker and pass the appropriate event
-      if (event.button === toSingleButton(LEFT_MOUSE_BUTTON$1)) events$1['rockerleft'].forEach((callback) => callback(event));
-      else if (event.button === toSingleButton(RIGHT_MOUSE_BUTTON$1)) events$1['rockerright'].forEach((callback) => callback(event));
+      if (event.button === toSingleButton(LEFT_MOUSE_BUTTON$1)) events$2['rockerleft'].forEach((callback) => callback(event));
+      else if (event.button === toSingleButton(RIGHT_MOUSE_BUTTON$2)) events$2['rockerright'].forEach((callback) => callback(event));
 
       event.stopPropagation();
       event.preventDefault();
       // enable prevention
-      preventDefault$1 = true;
+      preventDefault$2 = true;
     }
   }
 }
@@ -1087,17 +1283,17 @@ function handleMouseup$1(event) {
  * This is only needed for tab changing actions
  * Because the rocker gesture is executed in a different tab as where click/contextmenu needs to be prevented
  **/
-function handleVisibilitychange$1() {
+function handleVisibilitychange$2() {
   // keep preventDefault true for the special case that the contextmenu or click is fired without a previous mousedown
-  preventDefault$1 = true;
+  preventDefault$2 = true;
 }
 
 
 /**
  * Handles and prevents context menu if needed (right click)
  **/
-function handleContextmenu$1 (event) {
-  if (event.isTrusted && preventDefault$1 && event.button === toSingleButton(RIGHT_MOUSE_BUTTON$1)) {
+function handleContextmenu$2 (event) {
+  if (event.isTrusted && preventDefault$2 && event.button === toSingleButton(RIGHT_MOUSE_BUTTON$2)) {
     // prevent contextmenu
     event.stopPropagation();
     event.preventDefault();
@@ -1108,10 +1304,10 @@ function handleContextmenu$1 (event) {
 /**
  * Handles and prevents click event if needed (left click)
  **/
-function handleClick$1 (event) {
+function handleClick$2 (event) {
   // event.detail because a click event can be fired without clicking (https://stackoverflow.com/questions/4763638/enter-triggers-button-click)
   // timeStamp check ensures that the click is fired by mouseup
-  if (event.isTrusted && preventDefault$1 && event.button === toSingleButton(LEFT_MOUSE_BUTTON$1) && event.detail && event.timeStamp === lastMouseup$1) {
+  if (event.isTrusted && preventDefault$2 && event.button === toSingleButton(LEFT_MOUSE_BUTTON$1) && event.detail && event.timeStamp === lastMouseup$1) {
     // prevent click
     event.stopPropagation();
     event.preventDefault();
@@ -1121,12 +1317,15 @@ function handleClick$1 (event) {
 // global static variables
 
 const LEFT_MOUSE_BUTTON = 1;
-const RIGHT_MOUSE_BUTTON = 2;
+const RIGHT_MOUSE_BUTTON$1 = 2;
 const MIDDLE_MOUSE_BUTTON = 4;
 
 /**
  * WheelGestureController "singleton"
- * provides 2 events: on wheelup and wheeldown
+ * provides 5 events: on wheelup, wheeldown, wheelleft, wheelright and release
+ * release is fired when the mouse button of a performed wheel gesture is released
+ * additional wheel bindings can be defined by a mouse button and an optional modifier key
+ * the index of the fired binding is passed as the second callback argument (null for the default mouse button)
  * events can be added via addEventListener and removed via removeEventListener
  * on default the controller is disabled and must be enabled via enable()
  **/
@@ -1136,24 +1335,24 @@ const MIDDLE_MOUSE_BUTTON = 4;
 
 
 var WheelGestureController = {
-  enable: enable,
-  disable: disable,
-  addEventListener: addEventListener,
-  hasEventListener: hasEventListener,
-  removeEventListener: removeEventListener,
+  enable: enable$1,
+  disable: disable$1,
+  addEventListener: addEventListener$1,
+  hasEventListener: hasEventListener$1,
+  removeEventListener: removeEventListener$1,
 
   get targetElement () {
-    return targetElement;
+    return targetElement$1;
   },
   set targetElement (value) {
-    targetElement = value;
+    targetElement$1 = value;
   },
 
   get mouseButton () {
-    return mouseButton;
+    return mouseButton$1;
   },
   set mouseButton (value) {
-    mouseButton = Number(value);
+    mouseButton$1 = Number(value);
   },
 
   get wheelSensitivity () {
@@ -1161,6 +1360,17 @@ var WheelGestureController = {
   },
   set wheelSensitivity (value) {
     wheelSensitivity = Number(value);
+  },
+
+  // array of additional wheel bindings, each an object containing a mouseButton and a modifierKey (or null)
+  get bindings () {
+    return bindings;
+  },
+  set bindings (value) {
+    bindings = Array.from(value, binding => ({
+      mouseButton: Number(binding.mouseButton),
+      modifierKey: binding.modifierKey ?? null
+    }));
   }
 };
 
@@ -1168,70 +1378,79 @@ var WheelGestureController = {
 /**
  * Add callbacks to the given events
  **/
-function addEventListener (event, callback) {
+function addEventListener$1 (event, callback) {
   // if event exists add listener (duplicates won't be added)
-  if (event in events) events[event].add(callback);
+  if (event in events$1) events$1[event].add(callback);
 }
 
 /**
  * Check if an event listener is registered
  **/
-function hasEventListener (event, callback) {
+function hasEventListener$1 (event, callback) {
   // if event exists check for listener
-  if (event in events) events[event].has(callback);
+  if (event in events$1) events$1[event].has(callback);
 }
 
 /**
  * Remove callbacks from the given events
  **/
-function removeEventListener (event, callback) {
+function removeEventListener$1 (event, callback) {
   // if event exists remove listener
-  if (event in events) events[event].delete(callback);
+  if (event in events$1) events$1[event].delete(callback);
 }
 
 /**
  * Add the document event listener
  **/
-function enable () {
-  targetElement.addEventListener('wheel', handleWheel, {capture: true, passive: false});
-  targetElement.addEventListener('mousedown', handleMousedown, true);
-  targetElement.addEventListener('mouseup', handleMouseup, true);
-  targetElement.addEventListener('click', handleClick, true);
-  targetElement.addEventListener('contextmenu', handleContextmenu, true);
-  targetElement.addEventListener('visibilitychange', handleVisibilitychange, true);
+function enable$1 () {
+  targetElement$1.addEventListener('wheel', handleWheel, {capture: true, passive: false});
+  targetElement$1.addEventListener('mousedown', handleMousedown, true);
+  targetElement$1.addEventListener('mouseup', handleMouseup, true);
+  targetElement$1.addEventListener('click', handleClick$1, true);
+  targetElement$1.addEventListener('contextmenu', handleContextmenu$1, true);
+  targetElement$1.addEventListener('visibilitychange', handleVisibilitychange$1, true);
 }
 
 /**
  * Remove the event listeners and resets the handler
  **/
-function disable () {
-  preventDefault = true;
-  targetElement.removeEventListener('wheel', handleWheel, {capture: true, passive: false});
-  targetElement.removeEventListener('mousedown', handleMousedown, true);
-  targetElement.removeEventListener('mouseup', handleMouseup, true);
-  targetElement.removeEventListener('click', handleClick, true);
-  targetElement.removeEventListener('contextmenu', handleContextmenu, true);
-  targetElement.removeEventListener('visibilitychange', handleVisibilitychange, true);
+function disable$1 () {
+  preventDefault$1 = true;
+  targetElement$1.removeEventListener('wheel', handleWheel, {capture: true, passive: false});
+  targetElement$1.removeEventListener('mousedown', handleMousedown, true);
+  targetElement$1.removeEventListener('mouseup', handleMouseup, true);
+  targetElement$1.removeEventListener('click', handleClick$1, true);
+  targetElement$1.removeEventListener('contextmenu', handleContextmenu$1, true);
+  targetElement$1.removeEventListener('visibilitychange', handleVisibilitychange$1, true);
 }
 
 // private variables and methods
 
 // holds all custom module event callbacks
-const events = {
+const events$1 = {
   'wheelup': new Set(),
-  'wheeldown': new Set()
+  'wheeldown': new Set(),
+  'wheelleft': new Set(),
+  'wheelright': new Set(),
+  'release': new Set()
 };
 
-let targetElement = window,
-    mouseButton = LEFT_MOUSE_BUTTON,
-    wheelSensitivity = 2;
+let targetElement$1 = window,
+    mouseButton$1 = LEFT_MOUSE_BUTTON,
+    wheelSensitivity = 2,
+    bindings = [];
 
 // keep preventDefault true for the special case that the contextmenu or click is fired without a previous mousedown
-let preventDefault = true;
+let preventDefault$1 = true;
 
 let lastMouseup = 0;
 
-let accumulatedDeltaY = 0;
+// the mouse button of the last performed wheel gesture whose click or contextmenu needs to be prevented
+// null if no wheel gesture has been performed in this document since it became visible
+let activeMouseButton = null;
+
+let accumulatedDeltaY = 0,
+    accumulatedDeltaX = 0;
 
 
 /**
@@ -1240,225 +1459,1481 @@ let accumulatedDeltaY = 0;
 function handleMousedown (event) {
   if (event.isTrusted) {
     // always disable prevention on mousedown
-    preventDefault = false;
+    preventDefault$1 = false;
 
-    // always reset the accumulated detlaY
+    // always reset the accumulated deltas
     accumulatedDeltaY = 0;
+    accumulatedDeltaX = 0;
 
     // prevent middle click scroll
-    if (mouseButton === MIDDLE_MOUSE_BUTTON && event.buttons === MIDDLE_MOUSE_BUTTON) event.preventDefault();
+    if (event.buttons === MIDDLE_MOUSE_BUTTON && isTriggerButton(MIDDLE_MOUSE_BUTTON)) event.preventDefault();
   }
 }
 
 
 /**
- * Handles mousewheel up and down and prevents scrolling if needed
+ * Handles mousewheel up, down, left and right and prevents scrolling if needed
+ * Horizontal deltas are produced by tilt wheels and touchpads
+ * Only the dominant axis of a wheel event is considered since touchpads usually produce deltas on both axes
  **/
 function handleWheel (event) {
-  if (event.isTrusted && event.buttons === mouseButton && event.deltaY !== 0) {
-
-    // check if the sign is different and reset the accumulated value
-    if ((accumulatedDeltaY < 0) !== (event.deltaY < 0)) accumulatedDeltaY = 0;
-
-    accumulatedDeltaY += event.deltaY;
+  if (event.isTrusted && isTriggerButton(event.buttons) && (event.deltaY !== 0 || event.deltaX !== 0)) {
+    const bindingIndex = getBindingIndex(event);
+    // the default mouse button only triggers if no binding matches
+    if (bindingIndex === -1 && event.buttons !== mouseButton$1) return;
+    const binding = bindingIndex === -1 ? null : bindingIndex;
+
+    if (Math.abs(event.deltaY) >= Math.abs(event.deltaX)) {
+      // check if the sign is different and reset the accumulated value
+      if ((accumulatedDeltaY < 0) !== (event.deltaY < 0)) accumulatedDeltaY = 0;
+
+      accumulatedDeltaY += event.deltaY;
+      accumulatedDeltaX = 0;
+
+      if (Math.abs(accumulatedDeltaY) >= wheelSensitivity) {
+        // dispatch all bound functions on wheel up/down and pass the appropriate event
+        if (accumulatedDeltaY < 0) {
+          events$1['wheelup'].forEach((callback) => callback(event, binding));
+        }
+        else if (accumulatedDeltaY > 0) {
+          events$1['wheeldown'].forEach((callback) => callback(event, binding));
+        }
 
-    if (Math.abs(accumulatedDeltaY) >= wheelSensitivity) {
-      // dispatch all bound functions on wheel up/down and pass the appropriate event
-      if (accumulatedDeltaY < 0) {
-        events['wheelup'].forEach((callback) => callback(event));
-      }
-      else if (accumulatedDeltaY > 0) {
-        events['wheeldown'].forEach((callback) => callback(event));
+        // reset accumulated deltaY if it reaches the sensitivity value
+        accumulatedDeltaY = 0;
       }
+    }
+    else {
+      // check if the sign is different and reset the accumulated value
+      if ((accumulatedDeltaX < 0) !== (event.deltaX < 0)) accumulatedDeltaX = 0;
 
-      // reset accumulated deltaY if it reaches the sensitivity value
+      accumulatedDeltaX += event.deltaX;
       accumulatedDeltaY = 0;
+
+      if (Math.abs(accumulatedDeltaX) >= wheelSensitivity) {
+        // dispatch all bound functions on wheel left/right and pass the appropriate event
+        if (accumulatedDeltaX < 0) {
+          events$1['wheelleft'].forEach((callback) => callback(event, binding));
+        }
+        else if (accumulatedDeltaX > 0) {
+          events$1['wheelright'].forEach((callback) => callback(event, binding));
+        }
+
+        // reset accumulated deltaX if it reaches the sensitivity value
+        accumulatedDeltaX = 0;
+      }
     }
 
     event.stopPropagation();
     event.preventDefault();
     // enable prevention
-    preventDefault = true;
+    preventDefault$1 = true;
+    activeMouseButton = event.buttons;
   }
 }
 
 
 /**
- * This is only needed to distinguish between true mouse click events and other click events fired by pressing enter or by clicking labels
- * Other property values like screen position or target could be used in the same manner
+ * Returns true if the given buttons value triggers the default wheel gesture or any wheel binding
  **/
-function handleMouseup(event) {
-  lastMouseup = event.timeStamp;
+function isTriggerButton (buttons) {
+  return buttons === mouseButton$1 || bindings.some(binding => binding.mouseButton === buttons);
 }
 
 
 /**
- * This is only needed for tab changing actions
- * Because the wheel gesture is executed in a different tab as where click/contextmenu needs to be prevented
+ * Returns true if the click or contextmenu of the given button needs to be prevented
+ * If no wheel gesture has been performed in this document (e.g. because it was executed in another tab) all trigger buttons are considered
  **/
-function handleVisibilitychange() {
-  // keep preventDefault true for the special case that the contextmenu or click is fired without a previous mousedown
-  preventDefault = true;
-  // always reset the accumulated detlaY
+function isPreventedButton (button, triggerButton) {
+  if (button !== toSingleButton(triggerButton)) return false;
+  return activeMouseButton === null ? isTriggerButton(triggerButton) : activeMouseButton === triggerButton;
+}
+
+
+/**
+ * Returns the index of the wheel binding matching the pressed mouse button and modifier keys of the given event
+ * Bindings which require a modifier key take precedence over bindings without modifier key
+ * Returns -1 if no binding matches
+ **/
+function getBindingIndex (event) {
+  let fallbackIndex = -1;
+  for (let i = 0; i < bindings.length; i++) {
+    const binding = bindings[i];
+    if (binding.mouseButton !== event.buttons) continue;
+    if (binding.modifierKey === null) {
+      if (fallbackIndex === -1) fallbackIndex = i;
+    }
+    else if (event[binding.modifierKey]) return i;
+  }
+  return fallbackIndex;
+}
+
+
+/**
+ * This is only needed to distinguish between true mouse click events and other click events fired by pressing enter or by clicking labels
+ * Other property values like screen position or target could be used in the same manner
+ **/
+function handleMouseup(event) {
+  lastMouseup = event.timeStamp;
+  // preventDefault is only true after a wheel gesture since every mousedown resets it
+  if (event.isTrusted && preventDefault$1 && activeMouseButton !== null && event.button === toSingleButton(activeMouseButton)) {
+    events$1['release'].forEach((callback) => callback(event));
+  }
+}
+
+
+/**
+ * This is only needed for tab changing actions
+ * Because the wheel gesture is executed in a different tab as where click/contextmenu needs to be prevented
+ **/
+function handleVisibilitychange$1() {
+  // keep preventDefault true for the special case that the contextmenu or click is fired without a previous mousedown
+  preventDefault$1 = true;
+  activeMouseButton = null;
+  // always reset the accumulated deltas
   accumulatedDeltaY = 0;
+  accumulatedDeltaX = 0;
+}
+
+
+/**
+ * Handles and prevents context menu if needed
+ **/
+function handleContextmenu$1 (event) {
+  if (event.isTrusted && preventDefault$1 && isPreventedButton(event.button, RIGHT_MOUSE_BUTTON$1)) {
+    // prevent contextmenu
+    event.stopPropagation();
+    event.preventDefault();
+  }
+}
+
+
+/**
+ * Handles and prevents click event if needed
+ **/
+function handleClick$1 (event) {
+  // event.detail because a click event can be fired without clicking (https://stackoverflow.com/questions/4763638/enter-triggers-button-click)
+  // timeStamp check ensures that the click is fired by mouseup
+  if (event.isTrusted && preventDefault$1 && (isPreventedButton(event.button, LEFT_MOUSE_BUTTON) || isPreventedButton(event.button, MIDDLE_MOUSE_BUTTON)) && event.detail && event.timeStamp === lastMouseup) {
+    // prevent left and middle click
+    event.stopPropagation();
+    event.preventDefault();
+  }
+}
+
+// global static variables
+
+const RIGHT_MOUSE_BUTTON = 2;
+
+/**
+ * PressGestureController "singleton"
+ * provides 2 events: on longpress and doubleclick
+ * longpress - is fired if the mouse button is held for the long press duration without moving beyond the distance threshold
+ * doubleclick - is fired if the mouse button is pressed twice within the double click interval without moving beyond the distance threshold
+ * both events can be activated independently and get passed the pointerdown event of the (last) press
+ * doubleclick is not available for the right mouse button, because its first click opens the context menu which would receive the second click
+ * events can be added via addEventListener and removed via removeEventListener
+ * on default the controller is disabled and must be enabled via enable()
+ **/
+
+
+// public methods and variables
+
+
+var PressGestureController = {
+  enable: enable,
+  disable: disable,
+  addEventListener: addEventListener,
+  hasEventListener: hasEventListener,
+  removeEventListener: removeEventListener,
+
+  get targetElement () {
+    return targetElement;
+  },
+  set targetElement (value) {
+    targetElement = value;
+  },
+
+  get mouseButton () {
+    return mouseButton;
+  },
+  set mouseButton (value) {
+    mouseButton = Number(value);
+  },
+
+  get suppressionKey () {
+    return suppressionKey;
+  },
+  set suppressionKey (value) {
+    suppressionKey = value;
+  },
+
+  get distanceThreshold () {
+    return distanceThreshold;
+  },
+  set distanceThreshold (value) {
+    distanceThreshold = Number(value);
+  },
+
+  get longPressActive () {
+    return longPressActive;
+  },
+  set longPressActive (value) {
+    longPressActive = Boolean(value);
+  },
+
+  get longPressDuration () {
+    // convert milliseconds back to seconds
+    return longPressDuration / 1000;
+  },
+  set longPressDuration (value) {
+    // convert seconds to milliseconds
+    longPressDuration = Number(value) * 1000;
+  },
+
+  get doubleClickActive () {
+    return doubleClickActive;
+  },
+  set doubleClickActive (value) {
+    doubleClickActive = Boolean(value);
+  },
+
+  get doubleClickInterval () {
+    // convert milliseconds back to seconds
+    return doubleClickInterval / 1000;
+  },
+  set doubleClickInterval (value) {
+    // convert seconds to milliseconds
+    doubleClickInterval = Number(value) * 1000;
+  }
+};
+
+
+/**
+ * Add callbacks to the given events
+ **/
+function addEventListener (event, callback) {
+  // if event exists add listener (duplicates won't be added)
+  if (event in events) events[event].add(callback);
+}
+
+/**
+ * Check if an event listener is registered
+ **/
+function hasEventListener (event, callback) {
+  // if event exists check for listener
+  if (event in events) events[event].has(callback);
+}
+
+/**
+ * Remove callbacks from the given events
+ **/
+function removeEventListener (event, callback) {
+  // if event exists remove listener
+  if (event in events) events[event].delete(callback);
+}
+
+/**
+ * Add the event listeners to detect a press
+ **/
+function enable () {
+  targetElement.addEventListener('pointerdown', handlePointerdown, true);
+  targetElement.addEventListener('click', handleClick, true);
+  targetElement.addEventListener('auxclick', handleClick, true);
+  targetElement.addEventListener('contextmenu', handleContextmenu, true);
+  targetElement.addEventListener('visibilitychange', handleVisibilitychange, true);
+}
+
+/**
+ * Remove the event listeners and resets the controller
+ **/
+function disable () {
+  preventDefault = true;
+  targetElement.removeEventListener('pointerdown', handlePointerdown, true);
+  targetElement.removeEventListener('click', handleClick, true);
+  targetElement.removeEventListener('auxclick', handleClick, true);
+  targetElement.removeEventListener('contextmenu', handleContextmenu, true);
+  targetElement.removeEventListener('visibilitychange', handleVisibilitychange, true);
+
+  // reset to initial state
+  reset();
+  previousPress = null;
+}
+
+// private variables and methods
+
+// holds all custom module event callbacks
+const events = {
+  'longpress': new Set(),
+  'doubleclick': new Set()
+};
+
+let targetElement = window,
+    mouseButton = RIGHT_MOUSE_BUTTON,
+    suppressionKey = "",
+    distanceThreshold = 10,
+    longPressActive = false,
+    longPressDuration = 500,
+    doubleClickActive = false,
+    doubleClickInterval = 300;
+
+// defines whether or not the click/contextmenu should be prevented
+// keep preventDefault true for the special case that the contextmenu or click is fired without a previous pointerdown
+let preventDefault = true;
+
+// the pointerdown event of the currently held press
+let currentPress = null;
+
+// the pointerdown event of the last press that may be the first click of a double click
+let previousPress = null;
+
+// contains the timeout identifier of the long press
+let timeoutId = null;
+
+
+/**
+ * Handles pointerdown which will either fire the double click or start waiting for a long press
+ * Only presses of the sole gesture mouse button without the suppression key are considered
+ **/
+function handlePointerdown (event) {
+  if (!event.isTrusted) return;
+  // always disable prevention on pointerdown
+  preventDefault = false;
+
+  if (event.buttons !== mouseButton || (suppressionKey && event[suppressionKey])) {
+    reset();
+    previousPress = null;
+    return;
+  }
+
+  if (isDoubleClickAvailable() && isDoubleClick(event)) {
+    reset();
+    previousPress = null;
+    dispatch('doubleclick', event);
+    // prevent the page from receiving the second press
+    event.stopPropagation();
+    event.preventDefault();
+    return;
+  }
+
+  reset();
+  currentPress = event;
+  previousPress = isDoubleClickAvailable() ? event : null;
+
+  targetElement.addEventListener('pointermove', handlePointermove, true);
+  targetElement.addEventListener('pointerup', handlePointerup, true);
+
+  if (longPressActive) {
+    timeoutId = window.setTimeout(handleLongPressTimeout, longPressDuration);
+  }
+}
+
+
+/**
+ * Handles pointermove and cancels the press if the pointer moved beyond the distance threshold
+ * This also cancels the press if another mouse button got pressed
+ **/
+function handlePointermove (event) {
+  if (!event.isTrusted) return;
+
+  if (event.buttons !== mouseButton || getDistance(currentPress.clientX, currentPress.clientY, event.clientX, event.clientY) > distanceThreshold) {
+    // the press most likely became a mouse gesture
+    reset();
+    previousPress = null;
+  }
+}
+
+
+/**
+ * Handles pointerup and ends the press
+ * The press is kept as previous press to detect a double click
+ **/
+function handlePointerup (event) {
+  if (event.isTrusted && event.button === toSingleButton(mouseButton)) {
+    reset();
+  }
+}
+
+
+/**
+ * Fires the long press with the pointerdown event of the held press
+ **/
+function handleLongPressTimeout () {
+  const event = currentPress;
+  timeoutId = null;
+  reset();
+  // a long press cannot be the first click of a double click
+  previousPress = null;
+  dispatch('longpress', event);
+}
+
+
+/**
+ * This is only needed for tab changing actions
+ * Because the command may be executed in a different tab as where click/contextmenu needs to be prevented
+ **/
+function handleVisibilitychange () {
+  // keep preventDefault true for the special case that the contextmenu or click is fired without a previous pointerdown
+  preventDefault = true;
+  reset();
+  previousPress = null;
+}
+
+
+/**
+ * Handles and prevents the context menu if needed (right click)
+ **/
+function handleContextmenu (event) {
+  if (event.isTrusted && preventDefault && mouseButton === RIGHT_MOUSE_BUTTON && event.button === toSingleButton(RIGHT_MOUSE_BUTTON)) {
+    // prevent contextmenu
+    event.stopPropagation();
+    event.preventDefault();
+  }
+}
+
+
+/**
+ * Handles and prevents the click and auxclick event if needed (left and middle click)
+ **/
+function handleClick (event) {
+  // event.detail because a click event can be fired without clicking (https://stackoverflow.com/questions/4763638/enter-triggers-button-click)
+  if (event.isTrusted && preventDefault && event.button === toSingleButton(mouseButton) && event.detail) {
+    // prevent click
+    event.stopPropagation();
+    event.preventDefault();
+  }
+}
+
+
+/**
+ * Returns true if double clicks should be detected
+ * The context menu opened by the first right click cannot be suppressed without swallowing every single right click
+ **/
+function isDoubleClickAvailable () {
+  return doubleClickActive && mouseButton !== RIGHT_MOUSE_BUTTON;
+}
+
+
+/**
+ * Returns true if the given pointerdown event is the second press of a double click
+ **/
+function isDoubleClick (event) {
+  return previousPress !== null &&
+    event.timeStamp - previousPress.timeStamp <= doubleClickInterval &&
+    getDistance(previousPress.clientX, previousPress.clientY, event.clientX, event.clientY) <= distanceThreshold;
+}
+
+
+/**
+ * Dispatches all bound functions of the given event and enables the prevention of the following click/contextmenu
+ **/
+function dispatch (eventName, event) {
+  events[eventName].forEach((callback) => callback(event));
+  // prevent the release of the mouse button from clicking links or opening the context menu
+  preventDefault = true;
+}
+
+
+/**
+ * Stops waiting for the long press and removes the press detection listeners
+ **/
+function reset () {
+  targetElement.removeEventListener('pointermove', handlePointermove, true);
+  targetElement.removeEventListener('pointerup', handlePointerup, true);
+
+  currentPress = null;
+
+  if (timeoutId !== null) {
+    window.clearTimeout(timeoutId);
+    timeoutId = null;
+  }
+}
+
+/**
+ * Helper class to create a pattern alongside mouse movement from points
+ * A Pattern is a combination/array of 2D Vectors while each Vector is an array
+ * The strokes of multi-stroke gestures are separated by pen-up vectors (see startStroke)
+ **/
+class PatternConstructor {
+
+  constructor (differenceThreshold = 0, distanceThreshold = 0) {
+    this.differenceThreshold = differenceThreshold;
+    this.distanceThreshold = distanceThreshold;
+
+    this._lastExtractedPointX = null;
+    this._lastExtractedPointY = null;
+    this._previousPointX = null;
+    this._previousPointY = null;
+    this._lastPointX = null;
+    this._lastPointY = null;
+    this._previousVectorX = null;
+    this._previousVectorY = null;
+
+    this._extractedVectors = [];
+  }
+
+  /**
+   * Resets the internal class variables and clears the constructed pattern
+   **/
+  clear () {
+    // clear extracted vectors
+    this._extractedVectors.length = 0;
+    // reset variables
+    this._lastExtractedPointX = null;
+    this._lastExtractedPointY = null;
+    this._previousPointX = null;
+    this._previousPointY = null;
+    this._lastPointX = null;
+    this._lastPointY = null;
+    this._previousVectorX = null;
+    this._previousVectorY = null;
+  }
+
+
+  /**
+   * Add a point to the constructor
+   * Returns an integer value:
+   * 1 if the added point passed the distance threshold [PASSED_DISTANCE_THRESHOLD]
+   * 2 if the added point also passed the difference threshold [PASSED_DIFFERENCE_THRESHOLD]
+   * else 0 [PASSED_NO_THRESHOLD]
+   **/
+  addPoint (x, y) {
+    // return variable
+    let changeIndicator = 0;
+    // on first point / if no previous point exists
+    if (this._previousPointX === null || this._previousPointY === null) {
+      // set first extracted point
+      this._lastExtractedPointX = x;
+      this._lastExtractedPointY = y;
+      // set previous point to first point
+      this._previousPointX = x;
+      this._previousPointY = y;
+    }
+
+    else {
+      const newVX = x - this._previousPointX;
+      const newVY = y - this._previousPointY;
+
+      const vectorDistance = Math.hypot(newVX, newVY);
+      if (vectorDistance > this.distanceThreshold) {
+        // on second point / if no previous vector exists
+        if (this._previousVectorX === null || this._previousVectorY === null) {
+          // store previous vector
+          this._previousVectorX = newVX;
+          this._previousVectorY = newVY;
+        }
+        else {
+          // calculate vector difference
+          const vectorDifference = vectorDirectionDifference(this._previousVectorX, this._previousVectorY, newVX, newVY);
+          if (Math.abs(vectorDifference) > this.differenceThreshold) {
+            // store new extracted vector
+            this._extractedVectors.push([
+              this._previousPointX - this._lastExtractedPointX,
+              this._previousPointY - this._lastExtractedPointY
+            ]);
+            // update previous vector
+            this._previousVectorX = newVX;
+            this._previousVectorY = newVY;
+            // update last extracted point
+            this._lastExtractedPointX = this._previousPointX;
+            this._lastExtractedPointY = this._previousPointY;
+            // update change variable
+            changeIndicator++;
+          }
+        }
+        // update previous point
+        this._previousPointX = x;
+        this._previousPointY = y;
+        // update change variable
+        changeIndicator++;
+      }
+    }
+    // always store the last point
+    this._lastPointX = x;
+    this._lastPointY = y;
+
+    return changeIndicator;
+  }
+
+
+  /**
+   * Starts a new stroke at the given point
+   * The remaining vector of the current stroke is stored and connected to the new point by a pen-up vector
+   * The new point is treated like the first point of a pattern
+   * Returns PASSED_DIFFERENCE_THRESHOLD if a stroke was started, else PASSED_NO_THRESHOLD if no points have been added yet
+   **/
+  startStroke (x, y) {
+    if (this._lastPointX === null || this._lastPointY === null) {
+      this.addPoint(x, y);
+      return PatternConstructor.PASSED_NO_THRESHOLD;
+    }
+    // store the last vector of the current stroke
+    const lastVectorX = this._lastPointX - this._lastExtractedPointX;
+    const lastVectorY = this._lastPointY - this._lastExtractedPointY;
+    if (lastVectorX !== 0 || lastVectorY !== 0) {
+      this._extractedVectors.push([lastVectorX, lastVectorY]);
+    }
+    // store the movement between both strokes
+    this._extractedVectors.push(createPenUpVector(x - this._lastPointX, y - this._lastPointY));
+    // start the new stroke from the given point
+    this._lastExtractedPointX = x;
+    this._lastExtractedPointY = y;
+    this._previousPointX = x;
+    this._previousPointY = y;
+    this._lastPointX = x;
+    this._lastPointY = y;
+    this._previousVectorX = null;
+    this._previousVectorY = null;
+
+    return PatternConstructor.PASSED_DIFFERENCE_THRESHOLD;
+  }
+
+
+  /**
+   * Returns the current constructed pattern
+   * Adds the last added point as the current end point
+   **/
+  getPattern () {
+    // check if variables contain point values
+    if (this._lastPointX === null || this._lastPointY === null || this._lastExtractedPointX === null || this._lastExtractedPointY === null) {
+      return [];
+    }
+    // calculate vector from last extracted point to ending point
+    const lastVector = [
+      this._lastPointX - this._lastExtractedPointX,
+      this._lastPointY - this._lastExtractedPointY
+    ];
+    return [...this._extractedVectors, lastVector];
+  }
+}
+
+// TODO: move these inside the class using the "static" keyword once eslint finally supports it
+PatternConstructor.PASSED_NO_THRESHOLD = 0;
+
+PatternConstructor.PASSED_DISTANCE_THRESHOLD = 1;
+
+PatternConstructor.PASSED_DIFFERENCE_THRESHOLD = 2;
+
+// default thresholds used for gesture recording and recognition
+// changes to these values can be checked against the matching regression corpus (see test/README.md)
+PatternConstructor.DEFAULT_DIFFERENCE_THRESHOLD = 0.12;
+
+PatternConstructor.DEFAULT_DISTANCE_THRESHOLD = 10;
+
+// number of points a pattern is resampled to by the template algorithm
+const TEMPLATE_POINT_COUNT = 32;
+
+// maximum rotation in radians that is compensated by the template algorithm
+// this is kept small so gestures which only differ in their direction (e.g. left and up-left) stay distinguishable
+const TEMPLATE_ROTATION_RANGE = Math.PI / 12;
+
+// precision in radians of the golden section search used by the template algorithm
+const TEMPLATE_ROTATION_PRECISION = Math.PI / 90;
+
+// width of the DTW band relative to the vector count of the longer pattern
+// the same band is used by every matching function and the gesture index so all of them return the same differences
+const DTW_BAND_RATIO = 0.3;
+
+// share of the deviation tolerance up to which two gestures are considered variants of the same stroke
+// this is lower than the tolerance itself so a loosely matching gesture does not count as a variant of a well matching one
+const EQUIVALENCE_TOLERANCE_RATIO = 0.5;
+
+
+/**
+ * Removes all candidates that are overruled by a more specific candidate
+ * Gestures bound to a modifier key are more specific than gestures limited to certain contexts,
+ * which in turn are more specific than gestures without any of these restrictions
+ * A more specific candidate only overrules a less specific one if it matches at least as well
+ * or if both gestures are variants of the same stroke (see areGesturesEquivalent)
+ * Since restricted gestures only match if their restrictions are fulfilled (see isGestureMatchingConstraints)
+ * this lets for example the modifier variant of a gesture take precedence over the plain gesture with the same pattern
+ * while a restricted gesture with a different pattern cannot beat a plain gesture that matches better
+ * The order of the given candidates is preserved
+ **/
+function applyGesturePrecedence (candidates, maxDeviation = 1, algorithm) {
+  return candidates.filter(candidate => !candidates.some(otherCandidate =>
+    getGestureSpecificity(otherCandidate.gesture) > getGestureSpecificity(candidate.gesture) && (
+      otherCandidate.difference <= candidate.difference ||
+      areGesturesEquivalent(otherCandidate.gesture, candidate.gesture, maxDeviation, algorithm)
+    )
+  ));
+}
+
+
+/**
+ * Checks if two gestures are variants of the same stroke
+ * This is the case if any pattern or sample of one gesture matches any pattern or sample of the other gesture
+ * below a share of the lower deviation tolerance of both gestures (see EQUIVALENCE_TOLERANCE_RATIO)
+ **/
+function areGesturesEquivalent (gestureA, gestureB, maxDeviation, algorithm) {
+  const deviationTolerance = EQUIVALENCE_TOLERANCE_RATIO * Math.min(
+    getGestureDeviationTolerance(gestureA, maxDeviation),
+    getGestureDeviationTolerance(gestureB, maxDeviation)
+  );
+  const descriptorsB = getGesturePatterns(gestureB).map(describePattern);
+  return getGesturePatterns(gestureA).some(patternA => {
+    const descriptorA = describePattern(patternA);
+    return descriptorsB.some(descriptorB => descriptorDifference(descriptorA, descriptorB, deviationTolerance, algorithm) !== Infinity);
+  });
+}
+
+
+/**
+ * Returns a value representing how specific the restrictions of the given gesture are
+ **/
+function getGestureSpecificity (gesture) {
+  let specificity = 0;
+  if (gesture.getModifierKey?.()) specificity += 2;
+  if (gesture.getContexts?.().length > 0) specificity += 1;
+  return specificity;
+}
+
+
+/**
+ * Checks if the two best candidates are too close to reliably distinguish them
+ * Requires a sorted candidate array as returned by getGestureCandidatesByPattern
+ * A minimum margin of 0 disables the check
+ **/
+function isAmbiguousMatch (candidates, minimumMargin = 0) {
+  return candidates.length > 1 && candidates[1].difference - candidates[0].difference < minimumMargin;
+}
+
+
+/**
+ * Checks if the given gesture fulfills the given constraints
+ * Constraints that are not specified will not be checked
+ * Available constraints:
+ * patternLength - the length of the performed pattern in percent of the viewport diagonal
+ * lengthThreshold - the length in percent of the viewport diagonal from which on a pattern counts as long
+ * modifierKeys - an array of the held modifier keys, gestures bound to a modifier key only match if it is included
+ * contexts - an array of the target contexts, gestures limited to certain contexts only match if one of them is included
+ **/
+function isGestureMatchingConstraints (gesture, constraints) {
+  const gestureLength = gesture.getLength?.();
+  if (gestureLength && constraints.patternLength !== undefined && constraints.lengthThreshold !== undefined) {
+    const isLongPattern = constraints.patternLength >= constraints.lengthThreshold;
+    if (isLongPattern !== (gestureLength === "long")) return false;
+  }
+  const gestureModifierKey = gesture.getModifierKey?.();
+  if (gestureModifierKey && constraints.modifierKeys !== undefined) {
+    if (!constraints.modifierKeys.includes(gestureModifierKey)) return false;
+  }
+  const gestureContexts = gesture.getContexts?.() ?? [];
+  if (gestureContexts.length > 0 && constraints.contexts !== undefined) {
+    if (!gestureContexts.some(context => constraints.contexts.includes(context))) return false;
+  }
+  return true;
+}
+
+
+/**
+ * Returns the mismatch value of 2 pattern descriptors (see describePattern) for the given algorithm
+ * If the patterns deviate more than the given deviation tolerance Infinity will be returned
+ * Patterns with a different number of strokes never match
+ * The band radius limits the DTW warping path (see descriptorSimilarityByDTW), it defaults to the band used for all gestures (see getDTWBandRadius)
+ * allowed algorithms: strict, shape-independent, template & combined (default)
+ **/
+function descriptorDifference (descriptorA, descriptorB, deviationTolerance, algorithm, bandRadius = getDTWBandRadius(descriptorA, descriptorB)) {
+  if (descriptorA.strokeCount !== descriptorB.strokeCount) return Infinity;
+
+  switch (algorithm) {
+    case "strict": {
+      const difference = descriptorSimilarityByProportion(descriptorA, descriptorB);
+      return difference < deviationTolerance ? difference : Infinity;
+    }
+
+    case "shape-independent": {
+      const difference = descriptorSimilarityByDTW(descriptorA, descriptorB, deviationTolerance, bandRadius);
+      return difference < deviationTolerance ? difference : Infinity;
+    }
+
+    case "template": {
+      const difference = templateSimilarity(descriptorA.templatePoints, descriptorB.templatePoints);
+      return difference < deviationTolerance ? difference : Infinity;
+    }
+
+    case "combined":
+    default: {
+      const differenceByDTW = descriptorSimilarityByDTW(descriptorA, descriptorB, deviationTolerance, bandRadius);
+      // pre-filter patterns by DTW deviation value to increase speed
+      if (differenceByDTW > deviationTolerance) return Infinity;
+
+      const differenceByProportion = descriptorSimilarityByProportion(descriptorA, descriptorB);
+
+      return differenceByDTW + differenceByProportion;
+    }
+  }
+}
+
+
+/**
+ * Returns the radius of the DTW band for 2 pattern descriptors (see DTW_BAND_RATIO)
+ **/
+function getDTWBandRadius (descriptorA, descriptorB) {
+  return Math.max(1, Math.ceil(Math.max(descriptorA.angles.length, descriptorB.angles.length) * DTW_BAND_RATIO));
+}
+
+
+/**
+ * Returns the deviation tolerance of the given gesture
+ * Falls back to the given default value if the gesture does not define its own tolerance
+ **/
+function getGestureDeviationTolerance (gesture, defaultDeviation) {
+  return gesture.getDeviationTolerance?.() ?? defaultDeviation;
+}
+
+
+/**
+ * Returns all patterns of the given gesture including its additional samples
+ **/
+function getGesturePatterns (gesture) {
+  return gesture.getPatterns?.() ?? [gesture.getPattern()];
+}
+
+
+/**
+ * Pre-computes the direction angle and the magnitude of every vector of a pattern
+ * Pen-up vectors of multi-stroke patterns are flagged and counted to determine the number of strokes
+ * Their magnitude is 0 because they are not drawn, so the gaps between the strokes do not affect the magnitude proportions
+ * The returned descriptor can be reused to compare the same pattern multiple times
+ * The points required by the template algorithm are only calculated on first access
+ **/
+function describePattern (pattern) {
+  const angles = pattern.map(vector => Math.atan2(vector[0], vector[1]));
+  const penUps = pattern.map(isPenUpVector);
+  const magnitudes = pattern.map((vector, i) => penUps[i] ? 0 : Math.hypot(vector[0], vector[1]));
+  let templatePoints = null;
+  return {
+    angles: angles,
+    magnitudes: magnitudes,
+    penUps: penUps,
+    strokeCount: penUps.filter(Boolean).length + 1,
+    totalMagnitude: magnitudes.reduce((total, magnitude) => total + magnitude, 0),
+    get templatePoints () {
+      return templatePoints ?? (templatePoints = describeTemplate(pattern));
+    }
+  };
+}
+
+
+/**
+ * Pre-computes the resampled and normalized points of a pattern used by the template algorithm
+ **/
+function describeTemplate (pattern) {
+  return normalizePoints(resampleStrokes(patternToStrokes(pattern), TEMPLATE_POINT_COUNT));
+}
+
+
+/**
+ * Returns the direction difference of 2 vectors of the given pattern descriptors
+ * A pen-up vector and a drawn vector are always completely different
+ * Range: [0, 1]
+ **/
+function vectorDifference (descriptorA, indexA, descriptorB, indexB) {
+  if (descriptorA.penUps[indexA] !== descriptorB.penUps[indexB]) return 1;
+  return angleDifference(descriptorA.angles[indexA], descriptorB.angles[indexB]);
+}
+
+
+/**
+ * Returns the direction difference of 2 angles as returned by Math.atan2
+ * This equals the absolute value of vectorDirectionDifference
+ * Range: [0, 1]
+ **/
+function angleDifference (angleA, angleB) {
+  let difference = angleA - angleB;
+  // normalize interval to [PI, -PI)
+  if (difference > Math.PI) difference -= 2 * Math.PI;
+  else if (difference <= -Math.PI) difference += 2 * Math.PI;
+  // shift range from [PI, -PI) to [1, -1) and take the absolute value
+  return Math.abs(difference / Math.PI);
+}
+
+
+/**
+ * Proportion based similarity of 2 pattern descriptors (see patternSimilarityByProportion)
+ **/
+function descriptorSimilarityByProportion (descriptorA, descriptorB) {
+  const anglesA = descriptorA.angles;
+  const anglesB = descriptorB.angles;
+
+  let totalDifference = 0;
+
+  let a = 0, b = 0;
+
+  let vectorAMagnitudeProportionStart = 0;
+  let vectorBMagnitudeProportionStart = 0;
+
+  while (a < anglesA.length && b < anglesB.length) {
+    const vectorIndexA = a;
+    const vectorIndexB = b;
+
+    const vectorAMagnitudeProportion = descriptorA.magnitudes[a]/descriptorA.totalMagnitude;
+    const vectorBMagnitudeProportion = descriptorB.magnitudes[b]/descriptorB.totalMagnitude;
+
+    const vectorAMagnitudeProportionEnd = vectorAMagnitudeProportionStart + vectorAMagnitudeProportion;
+    const vectorBMagnitudeProportionEnd = vectorBMagnitudeProportionStart + vectorBMagnitudeProportion;
+
+    // calculate how much both vectors are overlapping
+    const overlappingMagnitudeProportion = overlapProportion(
+      vectorAMagnitudeProportionStart,
+      vectorAMagnitudeProportionEnd,
+      vectorBMagnitudeProportionStart,
+      vectorBMagnitudeProportionEnd
+    );
+
+    // compare which vector magnitude proportion is larger / passing over the other vector
+    // take the pattern with the smaller magnitude proportion and increase its index
+    // so the next vector of this pattern will be compared next
+
+    if (vectorAMagnitudeProportionEnd > vectorBMagnitudeProportionEnd) {
+      // increase B pattern index / take the next B vector in the next iteration
+      b++;
+      // set current end to new start
+      vectorBMagnitudeProportionStart = vectorBMagnitudeProportionEnd;
+    }
+    else if (vectorAMagnitudeProportionEnd < vectorBMagnitudeProportionEnd) {
+      // increase A pattern index / take the next A vector in the next iteration
+      a++;
+      // set current end to new start
+      vectorAMagnitudeProportionStart = vectorAMagnitudeProportionEnd;
+    }
+    else {
+      // increase A & B pattern index / take the next A & B vector in the next iteration
+      a++;
+      b++;
+      // set current end to new start
+      vectorAMagnitudeProportionStart = vectorAMagnitudeProportionEnd;
+      vectorBMagnitudeProportionStart = vectorBMagnitudeProportionEnd;
+    }
+
+    // calculate the difference of both vectors
+    // this will result in a value of 0 - 1
+    const difference = vectorDifference(descriptorA, vectorIndexA, descriptorB, vectorIndexB);
+
+    // weight the value by its corresponding magnitude proportion
+    // all magnitude proportion should add up to a value of 1 in total (ignoring floating point errors)
+    totalDifference += difference * overlappingMagnitudeProportion;
+  }
+
+  return totalDifference;
+}
+
+
+/**
+ * Dynamic time warping based similarity of 2 pattern descriptors (see patternSimilarityByDTW)
+ * Only two rows of the cost matrix are kept in memory
+ * If a maximum deviation is given, the calculation is aborted as soon as the result is known to exceed it
+ * In this case Infinity is returned
+ * If a band radius is given, the warping path is limited to a band of this radius along the diagonal (Sakoe-Chiba band)
+ * The radius is automatically widened if necessary to keep the last cell reachable
+ **/
+function descriptorSimilarityByDTW (descriptorA, descriptorB, maxDeviation = Infinity, bandRadius = Infinity) {
+  const anglesA = descriptorA.angles;
+  const anglesB = descriptorB.angles;
+
+  const rows = anglesA.length;
+  const columns = anglesB.length;
+  const maxLength = Math.max(rows, columns);
+
+  // the column steps per row along the diagonal from the first to the last cell
+  const slope = rows > 1 ? (columns - 1) / (rows - 1) : columns - 1;
+  const radius = Math.max(bandRadius, Math.ceil(slope));
+
+  let previousRow = Array(columns).fill(Infinity);
+  let currentRow = Array(columns).fill(Infinity);
+
+  for (let i = 0; i < rows; i++) {
+    const center = Math.round(i * slope);
+    const firstColumn = Math.max(0, center - radius);
+    const lastColumn = Math.min(columns - 1, center + radius);
+
+    let rowMinimum = Infinity;
+    currentRow.fill(Infinity);
+
+    for (let j = firstColumn; j <= lastColumn; j++) {
+      const cost = vectorDifference(descriptorA, i, descriptorB, j);
+
+      if (i !== 0 && j !== 0) {
+        currentRow[j] = cost + Math.min(previousRow[j], currentRow[j - 1], previousRow[j - 1]);
+      }
+      else if (i !== 0) {
+        currentRow[j] = cost + previousRow[j];
+      }
+      else if (j !== 0) {
+        currentRow[j] = cost + currentRow[j - 1];
+      }
+      else {
+        currentRow[j] = cost;
+      }
+
+      if (currentRow[j] < rowMinimum) rowMinimum = currentRow[j];
+    }
+
+    // every warping path passes through this row and costs are never negative
+    // so the final result cannot be lower than the minimum of this row
+    if (rowMinimum / maxLength > maxDeviation) return Infinity;
+
+    [previousRow, currentRow] = [currentRow, previousRow];
+  }
+
+  // divide by amount of vectors
+  return previousRow[columns - 1] / maxLength;
+}
+
+
+/**
+ * Template based similarity of 2 pre-computed point arrays (see patternSimilarityByTemplate)
+ **/
+function templateSimilarity (pointsA, pointsB) {
+  const distance = distanceAtBestAngle(
+    pointsA,
+    pointsB,
+    -TEMPLATE_ROTATION_RANGE,
+    TEMPLATE_ROTATION_RANGE,
+    TEMPLATE_ROTATION_PRECISION
+  );
+
+  // the points are scaled to a unit square, so the half diagonal is the maximum average distance
+  return Math.min(distance / Math.SQRT1_2, 1);
+}
+
+
+/**
+ * Converts a pattern to an array of strokes starting by 0, 0
+ * Each stroke is an array of points, pen-up vectors of multi-stroke patterns start a new stroke
+ **/
+function patternToStrokes (pattern) {
+  let lastPoint = [0, 0];
+  const strokes = [ [lastPoint] ];
+  for (const vector of pattern) {
+    lastPoint = [ lastPoint[0] + vector[0], lastPoint[1] + vector[1] ];
+    if (isPenUpVector(vector)) strokes.push([lastPoint]);
+    else strokes[strokes.length - 1].push(lastPoint);
+  }
+  return strokes;
+}
+
+
+/**
+ * Resamples the given strokes to the given number of equidistant points along the drawn path
+ * The gaps between the strokes are skipped, so the points are only distributed over the drawn lines
+ **/
+function resampleStrokes (strokes, count) {
+  let drawnLength = 0;
+  for (const stroke of strokes) {
+    for (let i = 1; i < stroke.length; i++) {
+      drawnLength += Math.hypot(stroke[i][0] - stroke[i - 1][0], stroke[i][1] - stroke[i - 1][1]);
+    }
+  }
+  const interval = drawnLength / (count - 1);
+
+  const firstPoint = strokes[0][0];
+  const lastStroke = strokes[strokes.length - 1];
+  const lastPoint = lastStroke[lastStroke.length - 1];
+
+  const resampledPoints = [ firstPoint ];
+
+  // a path without any length can only be represented by its starting point
+  if (interval > 0) {
+    let accumulatedDistance = 0;
+
+    for (const stroke of strokes) {
+      // continue measuring at the start of the stroke, the gap to the previous stroke is not drawn
+      let previousPoint = stroke[0];
+
+      for (let i = 1; i < stroke.length; i++) {
+        let currentPoint = stroke[i];
+        let distance = Math.hypot(currentPoint[0] - previousPoint[0], currentPoint[1] - previousPoint[1]);
+
+        // add new points as long as the remaining segment is longer than the interval
+        while (accumulatedDistance + distance >= interval && resampledPoints.length < count) {
+          const ratio = (interval - accumulatedDistance) / distance;
+          const newPoint = [
+            previousPoint[0] + ratio * (currentPoint[0] - previousPoint[0]),
+            previousPoint[1] + ratio * (currentPoint[1] - previousPoint[1])
+          ];
+          resampledPoints.push(newPoint);
+          // continue measuring from the new point
+          previousPoint = newPoint;
+          distance = Math.hypot(currentPoint[0] - previousPoint[0], currentPoint[1] - previousPoint[1]);
+          accumulatedDistance = 0;
+        }
+
+        accumulatedDistance += distance;
+        previousPoint = currentPoint;
+      }
+    }
+  }
+
+  // fill up missing points caused by floating point errors with the last point
+  while (resampledPoints.length < count) {
+    resampledPoints.push(lastPoint);
+  }
+
+  return resampledPoints;
+}
+
+
+/**
+ * Translates the centroid of the given points to 0, 0 and scales them uniformly to fit into a unit square
+ * Uniform scaling is used so straight lines keep their direction
+ **/
+function normalizePoints (points) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  let centroidX = 0, centroidY = 0;
+
+  for (const point of points) {
+    minX = Math.min(minX, point[0]);
+    minY = Math.min(minY, point[1]);
+    maxX = Math.max(maxX, point[0]);
+    maxY = Math.max(maxY, point[1]);
+    centroidX += point[0] / points.length;
+    centroidY += point[1] / points.length;
+  }
+
+  const size = Math.max(maxX - minX, maxY - minY) || 1;
+
+  return points.map(point => [
+    (point[0] - centroidX) / size,
+    (point[1] - centroidY) / size
+  ]);
+}
+
+
+/**
+ * Returns the smallest average point distance of 2 point arrays while rotating the first one within the given angle range
+ * Uses a golden section search to find the best matching angle
+ **/
+function distanceAtBestAngle (pointsA, pointsB, fromAngle, toAngle, precision) {
+  const phi = (Math.sqrt(5) - 1) / 2;
+
+  let x1 = phi * fromAngle + (1 - phi) * toAngle;
+  let f1 = averagePointDistance(rotatePoints(pointsA, x1), pointsB);
+  let x2 = (1 - phi) * fromAngle + phi * toAngle;
+  let f2 = averagePointDistance(rotatePoints(pointsA, x2), pointsB);
+
+  while (Math.abs(toAngle - fromAngle) > precision) {
+    if (f1 < f2) {
+      toAngle = x2;
+      x2 = x1;
+      f2 = f1;
+      x1 = phi * fromAngle + (1 - phi) * toAngle;
+      f1 = averagePointDistance(rotatePoints(pointsA, x1), pointsB);
+    }
+    else {
+      fromAngle = x1;
+      x1 = x2;
+      f1 = f2;
+      x2 = (1 - phi) * fromAngle + phi * toAngle;
+      f2 = averagePointDistance(rotatePoints(pointsA, x2), pointsB);
+    }
+  }
+
+  return Math.min(f1, f2);
+}
+
+
+/**
+ * Rotates the given points around 0, 0 by the given angle in radians
+ **/
+function rotatePoints (points, angle) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return points.map(point => [
+    point[0] * cos - point[1] * sin,
+    point[0] * sin + point[1] * cos
+  ]);
+}
+
+
+/**
+ * Returns the average distance of the corresponding points of 2 equally sized point arrays
+ **/
+function averagePointDistance (pointsA, pointsB) {
+  let totalDistance = 0;
+  for (let i = 0; i < pointsA.length; i++) {
+    totalDistance += Math.hypot(pointsA[i][0] - pointsB[i][0], pointsA[i][1] - pointsB[i][1]);
+  }
+  return totalDistance / pointsA.length;
+}
+
+
+/**
+ * Calculates the overlap range of 2 line segments
+ **/
+function overlapProportion (minA, maxA, minB, maxB) {
+  return Math.max(0, Math.min(maxA, maxB) - Math.max(minA, minB))
+}
+
+
+/**
+ * Calculates the length/magnitude of a pattern
+ **/
+function patternMagnitude (pattern) {
+  // pen-up vectors are not drawn and therefore not part of the magnitude
+  return pattern.reduce( (total, vector) => isPenUpVector(vector) ? total : total + Math.hypot(vector[0], vector[1]), 0 );
+}
+
+// number of buckets the gesture patterns are split into by the direction of their first vector
+const BUCKET_COUNT = 8;
+
+// angle range covered by a single bucket
+const BUCKET_ANGLE = 2 * Math.PI / BUCKET_COUNT;
+
+// maximum deviation of a first vector direction from the center direction of its bucket
+// expressed in the range of angleDifference [0, 1]
+const BUCKET_DIRECTION_DEVIATION = 1 / BUCKET_COUNT;
+
+/**
+ * Pre-computed lookup structure to quickly find the gestures matching a pattern
+ * The descriptors (vector directions and magnitudes) of all gesture patterns and samples are calculated once
+ * and grouped in buckets by the direction of their first vector
+ * Buckets and patterns that cannot match the given pattern are skipped based on a lower bound of their DTW difference
+ * The DTW calculation itself is aborted early once the deviation tolerance is exceeded
+ * It is limited to the same band along the diagonal as the linear matching functions, so the differences are identical
+ * The index needs to be recreated whenever the gestures change
+ **/
+class GestureIndex {
+
+  constructor (gestures = []) {
+    this._gestureCount = 0;
+    this._buckets = Array.from({ length: BUCKET_COUNT }, () => ({
+      entries: [],
+      // maximum vector count of all contained patterns
+      maxPatternLength: 0,
+      // maximum deviation tolerance of all contained gestures which define their own tolerance
+      maxDeviationTolerance: 0,
+      // whether the bucket contains gestures that use the global deviation tolerance
+      usesDefaultDeviationTolerance: false
+    }));
+
+    for (const gesture of gestures) {
+      const order = this._gestureCount++;
+      const deviationTolerance = getGestureDeviationTolerance(gesture, null);
+
+      for (const pattern of getGesturePatterns(gesture)) {
+        if (pattern.length === 0) continue;
+
+        const descriptor = describePattern(pattern);
+        const bucket = this._buckets[getBucketIndex(descriptor.angles[0])];
+
+        bucket.entries.push({
+          gesture: gesture,
+          order: order,
+          descriptor: descriptor,
+          deviationTolerance: deviationTolerance
+        });
+
+        bucket.maxPatternLength = Math.max(bucket.maxPatternLength, pattern.length);
+        if (deviationTolerance === null) bucket.usesDefaultDeviationTolerance = true;
+        else bucket.maxDeviationTolerance = Math.max(bucket.maxDeviationTolerance, deviationTolerance);
+      }
+    }
+  }
+
+
+  /**
+   * Returns the number of indexed gestures
+   **/
+  get size () {
+    return this._gestureCount;
+  }
+
+
+  /**
+   * Returns an array of all gestures that match the given pattern below their deviation value
+   * Equivalent to getGestureCandidatesByPattern but makes use of the pre-computed data
+   * Each candidate is an object containing the gesture and its difference score
+   * The candidates are sorted by their difference, starting with the best matching gesture
+   * allowed algorithms: strict, shape-independent, template & combined (default)
+   **/
+  getCandidates (pattern, maxDeviation = 1, algorithm, constraints = {}) {
+    if (pattern.length === 0) return [];
+
+    const descriptor = describePattern(pattern);
+    const firstAngle = descriptor.angles[0];
+    const lastAngle = descriptor.angles[descriptor.angles.length - 1];
+    // the strict and template algorithms do not use DTW so the lower bound cannot be applied
+    const isDTWBased = algorithm !== "strict" && algorithm !== "template";
+
+    // stores the best candidate of each gesture
+    const candidates = new Map();
+
+    for (let i = 0; i < BUCKET_COUNT; i++) {
+      const bucket = this._buckets[i];
+      if (bucket.entries.length === 0) continue;
+
+      if (isDTWBased) {
+        const bucketDeviationTolerance = bucket.usesDefaultDeviationTolerance
+          ? Math.max(maxDeviation, bucket.maxDeviationTolerance)
+          : bucket.maxDeviationTolerance;
+        // the first vectors of all patterns in this bucket deviate at least this much from the first vector of the given pattern
+        const minimumFirstCost = Math.max(0, angleDifference(firstAngle, getBucketAngle(i)) - BUCKET_DIRECTION_DEVIATION);
+        if (minimumFirstCost / Math.max(pattern.length, bucket.maxPatternLength) > bucketDeviationTolerance) continue;
+      }
+
+      for (const entry of bucket.entries) {
+        const previousCandidate = candidates.get(entry.gesture);
+        // skip further samples of gestures that already matched perfectly
+        if (previousCandidate?.difference === 0) continue;
+
+        if (!isGestureMatchingConstraints(entry.gesture, constraints)) continue;
+
+        const deviationTolerance = entry.deviationTolerance ?? maxDeviation;
+        const entryLength = entry.descriptor.angles.length;
+        const maxLength = Math.max(pattern.length, entryLength);
+
+        if (isDTWBased) {
+          // every warping path starts with the first and ends with the last vectors of both patterns
+          let minimumCost = angleDifference(firstAngle, entry.descriptor.angles[0]);
+          if (maxLength > 1) minimumCost += angleDifference(lastAngle, entry.descriptor.angles[entryLength - 1]);
+          if (minimumCost / maxLength > deviationTolerance) continue;
+        }
+
+        const difference = descriptorDifference(descriptor, entry.descriptor, deviationTolerance, algorithm);
+
+        if (difference !== Infinity && (!previousCandidate || difference < previousCandidate.difference)) {
+          candidates.set(entry.gesture, { gesture: entry.gesture, difference: difference, order: entry.order });
+        }
+      }
+    }
+
+    // on equal differences the gesture that was indexed first wins
+    return applyGesturePrecedence(
+      Array.from(candidates.values())
+        .sort((a, b) => a.difference - b.difference || a.order - b.order)
+        .map(({ gesture, difference }) => ({ gesture: gesture, difference: difference })),
+      maxDeviation,
+      algorithm
+    );
+  }
 }
 
 
 /**
- * Handles and prevents context menu if needed
+ * Returns the index of the bucket whose center direction is the closest to the given angle
  **/
-function handleContextmenu (event) {
-  if (event.isTrusted && preventDefault && event.button === toSingleButton(mouseButton) && mouseButton === RIGHT_MOUSE_BUTTON) {
-    // prevent contextmenu
-    event.stopPropagation();
-    event.preventDefault();
-  }
+function getBucketIndex (angle) {
+  const index = Math.round(angle / BUCKET_ANGLE);
+  return ((index % BUCKET_COUNT) + BUCKET_COUNT) % BUCKET_COUNT;
 }
 
 
 /**
- * Handles and prevents click event if needed
+ * Returns the center direction of the given bucket in the range of Math.atan2
  **/
-function handleClick (event) {
-  // event.detail because a click event can be fired without clicking (https://stackoverflow.com/questions/4763638/enter-triggers-button-click)
-  // timeStamp check ensures that the click is fired by mouseup
-  if (event.isTrusted && preventDefault && event.button === toSingleButton(mouseButton) && (mouseButton === LEFT_MOUSE_BUTTON || mouseButton === MIDDLE_MOUSE_BUTTON) && event.detail && event.timeStamp === lastMouseup) {
-    // prevent left and middle click
-    event.stopPropagation();
-    event.preventDefault();
-  }
+function getBucketAngle (index) {
+  return index * BUCKET_ANGLE;
 }
 
 /**
- * Helper class to create a pattern alongside mouse movement from points
- * A Pattern is a combination/array of 2D Vectors while each Vector is an array
+ * This class represents a user defined exclusion which disables certain gesture controllers for all urls matching its url pattern
+ * Exclusions of older versions only consist of the url pattern string, in this case all controllers are disabled
+ * Exclusions that disable all controllers are stored without the controllers, so they also disable controllers added in later versions
+ * Inside embedded frames the exclusion can either be matched against the url of the frame or the url of the tab
+ * The url pattern is interpreted with the stored syntax, exclusions of older versions are always wildcard patterns
+ * It is designed to allow easy conversation from and to JSON
  **/
-class PatternConstructor {
-
-  constructor (differenceThreshold = 0, distanceThreshold = 0) {
-    this.differenceThreshold = differenceThreshold;
-    this.distanceThreshold = distanceThreshold;
+class Exclusion {
+  constructor (urlPattern, controllers = Exclusion.CONTROLLERS) {
+    // if first argument is an object assume the exclusion data is given in JSON
+    if (arguments.length === 1 && isObject(arguments[0]) && arguments[0].hasOwnProperty("urlPattern")) {
+      this._urlPattern = arguments[0].urlPattern;
+      this._controllers = arguments[0].controllers ?? Exclusion.CONTROLLERS;
+      this._matchTabURL = arguments[0].matchTabURL ?? false;
+      this._urlPatternType = arguments[0].urlPatternType ?? "wildcard";
+    }
+    else {
+      if (typeof urlPattern !== "string") throw "The first argument must be of type string.";
+      if (!Array.isArray(controllers)) throw "The second argument must be an array.";
 
-    this._lastExtractedPointX = null;
-    this._lastExtractedPointY = null;
-    this._previousPointX = null;
-    this._previousPointY = null;
-    this._lastPointX = null;
-    this._lastPointY = null;
-    this._previousVectorX = null;
-    this._previousVectorY = null;
+      this._urlPattern = urlPattern;
+      this._controllers = controllers;
+      this._matchTabURL = false;
+      this._urlPatternType = "wildcard";
+    }
+    // ignore unknown controllers, this also copies the array so Exclusion.CONTROLLERS is never modified
+    this._controllers = this._controllers.filter(controller => Exclusion.CONTROLLERS.includes(controller));
+  }
 
-    this._extractedVectors = [];
+  /**
+   * Converts the class instance to a JavaScript object
+   * This function is also automatically called when the JSON.stringify() option is invoked on an instance of this class
+   **/
+  toJSON () {
+    const obj = {
+      urlPattern: this._urlPattern
+    };
+    if (!Exclusion.CONTROLLERS.every(controller => this._controllers.includes(controller))) obj.controllers = this._controllers;
+    if (this._urlPatternType !== "wildcard") obj.urlPatternType = this._urlPatternType;
+    if (this._matchTabURL) obj.matchTabURL = this._matchTabURL;
+    return obj;
   }
 
   /**
-   * Resets the internal class variables and clears the constructed pattern
+   * Returns true if the given url matches the url pattern of the exclusion
    **/
-  clear () {
-    // clear extracted vectors
-    this._extractedVectors.length = 0;
-    // reset variables
-    this._lastExtractedPointX = null;
-    this._lastExtractedPointY = null;
-    this._previousPointX = null;
-    this._previousPointY = null;
-    this._lastPointX = null;
-    this._lastPointY = null;
-    this._previousVectorX = null;
-    this._previousVectorY = null;
+  matchesURL (url) {
+    return matchesURLPattern(this._urlPattern, url, this._urlPatternType);
+  }
+
+  getURLPattern () {
+    return this._urlPattern;
   }
 
+  setURLPattern (value) {
+    if (typeof value !== "string") throw "The passed argument must be of type string.";
+    this._urlPattern = value;
+  }
 
   /**
-   * Add a point to the constructor
-   * Returns an integer value:
-   * 1 if the added point passed the distance threshold [PASSED_DISTANCE_THRESHOLD]
-   * 2 if the added point also passed the difference threshold [PASSED_DIFFERENCE_THRESHOLD]
-   * else 0 [PASSED_NO_THRESHOLD]
+   * Returns the syntax the url pattern is interpreted with (see URL_PATTERN_TYPES)
    **/
-  addPoint (x, y) {
-    // return variable
-    let changeIndicator = 0;
-    // on first point / if no previous point exists
-    if (this._previousPointX === null || this._previousPointY === null) {
-      // set first extracted point
-      this._lastExtractedPointX = x;
-      this._lastExtractedPointY = y;
-      // set previous point to first point
-      this._previousPointX = x;
-      this._previousPointY = y;
-    }
-
-    else {
-      const newVX = x - this._previousPointX;
-      const newVY = y - this._previousPointY;
+  getURLPatternType () {
+    return this._urlPatternType;
+  }
 
-      const vectorDistance = Math.hypot(newVX, newVY);
-      if (vectorDistance > this.distanceThreshold) {
-        // on second point / if no previous vector exists
-        if (this._previousVectorX === null || this._previousVectorY === null) {
-          // store previous vector
-          this._previousVectorX = newVX;
-          this._previousVectorY = newVY;
-        }
-        else {
-          // calculate vector difference
-          const vectorDifference = vectorDirectionDifference(this._previousVectorX, this._previousVectorY, newVX, newVY);
-          if (Math.abs(vectorDifference) > this.differenceThreshold) {
-            // store new extracted vector
-            this._extractedVectors.push([
-              this._previousPointX - this._lastExtractedPointX,
-              this._previousPointY - this._lastExtractedPointY
-            ]);
-            // update previous vector
-            this._previousVectorX = newVX;
-            this._previousVectorY = newVY;
-            // update last extracted point
-            this._lastExtractedPointX = this._previousPointX;
-            this._lastExtractedPointY = this._previousPointY;
-            // update change variable
-            changeIndicator++;
-          }
-        }
-        // update previous point
-        this._previousPointX = x;
-        this._previousPointY = y;
-        // update change variable
-        changeIndicator++;
-      }
-    }
-    // always store the last point
-    this._lastPointX = x;
-    this._lastPointY = y;
+  setURLPatternType (value) {
+    if (!URL_PATTERN_TYPES.includes(value)) throw "The passed argument must be wildcard, match-pattern or regex.";
+    this._urlPatternType = value;
+  }
 
-    return changeIndicator;
+  /**
+   * Returns the names of the controllers (see Exclusion.CONTROLLERS) that are disabled by the exclusion
+   **/
+  getControllers () {
+    return this._controllers;
   }
 
+  setControllers (value) {
+    if (!Array.isArray(value) || !value.every(controller => Exclusion.CONTROLLERS.includes(controller))) throw "The passed argument must be an array of controller names.";
+    this._controllers = value;
+  }
 
   /**
-   * Returns the current constructed pattern
-   * Adds the last added point as the current end point
+   * Returns whether the exclusion is matched against the url of the tab instead of the url of the frame
    **/
-  getPattern () {
-    // check if variables contain point values
-    if (this._lastPointX === null || this._lastPointY === null || this._lastExtractedPointX === null || this._lastExtractedPointY === null) {
-      return [];
-    }
-    // calculate vector from last extracted point to ending point
-    const lastVector = [
-      this._lastPointX - this._lastExtractedPointX,
-      this._lastPointY - this._lastExtractedPointY
-    ];
-    return [...this._extractedVectors, lastVector];
+  getMatchTabURL () {
+    return this._matchTabURL;
   }
-}
 
-// TODO: move these inside the class using the "static" keyword once eslint finally supports it
-PatternConstructor.PASSED_NO_THRESHOLD = 0;
+  setMatchTabURL (value) {
+    if (typeof value !== "boolean") throw "The passed argument must be of type boolean.";
+    this._matchTabURL = value;
+  }
 
-PatternConstructor.PASSED_DISTANCE_THRESHOLD = 1;
+  /**
+   * Returns true if the given controller is disabled by the exclusion
+   **/
+  excludesController (controller) {
+    return this._controllers.includes(controller);
+  }
+}
 
-PatternConstructor.PASSED_DIFFERENCE_THRESHOLD = 2;
+// names of the controllers that can be disabled by an exclusion
+Exclusion.CONTROLLERS = ["mouse", "rocker", "wheel", "press"];
 
 /**
  * MouseGestureView "singleton"
@@ -1472,6 +2947,7 @@ PatternConstructor.PASSED_DIFFERENCE_THRESHOLD = 2;
 var MouseGestureView = {
   initialize: initialize,
   updateGestureTrace: updateGestureTrace,
+  startGestureStroke: startGestureStroke,
   updateGestureCommand: updateGestureCommand,
   terminate: terminate,
 
@@ -1542,6 +3018,15 @@ var MouseGestureView = {
   },
   set gestureCommandVerticalPosition (value) {
     Command.style.setProperty("--verticalPosition", value);
+  },
+
+  // active profile name, an empty string hides the profile label
+
+  get gestureProfileName () {
+    return Profile.textContent;
+  },
+  set gestureProfileName (value) {
+    Profile.textContent = value;
   }
 };
 
@@ -1565,6 +3050,7 @@ function initialize (x, y) {
   else {
     document.body.appendChild(Overlay);
   }
+  if (Profile.textContent) Overlay.appendChild(Profile);
   // store starting point
   lastPoint.x = x;
   lastPoint.y = y;
@@ -1610,10 +3096,23 @@ function updateGestureTrace (points) {
 }
 
 
+/**
+ * start a new stroke of a multi-stroke gesture at the given point
+ * the trace is continued from this point without connecting it to the previous stroke
+ */
+function startGestureStroke (x, y) {
+  lastPoint.x = x;
+  lastPoint.y = y;
+}
+
+
 /**
  * update command on match
+ * if an array of commands is passed all of them will be displayed (used for ambiguous matches)
  **/
 function updateGestureCommand (command) {
+  if (Array.isArray(command)) command = command.join(" / ");
+
   if (command && Overlay.isConnected) {
     Command.textContent = command;
     if (!Overlay.contains(Command)) Overlay.appendChild(Command);
@@ -1629,6 +3128,7 @@ function terminate () {
   Overlay.remove();
   Canvas.remove();
   Command.remove();
+  Profile.remove();
   // clear canvas
   Context.clearRect(0, 0, Canvas.width, Canvas.height);
   // reset trace line width
@@ -1685,6 +3185,23 @@ const Command = document.createElementNS("http://www.w3.org/1999/xhtml", "div");
         pointer-events: none !important;
       `;
 
+const Profile = document.createElementNS("http://www.w3.org/1999/xhtml", "div");
+      Profile.style = `
+        all: initial !important;
+        position: absolute !important;
+        top: 0.5em !important;
+        left: 0.5em !important;
+        font-family: "NunitoSans Regular", "Arial", sans-serif !important;
+        font-size: 12px !important;
+        line-height: normal !important;
+        color: #FFF !important;
+        background-color: rgba(0,0,0, 0.5) !important;
+        padding: 0.2em 0.5em !important;
+        border-radius: 0.3em !important;
+
+        pointer-events: none !important;
+      `;
+
 
 let gestureTraceLineWidth = 10,
     gestureTraceLineGrowth = true;
@@ -1767,6 +3284,9 @@ const PopupURL = new URL(browser.runtime.getURL("/core/views/popup-command-view/
 let mousePositionX = 0,
     mousePositionY = 0;
 
+// passive popups (e.g. the tab switcher) are not focused and ignore all mouse events
+let passive = false;
+
 // setup background/command message event listener for top frame
 if (!isEmbeddedFrame()) browser.runtime.onMessage.addListener(handleMessage);
 
@@ -1795,7 +3315,12 @@ function handleMessage (message) {
  **/
 async function loadPopup (data) {
   // if popup is still appended to DOM
-  if (Popup.isConnected) {
+  // passive popups are never focused and therefore cannot be closed via blur
+  // removing them directly also closes their connection
+  if (Popup.isConnected && passive) {
+    terminatePopup();
+  }
+  else if (Popup.isConnected) {
     // trigger the terminate event in the iframe/popup via blur
     // wait for the popup termination message and its removal by the terminatePopup function
     // otherwise the termination message / terminatePopup function may remove the newly created popup
@@ -1826,6 +3351,10 @@ async function loadPopup (data) {
       transition: opacity .3s !important;
       visibility: hidden !important;
     `;
+  // let mouse events pass through so the page still receives the release of the held mouse button
+  passive = Boolean(data.passive);
+  if (passive) Popup.style.setProperty('pointer-events', 'none', 'important');
+
   const popupLoaded = new Promise((resolve, reject) => {
     Popup.onload = resolve;
   });
@@ -1907,6 +3436,7 @@ async function terminatePopup () {
   // reset variables
   mousePositionX = 0;
   mousePositionY = 0;
+  passive = false;
 }
 
 /**
@@ -2077,7 +3607,25 @@ const Config = new ConfigManager("local", browser.runtime.getURL("resources/json
 ListenerObserver.onDetach.addListener(main);
 
 // setup pattern extractor
-const patternConstructor = new PatternConstructor(0.12, 10);
+const patternConstructor = new PatternConstructor(
+  PatternConstructor.DEFAULT_DIFFERENCE_THRESHOLD,
+  PatternConstructor.DEFAULT_DISTANCE_THRESHOLD
+);
+
+// pre-computed matching data of the mouse gestures used to display the matching gesture while the gesture is performed
+// the command execution is still handled by the background script
+// the index is built from plain gesture objects (see createMatchingGesture) to keep the content script small
+let mouseGestureIndex = new GestureIndex();
+
+// site rules in the order of their priority, each with the pre-computed matching data of its gestures
+let siteRules = [];
+
+// the modifier keys used for the last displayed matching gesture
+let displayedModifierKeys = "";
+
+// the contexts of the target the current mouse gesture was started on
+// used to match both the displayed gesture name and the executed gesture
+let targetContexts = [];
 
 // Define mouse gesture controller event listeners and connect them to the mouse gesture interface methods
 // Also sends the appropriate messages to the background script
@@ -2090,6 +3638,7 @@ const patternConstructor = new PatternConstructor(0.12, 10);
 MouseGestureController.addEventListener("start", (event, events) => {
   // expose target to global variable
   window.TARGET = event.target;
+  targetContexts = getTargetContexts(window.TARGET);
 
   // handle mouse gesture interface
   if (Config.get("Settings.Gesture.Trace.display") || Config.get("Settings.Gesture.Command.display")) {
@@ -2121,6 +3670,28 @@ MouseGestureController.addEventListener("start", (event, events) => {
 });
 
 
+MouseGestureController.addEventListener("stroke", (event, events) => {
+  // separate the new stroke from the previous one in the pattern
+  patternConstructor.startStroke(event.clientX, event.clientY);
+
+  // continue the trace from the start of the new stroke
+  if (Config.get("Settings.Gesture.Trace.display")) {
+    if (!IS_EMBEDDED_FRAME || document.fullscreenElement) {
+      MouseGestureView.startGestureStroke(event.clientX, event.clientY);
+    }
+    else {
+      browser.runtime.sendMessage({
+        subject: "mouseGestureViewStartGestureStroke",
+        data: {
+          x: event.clientX + window.mozInnerScreenX,
+          y: event.clientY + window.mozInnerScreenY
+        }
+      });
+    }
+  }
+});
+
+
 MouseGestureController.addEventListener("update", (event, events) => {
   // get coalesced events
   // include fallback if getCoalescedEvents is not defined
@@ -2131,17 +3702,30 @@ MouseGestureController.addEventListener("update", (event, events) => {
 
 
 function mouseGestureUpdate(coalescedEvents) {
+  let patternChange = false;
   // build gesture pattern
   for (const event of coalescedEvents) {
-    const patternChange = patternConstructor.addPoint(event.clientX, event.clientY);
-    if (patternChange && Config.get("Settings.Gesture.Command.display")) {
-      // send current pattern to background script
-      const response = browser.runtime.sendMessage({
-        subject: "gestureChange",
-        data: patternConstructor.getPattern()
+    if (patternConstructor.addPoint(event.clientX, event.clientY)) patternChange = true;
+  }
+
+  // also update the command if a modifier key was pressed or released since the modifier variant of a gesture might match
+  const modifierKeys = MouseGestureController.modifierKeys.join();
+  const modifierKeysChange = modifierKeys !== displayedModifierKeys;
+  displayedModifierKeys = modifierKeys;
+
+  // handle mouse gesture command update
+  // the matching gesture is determined locally so the command is updated together with the trace
+  if ((patternChange || modifierKeysChange) && Config.get("Settings.Gesture.Command.display")) {
+    const gestureName = getMatchingGestureName(patternConstructor.getPattern());
+
+    if (!IS_EMBEDDED_FRAME || document.fullscreenElement) {
+      MouseGestureView.updateGestureCommand(gestureName);
+    }
+    else {
+      browser.runtime.sendMessage({
+        subject: "mouseGestureViewUpdateGestureCommand",
+        data: gestureName
       });
-      // update command in gesture view
-      response.then(MouseGestureView.updateGestureCommand);
     }
   }
 
@@ -2198,6 +3782,11 @@ MouseGestureController.addEventListener("end", (event, events) => {
   // gather target data and gesture pattern
   const data = getTargetData(window.TARGET);
         data.pattern = patternConstructor.getPattern();
+        data.patternLength = getRelativePatternLength(data.pattern);
+        data.modifierKeys = MouseGestureController.modifierKeys;
+        // use the contexts the displayed gesture name was matched with
+        // the target data may differ since the target or text selection can change during the gesture
+        data.contexts = targetContexts;
         // transform coordinates to css screen coordinates
         data.mousePosition = {
           x: event.clientX + window.mozInnerScreenX,
@@ -2236,26 +3825,46 @@ if (!IS_EMBEDDED_FRAME) {
         MouseGestureView.updateGestureTrace(message.data.points);
       break;
 
+      case "mouseGestureViewStartGestureStroke":
+        // remap point to client wide css coordinates
+        MouseGestureView.startGestureStroke(
+          message.data.x - window.mozInnerScreenX,
+          message.data.y - window.mozInnerScreenY
+        );
+      break;
+
       case "mouseGestureViewTerminate":
         MouseGestureView.terminate();
       break;
 
-      case "matchingGesture":
+      case "mouseGestureViewUpdateGestureCommand":
         MouseGestureView.updateGestureCommand(message.data);
       break;
     }
   });
 }
 
-// define wheel and rocker gesture controller event listeners
+// define wheel, rocker and press gesture controller event listeners
 // combine them to one function, since they all do the same except the subject they send to the background script
 
-WheelGestureController.addEventListener("wheelup", event => handleRockerAndWheelEvents("wheelUp", event));
-WheelGestureController.addEventListener("wheeldown", event => handleRockerAndWheelEvents("wheelDown", event));
+WheelGestureController.addEventListener("wheelup", (event, binding) => handleRockerAndWheelEvents("wheelUp", event, binding));
+WheelGestureController.addEventListener("wheeldown", (event, binding) => handleRockerAndWheelEvents("wheelDown", event, binding));
+WheelGestureController.addEventListener("wheelleft", (event, binding) => handleRockerAndWheelEvents("wheelLeft", event, binding));
+WheelGestureController.addEventListener("wheelright", (event, binding) => handleRockerAndWheelEvents("wheelRight", event, binding));
+// the release only needs to be reported to the background script if the tab switcher is used
+WheelGestureController.addEventListener("release", () => {
+  if (Config.get("Settings.Wheel.tabSwitcher")) browser.runtime.sendMessage({ subject: "wheelRelease" });
+});
 RockerGestureController.addEventListener("rockerleft", event => handleRockerAndWheelEvents("rockerLeft", event));
 RockerGestureController.addEventListener("rockerright", event => handleRockerAndWheelEvents("rockerRight", event));
+PressGestureController.addEventListener("longpress", event => handleRockerAndWheelEvents("longPress", event));
+PressGestureController.addEventListener("doubleclick", event => handleRockerAndWheelEvents("doubleClick", event));
 
-function handleRockerAndWheelEvents (subject, event) {
+/**
+ * The wheel binding is the index of the additional wheel binding that fired the wheel gesture
+ * It is null for rocker gestures, press gestures and wheel gestures of the default mouse button
+ **/
+function handleRockerAndWheelEvents (subject, event, wheelBinding = null) {
   // expose target to global variable
   window.TARGET = event.target;
 
@@ -2271,10 +3880,12 @@ function handleRockerAndWheelEvents (subject, event) {
           y: event.clientY + window.mozInnerScreenY
         };
   // send data to background script
-  browser.runtime.sendMessage({
+  const message = {
     subject: subject,
     data: data
-  });
+  };
+  if (wheelBinding !== null) message.wheelBinding = wheelBinding;
+  browser.runtime.sendMessage(message);
 }
 
 
@@ -2294,15 +3905,38 @@ async function main () {
     patternConstructor.distanceThreshold = Config.get("Settings.Gesture.patternDistanceThreshold");
   }
 
+  // rebuild gesture index
+  mouseGestureIndex = new GestureIndex(
+    Config.get("Gestures").map(createMatchingGesture)
+  );
+
+  siteRules = Config.get("SiteRules").map(rule => ({
+    urlPattern: rule.urlPattern,
+    urlPatternType: rule.urlPatternType ?? "wildcard",
+    replaceGestures: rule.replaceGestures ?? false,
+    gestureIndex: new GestureIndex((rule.gestures ?? []).map(createMatchingGesture))
+  }));
+
   // apply all settings
   MouseGestureController.mouseButton = Config.get("Settings.Gesture.mouseButton");
   MouseGestureController.suppressionKey = Config.get("Settings.Gesture.suppressionKey");
   MouseGestureController.distanceThreshold = Config.get("Settings.Gesture.distanceThreshold");
   MouseGestureController.timeoutActive = Config.get("Settings.Gesture.Timeout.active");
   MouseGestureController.timeoutDuration = Config.get("Settings.Gesture.Timeout.duration");
+  MouseGestureController.multiStrokeActive = Config.get("Settings.Gesture.MultiStroke.active");
+  MouseGestureController.multiStrokeDelay = Config.get("Settings.Gesture.MultiStroke.delay");
 
   WheelGestureController.mouseButton = Config.get("Settings.Wheel.mouseButton");
   WheelGestureController.wheelSensitivity = Config.get("Settings.Wheel.wheelSensitivity");
+  WheelGestureController.bindings = Config.get("Settings.Wheel.bindings");
+
+  PressGestureController.mouseButton = Config.get("Settings.Gesture.mouseButton");
+  PressGestureController.suppressionKey = Config.get("Settings.Gesture.suppressionKey");
+  PressGestureController.distanceThreshold = Config.get("Settings.Gesture.distanceThreshold");
+  PressGestureController.longPressActive = Config.get("Settings.LongPress.active");
+  PressGestureController.longPressDuration = Config.get("Settings.LongPress.duration");
+  PressGestureController.doubleClickActive = Config.get("Settings.DoubleClick.active");
+  PressGestureController.doubleClickInterval = Config.get("Settings.DoubleClick.interval");
 
   MouseGestureView.gestureTraceLineColor = Config.get("Settings.Gesture.Trace.Style.strokeStyle");
   MouseGestureView.gestureTraceLineWidth = Config.get("Settings.Gesture.Trace.Style.lineWidth");
@@ -2312,49 +3946,121 @@ async function main () {
   MouseGestureView.gestureCommandBackgroundColor = Config.get("Settings.Gesture.Command.Style.backgroundColor");
   MouseGestureView.gestureCommandHorizontalPosition = Config.get("Settings.Gesture.Command.Style.horizontalPosition");
   MouseGestureView.gestureCommandVerticalPosition = Config.get("Settings.Gesture.Command.Style.verticalPosition");
+  // only display the active profile if the user can switch between multiple profiles
+  MouseGestureView.gestureProfileName = Config.get("Profiles").length > 1 ? Config.get("ActiveProfile") : "";
 
   PopupCommandView.theme = Config.get("Settings.General.theme");
 
-  // check if current url is not listed in the exclusions
-  if (!Config.get("Exclusions").some(matchesCurrentURL)) {
-    // enable mouse gesture controller
-    MouseGestureController.enable();
-
-    // enable/disable rocker gesture
-    if (Config.get("Settings.Rocker.active")) {
-      RockerGestureController.enable();
-    }
-    else {
-      RockerGestureController.disable();
+  const exclusions = Config.get("Exclusions").map(exclusion => new Exclusion(exclusion));
+  // embedded frames need to request the tab url from the background script
+  const tabURL = IS_EMBEDDED_FRAME && exclusions.some(exclusion => exclusion.getMatchTabURL())
+    ? await browser.runtime.sendMessage({ subject: "tabURL" })
+    : window.location.href;
+
+  // get all controllers that are disabled by the exclusions matching the current url
+  const excludedControllers = new Set();
+  for (const exclusion of exclusions) {
+    if (exclusion.matchesURL(exclusion.getMatchTabURL() ? tabURL : window.location.href)) {
+      exclusion.getControllers().forEach(controller => excludedControllers.add(controller));
     }
+  }
 
-    // enable/disable wheel gesture
-    if (Config.get("Settings.Wheel.active")) {
-      WheelGestureController.enable();
-    }
-    else {
-      WheelGestureController.disable();
-    }
+  // enable/disable mouse gesture
+  if (!excludedControllers.has("mouse")) {
+    MouseGestureController.enable();
   }
-  // if url is excluded disable everything
   else {
     MouseGestureController.disable();
+  }
+
+  // enable/disable rocker gesture
+  if (Config.get("Settings.Rocker.active") && !excludedControllers.has("rocker")) {
+    RockerGestureController.enable();
+  }
+  else {
     RockerGestureController.disable();
+  }
+
+  // enable/disable wheel gesture
+  if (Config.get("Settings.Wheel.active") && !excludedControllers.has("wheel")) {
+    WheelGestureController.enable();
+  }
+  else {
     WheelGestureController.disable();
   }
+
+  // enable/disable press gesture
+  if ((Config.get("Settings.LongPress.active") || Config.get("Settings.DoubleClick.active")) && !excludedControllers.has("press")) {
+    PressGestureController.enable();
+  }
+  else {
+    PressGestureController.disable();
+  }
+}
+
+
+/**
+ * returns the label of the gesture that best matches the given pattern
+ * if the two best gestures are too similar an array containing both labels will be returned
+ * if no gesture matches undefined will be returned
+ **/
+function getMatchingGestureName (pattern) {
+  const deviationTolerance = Config.get("Settings.Gesture.deviationTolerance");
+  const matchingAlgorithm = Config.get("Settings.Gesture.matchingAlgorithm");
+  const constraints = {
+    patternLength: getRelativePatternLength(pattern),
+    lengthThreshold: Config.get("Settings.Gesture.lengthThreshold"),
+    modifierKeys: MouseGestureController.modifierKeys,
+    contexts: targetContexts
+  };
+
+  // the gestures of the first matching site rule take precedence over the global gestures (same as in the background script)
+  const siteRule = siteRules.find(siteRule => matchesCurrentURL(siteRule.urlPattern, siteRule.urlPatternType));
+  let candidates = siteRule?.gestureIndex.getCandidates(pattern, deviationTolerance, matchingAlgorithm, constraints) ?? [];
+  if (candidates.length === 0 && !siteRule?.replaceGestures) {
+    candidates = mouseGestureIndex.getCandidates(pattern, deviationTolerance, matchingAlgorithm, constraints);
+  }
+
+  // if the top two candidates are too close return both names
+  if (isAmbiguousMatch(candidates, Config.get("Settings.Gesture.minimumMargin"))) {
+    return candidates.slice(0, 2).map(candidate => candidate.gesture.toString());
+  }
+  // if the mismatch ratio exceeded the deviation tolerance there is no candidate
+  return candidates[0]?.gesture.toString();
+}
+
+
+/**
+ * creates a lightweight gesture object from the given gesture JSON which only provides the methods required by the gesture index
+ * the Gesture model is not used here because its command would pull all command functions into the content script
+ * the string conversion returns the gesture label or the readable name of the command like the Gesture model
+ **/
+function createMatchingGesture (gesture) {
+  const patterns = [gesture.pattern, ...(gesture.samples ?? [])];
+  return {
+    getPattern: () => gesture.pattern,
+    getPatterns: () => patterns,
+    getDeviationTolerance: () => gesture.deviationTolerance ?? null,
+    getLength: () => gesture.length ?? null,
+    getModifierKey: () => gesture.modifierKey ?? null,
+    getContexts: () => gesture.contexts ?? [],
+    toString: () => gesture.label || browser.i18n.getMessage(`commandLabel${gesture.command.name}`)
+  };
+}
+
+
+/**
+ * returns the length of the given pattern in percent of the viewport diagonal
+ **/
+function getRelativePatternLength (pattern) {
+  return patternMagnitude(pattern) / Math.hypot(window.innerWidth, window.innerHeight) * 100;
 }
 
 
 /**
- * checks if the given url is a subset of the current url or equal
+ * checks if the current url matches the given url pattern interpreted with the given syntax
  * NOTE: window.location.href is returning the frame URL for frames and not the tab URL
  **/
-function matchesCurrentURL (urlPattern) {
-	// match special regex characters
-	const pattern = urlPattern.replace(/[-[\]{}()*+?.,\\^$|#\s]/g, (match) => {
-		// replace * with .* -> matches anything 0 or more times, else escape character
-		return match === '*' ? '.*' : '\\'+match;
-	});
-	// ^ matches beginning of input and $ matches ending of input
-	return new RegExp('^'+pattern+'$').test(window.location.href);
+function matchesCurrentURL (urlPattern, urlPatternType) {
+  return matchesURLPattern(urlPattern, window.location.href, urlPatternType);
 }
@@ -8,6 +8,13 @@ import {
   displayNotification
 } from "/core/utils/commons.mjs";
 
+import ConfigManager from "/core/helpers/config-manager.mjs";
+
+import { getProfileNames, getNextProfileName, switchProfile } from "/core/utils/profiles.mjs";
+
+// config used by the profile command, created on first use because the commands are also imported by other scripts
+let ProfileConfig = null;
+
 /*
  * Commands
  * Every command fulfills its promise when its internal processes finish
@@ -2173,4 +2180,32 @@ export async function ClearBrowsingData (sender, data) {
   });
   // confirm success
   return true;
+}
+
+
+export async function SwitchProfile (sender, data) {
+  if (!ProfileConfig) {
+    ProfileConfig = new ConfigManager("local", browser.runtime.getURL("/resources/json/defaults.json"));
+    ProfileConfig.autoUpdate = true;
+  }
+  await ProfileConfig.loaded;
+
+  // an empty profile setting cycles through all profiles
+  const profileName = this.getSetting("profile") || getNextProfileName(ProfileConfig);
+
+  if (!getProfileNames(ProfileConfig).includes(profileName)) {
+    displayNotification(
+      browser.i18n.getMessage('commandErrorNotificationTitle', browser.i18n.getMessage("commandLabelSwitchProfile")),
+      browser.i18n.getMessage('commandErrorNotificationMessageMissingProfile', profileName)
+    );
+    return;
+  }
+
+  await switchProfile(ProfileConfig, profileName);
+  displayNotification(
+    browser.i18n.getMessage("commandLabelSwitchProfile"),
+    browser.i18n.getMessage('commandNotificationMessageActiveProfile', profileName)
+  );
+  // confirm success
+  return true;
 }
\ No newline at end of file
@@ -1,4 +1,4 @@
-import { isEmbeddedFrame, isEditableInput, isScrollableY, scrollToY, getClosestElement, getTargetData } from "/core/utils/commons.mjs";
+import { isEmbeddedFrame, isEditableInput, isScrollableY, scrollToY, getClosestElement, getTargetData, getTargetContexts, matchesURLPattern } from "/core/utils/commons.mjs";
 
 import ConfigManager from "/core/helpers/config-manager.mjs";
 
@@ -8,8 +8,16 @@ import RockerGestureController from "/core/controllers/rocker-gesture-controller
 
 import WheelGestureController from "/core/controllers/wheel-gesture-controller.mjs";
 
+import PressGestureController from "/core/controllers/press-gesture-controller.mjs";
+
 import PatternConstructor from "/core/utils/pattern-constructor.mjs";
 
+import GestureIndex from "/core/utils/gesture-index.mjs";
+
+import { patternMagnitude, isAmbiguousMatch } from "/core/utils/matching-algorithms.mjs";
+
+import Exclusion from "/core/models/exclusion.mjs";
+
 import MouseGestureView from "/core/views/mouse-gesture-view/mouse-gesture-view.mjs";
 
 import PopupCommandView from "/core/views/popup-command-view/popup-command-view.mjs";
@@ -40,7 +48,25 @@ const Config = new ConfigManager("local", browser.runtime.getURL("resources/json
 ListenerObserver.onDetach.addListener(main);
 
 // setup pattern extractor
-const patternConstructor = new PatternConstructor(0.12, 10);
+const patternConstructor = new PatternConstructor(
+  PatternConstructor.DEFAULT_DIFFERENCE_THRESHOLD,
+  PatternConstructor.DEFAULT_DISTANCE_THRESHOLD
+);
+
+// pre-computed matching data of the mouse gestures used to display the matching gesture while the gesture is performed
+// the command execution is still handled by the background script
+// the index is built from plain gesture objects (see createMatchingGesture) to keep the content script small
+let mouseGestureIndex = new GestureIndex();
+
+// site rules in the order of their priority, each with the pre-computed matching data of its gestures
+let siteRules = [];
+
+// the modifier keys used for the last displayed matching gesture
+let displayedModifierKeys = "";
+
+// the contexts of the target the current mouse gesture was started on
+// used to match both the displayed gesture name and the executed gesture
+let targetContexts = [];
 
 // Define mouse gesture controller event listeners and connect them to the mouse gesture interface methods
 // Also sends the appropriate messages to the background script
@@ -53,6 +79,7 @@ const patternConstructor = new PatternConstructor(0.12, 10);
 MouseGestureController.addEventListener("start", (event, events) => {
   // expose target to global variable
   window.TARGET = event.target;
+  targetContexts = getTargetContexts(window.TARGET);
 
   // handle mouse gesture interface
   if (Config.get("Settings.Gesture.Trace.display") || Config.get("Settings.Gesture.Command.display")) {
@@ -84,6 +111,28 @@ MouseGestureController.addEventListener("start", (event, events) => {
 });
 
 
+MouseGestureController.addEventListener("stroke", (event, events) => {
+  // separate the new stroke from the previous one in the pattern
+  patternConstructor.startStroke(event.clientX, event.clientY);
+
+  // continue the trace from the start of the new stroke
+  if (Config.get("Settings.Gesture.Trace.display")) {
+    if (!IS_EMBEDDED_FRAME || document.fullscreenElement) {
+      MouseGestureView.startGestureStroke(event.clientX, event.clientY);
+    }
+    else {
+      browser.runtime.sendMessage({
+        subject: "mouseGestureViewStartGestureStroke",
+        data: {
+          x: event.clientX + window.mozInnerScreenX,
+          y: event.clientY + window.mozInnerScreenY
+        }
+      });
+    }
+  }
+});
+
+
 MouseGestureController.addEventListener("update", (event, events) => {
   // get coalesced events
   // include fallback if getCoalescedEvents is not defined
@@ -94,17 +143,30 @@ MouseGestureController.addEventListener("update", (event, events) => {
 
 
 function mouseGestureUpdate(coalescedEvents) {
+  let patternChange = false;
   // build gesture pattern
   for (const event of coalescedEvents) {
-    const patternChange = patternConstructor.addPoint(event.clientX, event.clientY);
-    if (patternChange && Config.get("Settings.Gesture.Command.display")) {
-      // send current pattern to background script
-      const response = browser.runtime.sendMessage({
-        subject: "gestureChange",
-        data: patternConstructor.getPattern()
+    if (patternConstructor.addPoint(event.clientX, event.clientY)) patternChange = true;
+  }
+
+  // also update the command if a modifier key was pressed or released since the modifier variant of a gesture might match
+  const modifierKeys = MouseGestureController.modifierKeys.join();
+  const modifierKeysChange = modifierKeys !== displayedModifierKeys;
+  displayedModifierKeys = modifierKeys;
+
+  // handle mouse gesture command update
+  // the matching gesture is determined locally so the command is updated together with the trace
+  if ((patternChange || modifierKeysChange) && Config.get("Settings.Gesture.Command.display")) {
+    const gestureName = getMatchingGestureName(patternConstructor.getPattern());
+
+    if (!IS_EMBEDDED_FRAME || document.fullscreenElement) {
+      MouseGestureView.updateGestureCommand(gestureName);
+    }
+    else {
+      browser.runtime.sendMessage({
+        subject: "mouseGestureViewUpdateGestureCommand",
+        data: gestureName
       });
-      // update command in gesture view
-      response.then(MouseGestureView.updateGestureCommand);
     }
   }
 
@@ -161,6 +223,11 @@ MouseGestureController.addEventListener("end", (event, events) => {
   // gather target data and gesture pattern
   const data = getTargetData(window.TARGET);
         data.pattern = patternConstructor.getPattern();
+        data.patternLength = getRelativePatternLength(data.pattern);
+        data.modifierKeys = MouseGestureController.modifierKeys;
+        // use the contexts the displayed gesture name was matched with
+        // the target data may differ since the target or text selection can change during the gesture
+        data.contexts = targetContexts;
         // transform coordinates to css screen coordinates
         data.mousePosition = {
           x: event.clientX + window.mozInnerScreenX,
@@ -199,26 +266,46 @@ if (!IS_EMBEDDED_FRAME) {
         MouseGestureView.updateGestureTrace(message.data.points);
       break;
 
+      case "mouseGestureViewStartGestureStroke":
+        // remap point to client wide css coordinates
+        MouseGestureView.startGestureStroke(
+          message.data.x - window.mozInnerScreenX,
+          message.data.y - window.mozInnerScreenY
+        );
+      break;
+
       case "mouseGestureViewTerminate":
         MouseGestureView.terminate();
       break;
 
-      case "matchingGesture":
+      case "mouseGestureViewUpdateGestureCommand":
         MouseGestureView.updateGestureCommand(message.data);
       break;
     }
   });
 }
 
-// define wheel and rocker gesture controller event listeners
+// define wheel, rocker and press gesture controller event listeners
 // combine them to one function, since they all do the same except the subject they send to the background script
 
-WheelGestureController.addEventListener("wheelup", event => handleRockerAndWheelEvents("wheelUp", event));
-WheelGestureController.addEventListener("wheeldown", event => handleRockerAndWheelEvents("wheelDown", event));
+WheelGestureController.addEventListener("wheelup", (event, binding) => handleRockerAndWheelEvents("wheelUp", event, binding));
+WheelGestureController.addEventListener("wheeldown", (event, binding) => handleRockerAndWheelEvents("wheelDown", event, binding));
+WheelGestureController.addEventListener("wheelleft", (event, binding) => handleRockerAndWheelEvents("wheelLeft", event, binding));
+WheelGestureController.addEventListener("wheelright", (event, binding) => handleRockerAndWheelEvents("wheelRight", event, binding));
+// the release only needs to be reported to the background script if the tab switcher is used
+WheelGestureController.addEventListener("release", () => {
+  if (Config.get("Settings.Wheel.tabSwitcher")) browser.runtime.sendMessage({ subject: "wheelRelease" });
+});
 RockerGestureController.addEventListener("rockerleft", event => handleRockerAndWheelEvents("rockerLeft", event));
 RockerGestureController.addEventListener("rockerright", event => handleRockerAndWheelEvents("rockerRight", event));
+PressGestureController.addEventListener("longpress", event => handleRockerAndWheelEvents("longPress", event));
+PressGestureController.addEventListener("doubleclick", event => handleRockerAndWheelEvents("doubleClick", event));
 
-function handleRockerAndWheelEvents (subject, event) {
+/**
+ * The wheel binding is the index of the additional wheel binding that fired the wheel gesture
+ * It is null for rocker gestures, press gestures and wheel gestures of the default mouse button
+ **/
+function handleRockerAndWheelEvents (subject, event, wheelBinding = null) {
   // expose target to global variable
   window.TARGET = event.target;
 
@@ -234,10 +321,12 @@ function handleRockerAndWheelEvents (subject, event) {
           y: event.clientY + window.mozInnerScreenY
         };
   // send data to background script
-  browser.runtime.sendMessage({
+  const message = {
     subject: subject,
     data: data
-  });
+  };
+  if (wheelBinding !== null) message.wheelBinding = wheelBinding;
+  browser.runtime.sendMessage(message);
 }
 
 
@@ -257,15 +346,38 @@ async function main () {
     patternConstructor.distanceThreshold = Config.get("Settings.Gesture.patternDistanceThreshold");
   }
 
+  // rebuild gesture index
+  mouseGestureIndex = new GestureIndex(
+    Config.get("Gestures").map(createMatchingGesture)
+  );
+
+  siteRules = Config.get("SiteRules").map(rule => ({
+    urlPattern: rule.urlPattern,
+    urlPatternType: rule.urlPatternType ?? "wildcard",
+    replaceGestures: rule.replaceGestures ?? false,
+    gestureIndex: new GestureIndex((rule.gestures ?? []).map(createMatchingGesture))
+  }));
+
   // apply all settings
   MouseGestureController.mouseButton = Config.get("Settings.Gesture.mouseButton");
   MouseGestureController.suppressionKey = Config.get("Settings.Gesture.suppressionKey");
   MouseGestureController.distanceThreshold = Config.get("Settings.Gesture.distanceThreshold");
   MouseGestureController.timeoutActive = Config.get("Settings.Gesture.Timeout.active");
   MouseGestureController.timeoutDuration = Config.get("Settings.Gesture.Timeout.duration");
+  MouseGestureController.multiStrokeActive = Config.get("Settings.Gesture.MultiStroke.active");
+  MouseGestureController.multiStrokeDelay = Config.get("Settings.Gesture.MultiStroke.delay");
 
   WheelGestureController.mouseButton = Config.get("Settings.Wheel.mouseButton");
   WheelGestureController.wheelSensitivity = Config.get("Settings.Wheel.wheelSensitivity");
+  WheelGestureController.bindings = Config.get("Settings.Wheel.bindings");
+
+  PressGestureController.mouseButton = Config.get("Settings.Gesture.mouseButton");
+  PressGestureController.suppressionKey = Config.get("Settings.Gesture.suppressionKey");
+  PressGestureController.distanceThreshold = Config.get("Settings.Gesture.distanceThreshold");
+  PressGestureController.longPressActive = Config.get("Settings.LongPress.active");
+  PressGestureController.longPressDuration = Config.get("Settings.LongPress.duration");
+  PressGestureController.doubleClickActive = Config.get("Settings.DoubleClick.active");
+  PressGestureController.doubleClickInterval = Config.get("Settings.DoubleClick.interval");
 
   MouseGestureView.gestureTraceLineColor = Config.get("Settings.Gesture.Trace.Style.strokeStyle");
   MouseGestureView.gestureTraceLineWidth = Config.get("Settings.Gesture.Trace.Style.lineWidth");
@@ -275,49 +387,121 @@ async function main () {
   MouseGestureView.gestureCommandBackgroundColor = Config.get("Settings.Gesture.Command.Style.backgroundColor");
   MouseGestureView.gestureCommandHorizontalPosition = Config.get("Settings.Gesture.Command.Style.horizontalPosition");
   MouseGestureView.gestureCommandVerticalPosition = Config.get("Settings.Gesture.Command.Style.verticalPosition");
+  // only display the active profile if the user can switch between multiple profiles
+  MouseGestureView.gestureProfileName = Config.get("Profiles").length > 1 ? Config.get("ActiveProfile") : "";
 
   PopupCommandView.theme = Config.get("Settings.General.theme");
 
-  // check if current url is not listed in the exclusions
-  if (!Config.get("Exclusions").some(matchesCurrentURL)) {
-    // enable mouse gesture controller
-    MouseGestureController.enable();
-
-    // enable/disable rocker gesture
-    if (Config.get("Settings.Rocker.active")) {
-      RockerGestureController.enable();
-    }
-    else {
-      RockerGestureController.disable();
+  const exclusions = Config.get("Exclusions").map(exclusion => new Exclusion(exclusion));
+  // embedded frames need to request the tab url from the background script
+  const tabURL = IS_EMBEDDED_FRAME && exclusions.some(exclusion => exclusion.getMatchTabURL())
+    ? await browser.runtime.sendMessage({ subject: "tabURL" })
+    : window.location.href;
+
+  // get all controllers that are disabled by the exclusions matching the current url
+  const excludedControllers = new Set();
+  for (const exclusion of exclusions) {
+    if (exclusion.matchesURL(exclusion.getMatchTabURL() ? tabURL : window.location.href)) {
+      exclusion.getControllers().forEach(controller => excludedControllers.add(controller));
     }
+  }
 
-    // enable/disable wheel gesture
-    if (Config.get("Settings.Wheel.active")) {
-      WheelGestureController.enable();
-    }
-    else {
-      WheelGestureController.disable();
-    }
+  // enable/disable mouse gesture
+  if (!excludedControllers.has("mouse")) {
+    MouseGestureController.enable();
   }
-  // if url is excluded disable everything
   else {
     MouseGestureController.disable();
+  }
+
+  // enable/disable rocker gesture
+  if (Config.get("Settings.Rocker.active") && !excludedControllers.has("rocker")) {
+    RockerGestureController.enable();
+  }
+  else {
     RockerGestureController.disable();
+  }
+
+  // enable/disable wheel gesture
+  if (Config.get("Settings.Wheel.active") && !excludedControllers.has("wheel")) {
+    WheelGestureController.enable();
+  }
+  else {
     WheelGestureController.disable();
   }
+
+  // enable/disable press gesture
+  if ((Config.get("Settings.LongPress.active") || Config.get("Settings.DoubleClick.active")) && !excludedControllers.has("press")) {
+    PressGestureController.enable();
+  }
+  else {
+    PressGestureController.disable();
+  }
+}
+
+
+/**
+ * returns the label of the gesture that best matches the given pattern
+ * if the two best gestures are too similar an array containing both labels will be returned
+ * if no gesture matches undefined will be returned
+ **/
+function getMatchingGestureName (pattern) {
+  const deviationTolerance = Config.get("Settings.Gesture.deviationTolerance");
+  const matchingAlgorithm = Config.get("Settings.Gesture.matchingAlgorithm");
+  const constraints = {
+    patternLength: getRelativePatternLength(pattern),
+    lengthThreshold: Config.get("Settings.Gesture.lengthThreshold"),
+    modifierKeys: MouseGestureController.modifierKeys,
+    contexts: targetContexts
+  };
+
+  // the gestures of the first matching site rule take precedence over the global gestures (same as in the background script)
+  const siteRule = siteRules.find(siteRule => matchesCurrentURL(siteRule.urlPattern, siteRule.urlPatternType));
+  let candidates = siteRule?.gestureIndex.getCandidates(pattern, deviationTolerance, matchingAlgorithm, constraints) ?? [];
+  if (candidates.length === 0 && !siteRule?.replaceGestures) {
+    candidates = mouseGestureIndex.getCandidates(pattern, deviationTolerance, matchingAlgorithm, constraints);
+  }
+
+  // if the top two candidates are too close return both names
+  if (isAmbiguousMatch(candidates, Config.get("Settings.Gesture.minimumMargin"))) {
+    return candidates.slice(0, 2).map(candidate => candidate.gesture.toString());
+  }
+  // if the mismatch ratio exceeded the deviation tolerance there is no candidate
+  return candidates[0]?.gesture.toString();
+}
+
+
+/**
+ * creates a lightweight gesture object from the given gesture JSON which only provides the methods required by the gesture index
+ * the Gesture model is not used here because its command would pull all command functions into the content script
+ * the string conversion returns the gesture label or the readable name of the command like the Gesture model
+ **/
+function createMatchingGesture (gesture) {
+  const patterns = [gesture.pattern, ...(gesture.samples ?? [])];
+  return {
+    getPattern: () => gesture.pattern,
+    getPatterns: () => patterns,
+    getDeviationTolerance: () => gesture.deviationTolerance ?? null,
+    getLength: () => gesture.length ?? null,
+    getModifierKey: () => gesture.modifierKey ?? null,
+    getContexts: () => gesture.contexts ?? [],
+    toString: () => gesture.label || browser.i18n.getMessage(`commandLabel${gesture.command.name}`)
+  };
+}
+
+
+/**
+ * returns the length of the given pattern in percent of the viewport diagonal
+ **/
+function getRelativePatternLength (pattern) {
+  return patternMagnitude(pattern) / Math.hypot(window.innerWidth, window.innerHeight) * 100;
 }
 
 
 /**
- * checks if the given url is a subset of the current url or equal
+ * checks if the current url matches the given url pattern interpreted with the given syntax
  * NOTE: window.location.href is returning the frame URL for frames and not the tab URL
  **/
-function matchesCurrentURL (urlPattern) {
-	// match special regex characters
-	const pattern = urlPattern.replace(/[-[\]{}()*+?.,\\^$|#\s]/g, (match) => {
-		// replace * with .* -> matches anything 0 or more times, else escape character
-		return match === '*' ? '.*' : '\\'+match;
-	});
-	// ^ matches beginning of input and $ matches ending of input
-	return new RegExp('^'+pattern+'$').test(window.location.href);
+function matchesCurrentURL (urlPattern, urlPatternType) {
+  return matchesURLPattern(urlPattern, window.location.href, urlPatternType);
 }
@@ -1,4 +1,4 @@
-import { toSingleButton, getDistance } from "/core/utils/commons.mjs";
+import { toSingleButton, getDistance, MODIFIER_KEYS } from "/core/utils/commons.mjs";
 
 // global static variables
 
@@ -10,14 +10,18 @@ const PASSIVE = 0;
 const PENDING = 1;
 const ACTIVE = 2;
 const ABORTED = 3;
+const AWAITING_STROKE = 4;
 
 
 /**
  * MouseGestureController "singleton"
- * provides 4 events: on start, update, abort and end
+ * provides 5 events: on start, stroke, update, abort and end
+ * if multi-stroke gestures are active the gesture only ends if the mouse button is not pressed again within the multi-stroke delay
+ * otherwise the stroke event is fired and the new stroke is appended to the same gesture
  * events can be added via addEventListener and removed via removeEventListener
  * on default the controller is disabled and must be enabled via enable()
  * cancel() can be called to reset the controller
+ * modifierKeys contains the modifier keys held during the latest event of the current gesture
  **/
 
 // public methods and variables
@@ -31,6 +35,10 @@ export default {
   hasEventListener: hasEventListener,
   removeEventListener: removeEventListener,
 
+  get modifierKeys () {
+    return modifierKeys;
+  },
+
   get targetElement () {
     return targetElement;
   },
@@ -74,6 +82,22 @@ export default {
     // convert seconds to milliseconds
     timeoutDuration = Number(value) * 1000;
   },
+
+  get multiStrokeActive () {
+    return multiStrokeActive;
+  },
+  set multiStrokeActive (value) {
+    multiStrokeActive = Boolean(value);
+  },
+
+  get multiStrokeDelay () {
+    // convert milliseconds back to seconds
+    return multiStrokeDelay / 1000;
+  },
+  set multiStrokeDelay (value) {
+    // convert seconds to milliseconds
+    multiStrokeDelay = Number(value) * 1000;
+  },
 };
 
 
@@ -135,15 +159,16 @@ function cancel () {
 // private variables and methods
 
 
-// internal states are PASSIVE, PENDING, ACTIVE, ABORTED
+// internal states are PASSIVE, PENDING, ACTIVE, ABORTED, AWAITING_STROKE
 let state = PASSIVE;
 
-// contains the timeout identifier
+// contains the timeout identifier of the idle timeout or the multi-stroke delay
 let timeoutId = null;
 
 // holds all custom module event callbacks
 const events = {
   'start': new Set(),
+  'stroke': new Set(),
   'update': new Set(),
   'abort': new Set(),
   'end': new Set()
@@ -152,12 +177,17 @@ const events = {
 // temporary buffer for occurred mouse events where the latest event is always at the end of the array
 let mouseEventBuffer = [];
 
+// names of the modifier keys (e.g. "shiftKey") that were held during the latest mouse event
+let modifierKeys = [];
+
 let targetElement = window,
     mouseButton = RIGHT_MOUSE_BUTTON,
     suppressionKey = "",
     distanceThreshold = 10,
     timeoutActive = false,
-    timeoutDuration = 1000;
+    timeoutDuration = 1000,
+    multiStrokeActive = false,
+    multiStrokeDelay = 500;
 
 /**
  * Initializes the gesture controller to the "pending" state, where it's unclear if the user is starting a gesture or not
@@ -166,6 +196,7 @@ let targetElement = window,
 function initialize (event) {
   // buffer initial mouse event
   mouseEventBuffer.push(event);
+  updateModifierKeys(event);
 
   // change internal state
   state = PENDING;
@@ -191,6 +222,7 @@ function initialize (event) {
 function update (event) {
   // buffer mouse event
   mouseEventBuffer.push(event);
+  updateModifierKeys(event);
 
   // needs to be called to prevent the values of the coalesced events from getting cleared (probably a Firefox bug)
   event.getCoalescedEvents();
@@ -241,14 +273,55 @@ function abort () {
 
 
 /**
- * Indicates the gesture end and should be called to terminate the gesture
+ * Continues the gesture with a new stroke and sets the state back to active
+ * stroke - will be called with the event that started the new stroke
+ * requires a mouse/pointer event
+ **/
+function continueStroke (event) {
+  // clear the multi-stroke delay
+  window.clearTimeout(timeoutId);
+  timeoutId = null;
+
+  // buffer mouse event
+  mouseEventBuffer.push(event);
+  updateModifierKeys(event);
+
+  state = ACTIVE;
+
+  // dispatch all bound functions on stroke and pass the initial event of the stroke and an array of the buffered mouse events
+  events['stroke'].forEach(callback => callback(event, mouseEventBuffer));
+
+  // workaround to redirect all events to this frame/element
+  document.documentElement.setPointerCapture(event.pointerId);
+}
+
+
+/**
+ * Indicates the end of a stroke and should be called to terminate the gesture
+ * If multi-stroke gestures are active the gesture end is delayed to wait for a further stroke
  * requires a mouse/pointer event
  **/
 function terminate (event) {
   // buffer mouse event
   mouseEventBuffer.push(event);
+  updateModifierKeys(event);
+
+  if (state === ACTIVE && multiStrokeActive) {
+    state = AWAITING_STROKE;
+    // the idle timeout is replaced by the multi-stroke delay
+    if (timeoutId !== null) window.clearTimeout(timeoutId);
+    timeoutId = window.setTimeout(end, multiStrokeDelay, event);
+  }
+  else end(event);
+}
+
 
-  if (state === ACTIVE) {
+/**
+ * Ends the gesture and resets the controller
+ * requires the last mouse/pointer event of the gesture
+ **/
+function end (event) {
+  if (state === ACTIVE || state === AWAITING_STROKE) {
     // dispatch all bound functions on end and pass the latest event and an array of the buffered mouse events
     events['end'].forEach(callback => callback(event, mouseEventBuffer));
   }
@@ -277,8 +350,9 @@ function reset () {
     document.documentElement.releasePointerCapture(firstMouseEvent.pointerId);
   }
 
-  // reset mouse event buffer and internal state
+  // reset mouse event buffer, modifier keys and internal state
   mouseEventBuffer = [];
+  modifierKeys = [];
   state = PASSIVE;
 
   if (timeoutId !== null) {
@@ -288,6 +362,14 @@ function reset () {
 }
 
 
+/**
+ * Stores the modifier keys held during the given mouse event
+ **/
+function updateModifierKeys (event) {
+  modifierKeys = MODIFIER_KEYS.filter(modifierKey => event[modifierKey]);
+}
+
+
 /**
  * Handles pointerdown which will initialize the gesture and switch to the pending state.
  * This will only be called for the first mouse button any subsequent mouse bu
@@ -295,13 +377,20 @@ function reset () {
  * no pointerdown event will be dispatched and thus no gesture will be started
  **/
 function handlePointerdown (event) {
+  if (!event.isTrusted) return;
   // on mouse button and no suppression key
-  if (event.isTrusted && event.buttons === mouseButton && (!suppressionKey || !event[suppressionKey])) {
-    initialize(event);
+  if (event.buttons === mouseButton && (!suppressionKey || !event[suppressionKey])) {
+    // append a new stroke if the previous stroke ended within the multi-stroke delay
+    if (state === AWAITING_STROKE) continueStroke(event);
+    else initialize(event);
 
     // prevent middle click scroll
     if (mouseButton === MIDDLE_MOUSE_BUTTON) event.preventDefault();
   }
+  // end the gesture immediately if any other button is pressed while waiting for a further stroke
+  else if (state === AWAITING_STROKE) {
+    end(mouseEventBuffer[mouseEventBuffer.length - 1]);
+  }
 }
 
 
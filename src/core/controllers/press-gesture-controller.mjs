@@ -0,0 +1,333 @@
+import { toSingleButton, getDistance } from "/core/utils/commons.mjs";
+
+// global static variables
+
+const RIGHT_MOUSE_BUTTON = 2;
+
+/**
+ * PressGestureController "singleton"
+ * provides 2 events: on longpress and doubleclick
+ * longpress - is fired if the mouse button is held for the long press duration without moving beyond the distance threshold
+ * doubleclick - is fired if the mouse button is pressed twice within the double click interval without moving beyond the distance threshold
+ * both events can be activated independently and get passed the pointerdown event of the (last) press
+ * doubleclick is not available for the right mouse button, because its first click opens the context menu which would receive the second click
+ * events can be added via addEventListener and removed via removeEventListener
+ * on default the controller is disabled and must be enabled via enable()
+ **/
+
+
+// public methods and variables
+
+
+export default {
+  enable: enable,
+  disable: disable,
+  addEventListener: addEventListener,
+  hasEventListener: hasEventListener,
+  removeEventListener: removeEventListener,
+
+  get targetElement () {
+    return targetElement;
+  },
+  set targetElement (value) {
+    targetElement = value;
+  },
+
+  get mouseButton () {
+    return mouseButton;
+  },
+  set mouseButton (value) {
+    mouseButton = Number(value);
+  },
+
+  get suppressionKey () {
+    return suppressionKey;
+  },
+  set suppressionKey (value) {
+    suppressionKey = value;
+  },
+
+  get distanceThreshold () {
+    return distanceThreshold;
+  },
+  set distanceThreshold (value) {
+    distanceThreshold = Number(value);
+  },
+
+  get longPressActive () {
+    return longPressActive;
+  },
+  set longPressActive (value) {
+    longPressActive = Boolean(value);
+  },
+
+  get longPressDuration () {
+    // convert milliseconds back to seconds
+    return longPressDuration / 1000;
+  },
+  set longPressDuration (value) {
+    // convert seconds to milliseconds
+    longPressDuration = Number(value) * 1000;
+  },
+
+  get doubleClickActive () {
+    return doubleClickActive;
+  },
+  set doubleClickActive (value) {
+    doubleClickActive = Boolean(value);
+  },
+
+  get doubleClickInterval () {
+    // convert milliseconds back to seconds
+    return doubleClickInterval / 1000;
+  },
+  set doubleClickInterval (value) {
+    // convert seconds to milliseconds
+    doubleClickInterval = Number(value) * 1000;
+  }
+};
+
+
+/**
+ * Add callbacks to the given events
+ **/
+function addEventListener (event, callback) {
+  // if event exists add listener (duplicates won't be added)
+  if (event in events) events[event].add(callback);
+};
+
+
+/**
+ * Check if an event listener is registered
+ **/
+function hasEventListener (event, callback) {
+  // if event exists check for listener
+  if (event in events) events[event].has(callback);
+};
+
+
+/**
+ * Remove callbacks from the given events
+ **/
+function removeEventListener (event, callback) {
+  // if event exists remove listener
+  if (event in events) events[event].delete(callback);
+};
+
+
+/**
+ * Add the event listeners to detect a press
+ **/
+function enable () {
+  targetElement.addEventListener('pointerdown', handlePointerdown, true);
+  targetElement.addEventListener('click', handleClick, true);
+  targetElement.addEventListener('auxclick', handleClick, true);
+  targetElement.addEventListener('contextmenu', handleContextmenu, true);
+  targetElement.addEventListener('visibilitychange', handleVisibilitychange, true);
+};
+
+
+/**
+ * Remove the event listeners and resets the controller
+ **/
+function disable () {
+  preventDefault = true;
+  targetElement.removeEventListener('pointerdown', handlePointerdown, true);
+  targetElement.removeEventListener('click', handleClick, true);
+  targetElement.removeEventListener('auxclick', handleClick, true);
+  targetElement.removeEventListener('contextmenu', handleContextmenu, true);
+  targetElement.removeEventListener('visibilitychange', handleVisibilitychange, true);
+
+  // reset to initial state
+  reset();
+  previousPress = null;
+}
+
+// private variables and methods
+
+// holds all custom module event callbacks
+const events = {
+  'longpress': new Set(),
+  'doubleclick': new Set()
+};
+
+let targetElement = window,
+    mouseButton = RIGHT_MOUSE_BUTTON,
+    suppressionKey = "",
+    distanceThreshold = 10,
+    longPressActive = false,
+    longPressDuration = 500,
+    doubleClickActive = false,
+    doubleClickInterval = 300;
+
+// defines whether or not the click/contextmenu should be prevented
+// keep preventDefault true for the special case that the contextmenu or click is fired without a previous pointerdown
+let preventDefault = true;
+
+// the pointerdown event of the currently held press
+let currentPress = null;
+
+// the pointerdown event of the last press that may be the first click of a double click
+let previousPress = null;
+
+// contains the timeout identifier of the long press
+let timeoutId = null;
+
+
+/**
+ * Handles pointerdown which will either fire the double click or start waiting for a long press
+ * Only presses of the sole gesture mouse button without the suppression key are considered
+ **/
+function handlePointerdown (event) {
+  if (!event.isTrusted) return;
+  // always disable prevention on pointerdown
+  preventDefault = false;
+
+  if (event.buttons !== mouseButton || (suppressionKey && event[suppressionKey])) {
+    reset();
+    previousPress = null;
+    return;
+  }
+
+  if (isDoubleClickAvailable() && isDoubleClick(event)) {
+    reset();
+    previousPress = null;
+    dispatch('doubleclick', event);
+    // prevent the page from receiving the second press
+    event.stopPropagation();
+    event.preventDefault();
+    return;
+  }
+
+  reset();
+  currentPress = event;
+  previousPress = isDoubleClickAvailable() ? event : null;
+
+  targetElement.addEventListener('pointermove', handlePointermove, true);
+  targetElement.addEventListener('pointerup', handlePointerup, true);
+
+  if (longPressActive) {
+    timeoutId = window.setTimeout(handleLongPressTimeout, longPressDuration);
+  }
+}
+
+
+/**
+ * Handles pointermove and cancels the press if the pointer moved beyond the distance threshold
+ * This also cancels the press if another mouse button got pressed
+ **/
+function handlePointermove (event) {
+  if (!event.isTrusted) return;
+
+  if (event.buttons !== mouseButton || getDistance(currentPress.clientX, currentPress.clientY, event.clientX, event.clientY) > distanceThreshold) {
+    // the press most likely became a mouse gesture
+    reset();
+    previousPress = null;
+  }
+}
+
+
+/**
+ * Handles pointerup and ends the press
+ * The press is kept as previous press to detect a double click
+ **/
+function handlePointerup (event) {
+  if (event.isTrusted && event.button === toSingleButton(mouseButton)) {
+    reset();
+  }
+}
+
+
+/**
+ * Fires the long press with the pointerdown event of the held press
+ **/
+function handleLongPressTimeout () {
+  const event = currentPress;
+  timeoutId = null;
+  reset();
+  // a long press cannot be the first click of a double click
+  previousPress = null;
+  dispatch('longpress', event);
+}
+
+
+/**
+ * This is only needed for tab changing actions
+ * Because the command may be executed in a different tab as where click/contextmenu needs to be prevented
+ **/
+function handleVisibilitychange () {
+  // keep preventDefault true for the special case that the contextmenu or click is fired without a previous pointerdown
+  preventDefault = true;
+  reset();
+  previousPress = null;
+}
+
+
+/**
+ * Handles and prevents the context menu if needed (right click)
+ **/
+function handleContextmenu (event) {
+  if (event.isTrusted && preventDefault && mouseButton === RIGHT_MOUSE_BUTTON && event.button === toSingleButton(RIGHT_MOUSE_BUTTON)) {
+    // prevent contextmenu
+    event.stopPropagation();
+    event.preventDefault();
+  }
+}
+
+
+/**
+ * Handles and prevents the click and auxclick event if needed (left and middle click)
+ **/
+function handleClick (event) {
+  // event.detail because a click event can be fired without clicking (https://stackoverflow.com/questions/4763638/enter-triggers-button-click)
+  if (event.isTrusted && preventDefault && event.button === toSingleButton(mouseButton) && event.detail) {
+    // prevent click
+    event.stopPropagation();
+    event.preventDefault();
+  }
+}
+
+
+/**
+ * Returns true if double clicks should be detected
+ * The context menu opened by the first right click cannot be suppressed without swallowing every single right click
+ **/
+function isDoubleClickAvailable () {
+  return doubleClickActive && mouseButton !== RIGHT_MOUSE_BUTTON;
+}
+
+
+/**
+ * Returns true if the given pointerdown event is the second press of a double click
+ **/
+function isDoubleClick (event) {
+  return previousPress !== null &&
+    event.timeStamp - previousPress.timeStamp <= doubleClickInterval &&
+    getDistance(previousPress.clientX, previousPress.clientY, event.clientX, event.clientY) <= distanceThreshold;
+}
+
+
+/**
+ * Dispatches all bound functions of the given event and enables the prevention of the following click/contextmenu
+ **/
+function dispatch (eventName, event) {
+  events[eventName].forEach((callback) => callback(event));
+  // prevent the release of the mouse button from clicking links or opening the context menu
+  preventDefault = true;
+}
+
+
+/**
+ * Stops waiting for the long press and removes the press detection listeners
+ **/
+function reset () {
+  targetElement.removeEventListener('pointermove', handlePointermove, true);
+  targetElement.removeEventListener('pointerup', handlePointerup, true);
+
+  currentPress = null;
+
+  if (timeoutId !== null) {
+    window.clearTimeout(timeoutId);
+    timeoutId = null;
+  }
+}
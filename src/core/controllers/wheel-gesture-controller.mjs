@@ -8,7 +8,10 @@ const MIDDLE_MOUSE_BUTTON = 4;
 
 /**
  * WheelGestureController "singleton"
- * provides 2 events: on wheelup and wheeldown
+ * provides 5 events: on wheelup, wheeldown, wheelleft, wheelright and release
+ * release is fired when the mouse button of a performed wheel gesture is released
+ * additional wheel bindings can be defined by a mouse button and an optional modifier key
+ * the index of the fired binding is passed as the second callback argument (null for the default mouse button)
  * events can be added via addEventListener and removed via removeEventListener
  * on default the controller is disabled and must be enabled via enable()
  **/
@@ -43,6 +46,17 @@ export default {
   },
   set wheelSensitivity (value) {
     wheelSensitivity = Number(value);
+  },
+
+  // array of additional wheel bindings, each an object containing a mouseButton and a modifierKey (or null)
+  get bindings () {
+    return bindings;
+  },
+  set bindings (value) {
+    bindings = Array.from(value, binding => ({
+      mouseButton: Number(binding.mouseButton),
+      modifierKey: binding.modifierKey ?? null
+    }));
   }
 }
 
@@ -105,19 +119,28 @@ function disable () {
 // holds all custom module event callbacks
 const events = {
   'wheelup': new Set(),
-  'wheeldown': new Set()
+  'wheeldown': new Set(),
+  'wheelleft': new Set(),
+  'wheelright': new Set(),
+  'release': new Set()
 };
 
 let targetElement = window,
     mouseButton = LEFT_MOUSE_BUTTON,
-    wheelSensitivity = 2;
+    wheelSensitivity = 2,
+    bindings = [];
 
 // keep preventDefault true for the special case that the contextmenu or click is fired without a previous mousedown
 let preventDefault = true;
 
 let lastMouseup = 0;
 
-let accumulatedDeltaY = 0;
+// the mouse button of the last performed wheel gesture whose click or contextmenu needs to be prevented
+// null if no wheel gesture has been performed in this document since it became visible
+let activeMouseButton = null;
+
+let accumulatedDeltaY = 0,
+    accumulatedDeltaX = 0;
 
 
 /**
@@ -128,53 +151,125 @@ function handleMousedown (event) {
     // always disable prevention on mousedown
     preventDefault = false;
 
-    // always reset the accumulated detlaY
+    // always reset the accumulated deltas
     accumulatedDeltaY = 0;
+    accumulatedDeltaX = 0;
 
     // prevent middle click scroll
-    if (mouseButton === MIDDLE_MOUSE_BUTTON && event.buttons === MIDDLE_MOUSE_BUTTON) event.preventDefault();
+    if (event.buttons === MIDDLE_MOUSE_BUTTON && isTriggerButton(MIDDLE_MOUSE_BUTTON)) event.preventDefault();
   }
 }
 
 
 /**
- * Handles mousewheel up and down and prevents scrolling if needed
+ * Handles mousewheel up, down, left and right and prevents scrolling if needed
+ * Horizontal deltas are produced by tilt wheels and touchpads
+ * Only the dominant axis of a wheel event is considered since touchpads usually produce deltas on both axes
  **/
 function handleWheel (event) {
-  if (event.isTrusted && event.buttons === mouseButton && event.deltaY !== 0) {
-
-    // check if the sign is different and reset the accumulated value
-    if ((accumulatedDeltaY < 0) !== (event.deltaY < 0)) accumulatedDeltaY = 0
-
-    accumulatedDeltaY += event.deltaY;
-
-    if (Math.abs(accumulatedDeltaY) >= wheelSensitivity) {
-      // dispatch all bound functions on wheel up/down and pass the appropriate event
-      if (accumulatedDeltaY < 0) {
-        events['wheelup'].forEach((callback) => callback(event));
-      }
-      else if (accumulatedDeltaY > 0) {
-        events['wheeldown'].forEach((callback) => callback(event));
+  if (event.isTrusted && isTriggerButton(event.buttons) && (event.deltaY !== 0 || event.deltaX !== 0)) {
+    const bindingIndex = getBindingIndex(event);
+    // the default mouse button only triggers if no binding matches
+    if (bindingIndex === -1 && event.buttons !== mouseButton) return;
+    const binding = bindingIndex === -1 ? null : bindingIndex;
+
+    if (Math.abs(event.deltaY) >= Math.abs(event.deltaX)) {
+      // check if the sign is different and reset the accumulated value
+      if ((accumulatedDeltaY < 0) !== (event.deltaY < 0)) accumulatedDeltaY = 0
+
+      accumulatedDeltaY += event.deltaY;
+      accumulatedDeltaX = 0;
+
+      if (Math.abs(accumulatedDeltaY) >= wheelSensitivity) {
+        // dispatch all bound functions on wheel up/down and pass the appropriate event
+        if (accumulatedDeltaY < 0) {
+          events['wheelup'].forEach((callback) => callback(event, binding));
+        }
+        else if (accumulatedDeltaY > 0) {
+          events['wheeldown'].forEach((callback) => callback(event, binding));
+        }
+
+        // reset accumulated deltaY if it reaches the sensitivity value
+        accumulatedDeltaY = 0;
       }
+    }
+    else {
+      // check if the sign is different and reset the accumulated value
+      if ((accumulatedDeltaX < 0) !== (event.deltaX < 0)) accumulatedDeltaX = 0
 
-      // reset accumulated deltaY if it reaches the sensitivity value
+      accumulatedDeltaX += event.deltaX;
       accumulatedDeltaY = 0;
+
+      if (Math.abs(accumulatedDeltaX) >= wheelSensitivity) {
+        // dispatch all bound functions on wheel left/right and pass the appropriate event
+        if (accumulatedDeltaX < 0) {
+          events['wheelleft'].forEach((callback) => callback(event, binding));
+        }
+        else if (accumulatedDeltaX > 0) {
+          events['wheelright'].forEach((callback) => callback(event, binding));
+        }
+
+        // reset accumulated deltaX if it reaches the sensitivity value
+        accumulatedDeltaX = 0;
+      }
     }
 
     event.stopPropagation();
     event.preventDefault();
     // enable prevention
     preventDefault = true;
+    activeMouseButton = event.buttons;
   }
 }
 
 
+/**
+ * Returns true if the given buttons value triggers the default wheel gesture or any wheel binding
+ **/
+function isTriggerButton (buttons) {
+  return buttons === mouseButton || bindings.some(binding => binding.mouseButton === buttons);
+}
+
+
+/**
+ * Returns true if the click or contextmenu of the given button needs to be prevented
+ * If no wheel gesture has been performed in this document (e.g. because it was executed in another tab) all trigger buttons are considered
+ **/
+function isPreventedButton (button, triggerButton) {
+  if (button !== toSingleButton(triggerButton)) return false;
+  return activeMouseButton === null ? isTriggerButton(triggerButton) : activeMouseButton === triggerButton;
+}
+
+
+/**
+ * Returns the index of the wheel binding matching the pressed mouse button and modifier keys of the given event
+ * Bindings which require a modifier key take precedence over bindings without modifier key
+ * Returns -1 if no binding matches
+ **/
+function getBindingIndex (event) {
+  let fallbackIndex = -1;
+  for (let i = 0; i < bindings.length; i++) {
+    const binding = bindings[i];
+    if (binding.mouseButton !== event.buttons) continue;
+    if (binding.modifierKey === null) {
+      if (fallbackIndex === -1) fallbackIndex = i;
+    }
+    else if (event[binding.modifierKey]) return i;
+  }
+  return fallbackIndex;
+}
+
+
 /**
  * This is only needed to distinguish between true mouse click events and other click events fired by pressing enter or by clicking labels
  * Other property values like screen position or target could be used in the same manner
  **/
 function handleMouseup(event) {
   lastMouseup = event.timeStamp;
+  // preventDefault is only true after a wheel gesture since every mousedown resets it
+  if (event.isTrusted && preventDefault && activeMouseButton !== null && event.button === toSingleButton(activeMouseButton)) {
+    events['release'].forEach((callback) => callback(event));
+  }
 }
 
 
@@ -185,8 +280,10 @@ function handleMouseup(event) {
 function handleVisibilitychange() {
   // keep preventDefault true for the special case that the contextmenu or click is fired without a previous mousedown
   preventDefault = true;
-  // always reset the accumulated detlaY
+  activeMouseButton = null;
+  // always reset the accumulated deltas
   accumulatedDeltaY = 0;
+  accumulatedDeltaX = 0;
 }
 
 
@@ -194,7 +291,7 @@ function handleVisibilitychange() {
  * Handles and prevents context menu if needed
  **/
 function handleContextmenu (event) {
-  if (event.isTrusted && preventDefault && event.button === toSingleButton(mouseButton) && mouseButton === RIGHT_MOUSE_BUTTON) {
+  if (event.isTrusted && preventDefault && isPreventedButton(event.button, RIGHT_MOUSE_BUTTON)) {
     // prevent contextmenu
     event.stopPropagation();
     event.preventDefault();
@@ -208,7 +305,7 @@ function handleContextmenu (event) {
 function handleClick (event) {
   // event.detail because a click event can be fired without clicking (https://stackoverflow.com/questions/4763638/enter-triggers-button-click)
   // timeStamp check ensures that the click is fired by mouseup
-  if (event.isTrusted && preventDefault && event.button === toSingleButton(mouseButton) && (mouseButton === LEFT_MOUSE_BUTTON || mouseButton === MIDDLE_MOUSE_BUTTON) && event.detail && event.timeStamp === lastMouseup) {
+  if (event.isTrusted && preventDefault && (isPreventedButton(event.button, LEFT_MOUSE_BUTTON) || isPreventedButton(event.button, MIDDLE_MOUSE_BUTTON)) && event.detail && event.timeStamp === lastMouseup) {
     // prevent left and middle click
     event.stopPropagation();
     event.preventDefault();
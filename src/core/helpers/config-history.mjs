@@ -0,0 +1,264 @@
+import { isObject, cloneObject } from "/core/utils/commons.mjs";
+
+/**
+ * This class keeps a rolling history of snapshots of a config in an IndexedDB database
+ * The database belongs to the extension origin, so the options page can read the snapshots recorded by the background script
+ * Unlike the storage api, writing the database does not notify the content scripts of every tab
+ * It requires a config manager instance whose config should be recorded
+ * If autoRecord is enabled a snapshot is created on every config change, this should only be done by the background script
+ * Changes in quick succession (e.g. clearing and setting the config) are combined to one snapshot
+ * The most recent snapshots are kept as well as the latest snapshot of each day for older snapshots
+ * Each snapshot is an object containing its creation timestamp and a copy of the config
+ **/
+export default class ConfigHistory {
+
+  constructor (config) {
+    this._config = config;
+    this._autoRecord = false;
+    this._recordTimeout = null;
+    // recordings are chained so each one reads the snapshots written by the previous one
+    this._recordQueue = Promise.resolve();
+    this._database = null;
+    this._handleConfigChange = this._handleConfigChange.bind(this);
+  }
+
+
+  /**
+   * Returns a promise which resolves to an array of all snapshots, starting with the oldest snapshot
+   **/
+  async getSnapshots () {
+    const database = await this._openDatabase();
+    const transaction = database.transaction(ConfigHistory.STORE_NAME, "readonly");
+    return requestToPromise( transaction.objectStore(ConfigHistory.STORE_NAME).getAll() );
+  }
+
+
+  /**
+   * Stores a snapshot of the current config unless it equals the latest snapshot
+   * Removes outdated snapshots afterwards
+   * Calls are processed one after another, so concurrent recordings cannot overwrite each other
+   * Returns a promise which resolves when the history has been written successfully
+   **/
+  record () {
+    const recording = this._recordQueue.then(() => this._record());
+    // a failed recording must not block the following ones
+    this._recordQueue = recording.catch(() => {});
+    return recording;
+  }
+
+
+  /**
+   * Replaces the current config with the config of the given snapshot
+   * Returns a promise which resolves when the config has been written successfully
+   **/
+  async restore (snapshot) {
+    await this._config.clear();
+    return this._config.set(cloneObject(snapshot.config));
+  }
+
+
+  /**
+   * Removes all snapshots
+   * Returns a promise which resolves when the database has been written successfully
+   **/
+  async clear () {
+    const database = await this._openDatabase();
+    const transaction = database.transaction(ConfigHistory.STORE_NAME, "readwrite");
+    transaction.objectStore(ConfigHistory.STORE_NAME).clear();
+    return transactionToPromise(transaction);
+  }
+
+
+  /**
+   * Setter for the autoRecord value
+   * If autoRecord is set to true a snapshot is recorded on every config change
+   **/
+  set autoRecord (value) {
+    this._autoRecord = Boolean(value);
+    if (this._autoRecord) this._config.addEventListener("change", this._handleConfigChange);
+    else this._config.removeEventListener("change", this._handleConfigChange);
+  }
+
+
+  /**
+   * Getter for the autoRecord value
+   **/
+  get autoRecord () {
+    return this._autoRecord;
+  }
+
+
+  /**
+   * Delays the recording so multiple changes in quick succession result in a single snapshot
+   **/
+  _handleConfigChange () {
+    clearTimeout(this._recordTimeout);
+    this._recordTimeout = setTimeout(() => this.record(), ConfigHistory.RECORD_DELAY);
+  }
+
+
+  /**
+   * Records a snapshot, see record()
+   **/
+  async _record () {
+    await this._config.loaded;
+    const snapshots = await this.getSnapshots();
+    const config = this._config.get();
+
+    const latestSnapshot = snapshots[snapshots.length - 1];
+    if (latestSnapshot && JSON.stringify(latestSnapshot.config) === JSON.stringify(config)) return;
+
+    const snapshot = { date: Date.now(), config: config };
+    snapshots.push(snapshot);
+    const remainingSnapshots = pruneSnapshots(snapshots);
+
+    const database = await this._openDatabase();
+    const transaction = database.transaction(ConfigHistory.STORE_NAME, "readwrite");
+    const store = transaction.objectStore(ConfigHistory.STORE_NAME);
+    store.put(snapshot);
+    for (const outdatedSnapshot of snapshots.filter(snapshot => !remainingSnapshots.includes(snapshot))) {
+      store.delete(outdatedSnapshot.date);
+    }
+    return transactionToPromise(transaction);
+  }
+
+
+  /**
+   * Returns a promise which resolves to the database of the history
+   * The database is only opened once
+   **/
+  _openDatabase () {
+    if (!this._database) this._database = openDatabase();
+    return this._database;
+  }
+}
+
+// name of the IndexedDB database containing the snapshots
+ConfigHistory.DATABASE_NAME = "ConfigHistory";
+
+// name of the object store containing the snapshots, which are keyed by their creation timestamp
+ConfigHistory.STORE_NAME = "snapshots";
+
+// number of most recent snapshots that are always kept
+ConfigHistory.MAX_RECENT_SNAPSHOTS = 20;
+
+// number of days for which the latest snapshot of the day is kept
+ConfigHistory.MAX_DAILY_SNAPSHOTS = 30;
+
+// time in milliseconds to wait for further config changes before a snapshot is recorded
+ConfigHistory.RECORD_DELAY = 1000;
+
+
+/**
+ * Returns true if the given snapshot is one of the most recent snapshots
+ * Otherwise it is the latest snapshot of its day
+ **/
+export function isRecentSnapshot (snapshots, snapshot) {
+  return snapshots.indexOf(snapshot) >= snapshots.length - ConfigHistory.MAX_RECENT_SNAPSHOTS;
+}
+
+
+/**
+ * Compares two configs and returns an array of all differences
+ * Each difference is an object containing the storage path, the type (added, removed or changed) and the affected values
+ * Array entries are compared by their content so removing an entry does not mark all following entries as changed
+ **/
+export function getConfigDifferences (oldConfig, newConfig, path = "") {
+  const differences = [];
+
+  if (isObject(oldConfig) && isObject(newConfig)) {
+    const keys = new Set([...Object.keys(oldConfig), ...Object.keys(newConfig)]);
+    for (const key of keys) {
+      const keyPath = path ? `${path}.${key}` : key;
+      if (!newConfig.hasOwnProperty(key)) {
+        differences.push({ path: keyPath, type: "removed", oldValue: oldConfig[key] });
+      }
+      else if (!oldConfig.hasOwnProperty(key)) {
+        differences.push({ path: keyPath, type: "added", newValue: newConfig[key] });
+      }
+      else differences.push(...getConfigDifferences(oldConfig[key], newConfig[key], keyPath));
+    }
+  }
+  else if (Array.isArray(oldConfig) && Array.isArray(newConfig)) {
+    const oldEntries = oldConfig.map(entry => JSON.stringify(entry));
+    const newEntries = newConfig.map(entry => JSON.stringify(entry));
+    // remove the entries that exist in both arrays so only the added and removed entries remain
+    const remainingNewEntries = [...newEntries];
+    oldEntries.forEach((entry, index) => {
+      const newIndex = remainingNewEntries.indexOf(entry);
+      if (newIndex !== -1) remainingNewEntries[newIndex] = null;
+      else differences.push({ path: path, type: "removed", oldValue: oldConfig[index] });
+    });
+    remainingNewEntries.forEach((entry, index) => {
+      if (entry !== null) differences.push({ path: path, type: "added", newValue: newConfig[index] });
+    });
+  }
+  else if (JSON.stringify(oldConfig) !== JSON.stringify(newConfig)) {
+    differences.push({ path: path, type: "changed", oldValue: oldConfig, newValue: newConfig });
+  }
+
+  return differences;
+}
+
+
+/**
+ * Opens the database of the history and creates its object store if it does not exist yet
+ * Returns a promise which resolves to the database
+ **/
+function openDatabase () {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(ConfigHistory.DATABASE_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(ConfigHistory.STORE_NAME, { keyPath: "date" });
+    };
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+  });
+}
+
+
+/**
+ * Returns a promise which resolves to the result of the given IndexedDB request
+ **/
+function requestToPromise (request) {
+  return new Promise((resolve, reject) => {
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+  });
+}
+
+
+/**
+ * Returns a promise which resolves when the given IndexedDB transaction has been completed
+ **/
+function transactionToPromise (transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+    transaction.oncomplete = () => resolve();
+  });
+}
+
+
+/**
+ * Keeps the most recent snapshots and the latest snapshot of each day for all older snapshots
+ * Returns the remaining snapshots
+ **/
+function pruneSnapshots (snapshots) {
+  const recentSnapshots = snapshots.slice(-ConfigHistory.MAX_RECENT_SNAPSHOTS);
+  const olderSnapshots = snapshots.slice(0, -ConfigHistory.MAX_RECENT_SNAPSHOTS);
+
+  const dailySnapshots = [];
+  // iterate from newest to oldest so the latest snapshot of each day is kept
+  for (let i = olderSnapshots.length - 1; i >= 0; i--) {
+    const day = new Date(olderSnapshots[i].date).toDateString();
+    const newerDay = dailySnapshots.length > 0
+      ? new Date(dailySnapshots[0].date).toDateString()
+      : new Date(recentSnapshots[0].date).toDateString();
+    if (day === newerDay) continue;
+    if (dailySnapshots.length >= ConfigHistory.MAX_DAILY_SNAPSHOTS) break;
+    dailySnapshots.unshift(olderSnapshots[i]);
+  }
+
+  return [...dailySnapshots, ...recentSnapshots];
+}
@@ -3,7 +3,7 @@
  */
 
 const mouseGestureControllerSubjects = ["mouseGestureControllerPreparePreventDefault", "mouseGestureControllerNeglectPreventDefault"];
-const mouseGestureViewSubjects = ["mouseGestureViewInitialize", "mouseGestureViewUpdateGestureTrace", "mouseGestureViewTerminate"];
+const mouseGestureViewSubjects = ["mouseGestureViewInitialize", "mouseGestureViewUpdateGestureTrace", "mouseGestureViewStartGestureStroke", "mouseGestureViewUpdateGestureCommand", "mouseGestureViewTerminate"];
 const popupCommandViewSubjects = ["popupInitiation", "popupTermination"];
 
 browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
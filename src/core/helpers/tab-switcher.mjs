@@ -0,0 +1,128 @@
+/**
+ * TabSwitcher "singleton"
+ * displays the tabs of the current window in a popup and moves a highlight through them instead of activating each tab
+ * the highlighted tab is only activated when the switcher is closed via select()
+ * the popup command view is used to display the tab list, it is passive and does not take the focus
+ * only one switcher can be open per tab
+ **/
+
+
+// public methods and variables
+
+
+export default {
+  step: step,
+  select: select
+};
+
+
+// private variables and methods
+
+// promises of the open switchers mapped to the id of the tab they are displayed in
+// each resolves to an object containing the popup connection, the listed tab ids, the highlighted index and the cycling option
+// or null if the popup could not be created
+const switchers = new Map();
+
+
+/**
+ * Moves the highlight of the switcher in the sender tab by the given offset
+ * Opens the switcher if it is not already open
+ * The options object may contain the boolean properties "cycling" and "excludeDiscarded"
+ **/
+async function step (sender, data, offset, options = {}) {
+  const tabId = sender.tab.id;
+  // store the promise directly so wheel events in quick succession do not open multiple switchers
+  if (!switchers.has(tabId)) switchers.set(tabId, open(sender, data, options));
+
+  const switcher = await switchers.get(tabId);
+  if (!switcher) return;
+
+  let index = switcher.index + offset;
+  if (switcher.cycling) {
+    index = (index % switcher.tabIds.length + switcher.tabIds.length) % switcher.tabIds.length;
+  }
+  else {
+    index = Math.min(Math.max(index, 0), switcher.tabIds.length - 1);
+  }
+  if (index === switcher.index) return;
+
+  switcher.index = index;
+  switcher.channel.postMessage({
+    selectedId: switcher.tabIds[index]
+  });
+}
+
+
+/**
+ * Closes the switcher in the sender tab and activates its highlighted tab
+ * Does nothing if no switcher is open
+ **/
+async function select (sender) {
+  const tabId = sender.tab.id;
+  if (!switchers.has(tabId)) return;
+
+  const switcher = await switchers.get(tabId);
+  switchers.delete(tabId);
+  if (!switcher) return;
+
+  switcher.channel.disconnect();
+
+  const selectedTabId = switcher.tabIds[switcher.index];
+  if (selectedTabId !== tabId) await browser.tabs.update(selectedTabId, { active: true });
+}
+
+
+/**
+ * Requests the popup in the sender tab and lists the tabs of its window with the sender tab highlighted
+ * Resolves to the switcher object or null if the popup could not be created
+ **/
+async function open (sender, data, options) {
+  const queryInfo = {
+    windowId: sender.tab.windowId,
+    hidden: false
+  };
+  const tabs = (await browser.tabs.query(queryInfo))
+    // the sender tab is always listed so the switcher can return to it
+    .filter(tab => !options.excludeDiscarded || !tab.discarded || tab.id === sender.tab.id)
+    .sort((a, b) => a.index - b.index);
+
+  // request popup creation and wait for response
+  const popupCreatedSuccessfully = await browser.tabs.sendMessage(sender.tab.id, {
+    subject: "popupRequest",
+    data: {
+      mousePositionX: data.mousePosition.x,
+      mousePositionY: data.mousePosition.y,
+      passive: true
+    },
+  }, { frameId: 0 }).catch(() => false);
+
+  if (!popupCreatedSuccessfully) {
+    switchers.delete(sender.tab.id);
+    return null;
+  }
+
+  const channel = browser.tabs.connect(sender.tab.id, {
+    name: "PopupSwitcherConnection"
+  });
+  // forget the switcher if the popup is closed by other means (e.g. page navigation)
+  channel.onDisconnect.addListener(() => switchers.delete(sender.tab.id));
+
+  // map tabs to popup data structure
+  const dataset = tabs.map((tab) => ({
+    id: tab.id,
+    label: tab.title,
+    icon: tab.favIconUrl || null
+  }));
+
+  channel.postMessage({
+    dataset: dataset,
+    selectedId: sender.tab.id
+  });
+
+  return {
+    channel: channel,
+    tabIds: tabs.map(tab => tab.id),
+    index: tabs.findIndex(tab => tab.id === sender.tab.id),
+    cycling: Boolean(options.cycling)
+  };
+}
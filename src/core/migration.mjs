@@ -1,5 +1,9 @@
+import { convertDirectionsToPattern } from "/core/utils/commons.mjs";
+
 import ConfigManager from "/core/helpers/config-manager.mjs";
 
+import Exclusion from "/core/models/exclusion.mjs";
+
 browser.runtime.onInstalled.addListener(async (details) => {
 
   if (details.reason === "update" && details.previousVersion) {
@@ -92,6 +96,14 @@ browser.runtime.onInstalled.addListener(async (details) => {
       }
     }
 
+    // migrate exclusions from plain url patterns to exclusion objects, which disable all controllers
+    {
+      const exclusions = Config.get("Exclusions");
+      if (exclusions && exclusions.some(exclusion => typeof exclusion === "string")) {
+        Config.set("Exclusions", exclusions.map(exclusion => new Exclusion(exclusion).toJSON()));
+      }
+    }
+
     // migrate old default algorithm (strict)
     {
       const matchingAlgorithm = Config.get("Settings.Gesture.matchingAlgorithm");
@@ -132,21 +144,6 @@ browser.runtime.onInstalled.addListener(async (details) => {
 
 
 
-function convertDirectionsToPattern (directions) {
-  const pattern = [];
-  for (const direction of directions) {
-    switch (direction) {
-      case "U": pattern.push([0, -1]); break;
-      case "D": pattern.push([0, 1]); break;
-      case "R": pattern.push([1, 0]); break;
-      case "L": pattern.push([-1, 0]); break;
-      default: pattern.push([0, 0]); break;
-    }
-  }
-  return pattern;
-}
-
-
 // manipulates the object directly
 function convertOldGestureFormatToNewFormat (gestureObj) {
   if (gestureObj.gesture && typeof gestureObj.gesture === "string") {
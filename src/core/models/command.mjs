@@ -33,7 +33,7 @@ export default class Command {
       }
     }
     // throw error if command function does not exist
-    if (!this._name in Commands) throw "There exists no corresponding function for the passed command name.";
+    if (!(this._name in Commands)) throw "There exists no corresponding function for the passed command name.";
     // store settings as map
     this._settings = new Map(settingsPairs);
   }
@@ -77,6 +77,7 @@ export default class Command {
 
   setName (value) {
     if (typeof value !== "string") throw "The passed argument must be of type string.";
+    if (!(value in Commands)) throw "There exists no corresponding function for the passed command name.";
     this._name = value;
   }
 
@@ -0,0 +1,108 @@
+import { isObject, matchesURLPattern, URL_PATTERN_TYPES } from "/core/utils/commons.mjs";
+
+/**
+ * This class represents a user defined exclusion which disables certain gesture controllers for all urls matching its url pattern
+ * Exclusions of older versions only consist of the url pattern string, in this case all controllers are disabled
+ * Exclusions that disable all controllers are stored without the controllers, so they also disable controllers added in later versions
+ * Inside embedded frames the exclusion can either be matched against the url of the frame or the url of the tab
+ * The url pattern is interpreted with the stored syntax, exclusions of older versions are always wildcard patterns
+ * It is designed to allow easy conversation from and to JSON
+ **/
+export default class Exclusion {
+  constructor (urlPattern, controllers = Exclusion.CONTROLLERS) {
+    // if first argument is an object assume the exclusion data is given in JSON
+    if (arguments.length === 1 && isObject(arguments[0]) && arguments[0].hasOwnProperty("urlPattern")) {
+      this._urlPattern = arguments[0].urlPattern;
+      this._controllers = arguments[0].controllers ?? Exclusion.CONTROLLERS;
+      this._matchTabURL = arguments[0].matchTabURL ?? false;
+      this._urlPatternType = arguments[0].urlPatternType ?? "wildcard";
+    }
+    else {
+      if (typeof urlPattern !== "string") throw "The first argument must be of type string.";
+      if (!Array.isArray(controllers)) throw "The second argument must be an array.";
+
+      this._urlPattern = urlPattern;
+      this._controllers = controllers;
+      this._matchTabURL = false;
+      this._urlPatternType = "wildcard";
+    }
+    // ignore unknown controllers, this also copies the array so Exclusion.CONTROLLERS is never modified
+    this._controllers = this._controllers.filter(controller => Exclusion.CONTROLLERS.includes(controller));
+  }
+
+  /**
+   * Converts the class instance to a JavaScript object
+   * This function is also automatically called when the JSON.stringify() option is invoked on an instance of this class
+   **/
+  toJSON () {
+    const obj = {
+      urlPattern: this._urlPattern
+    };
+    if (!Exclusion.CONTROLLERS.every(controller => this._controllers.includes(controller))) obj.controllers = this._controllers;
+    if (this._urlPatternType !== "wildcard") obj.urlPatternType = this._urlPatternType;
+    if (this._matchTabURL) obj.matchTabURL = this._matchTabURL;
+    return obj;
+  }
+
+  /**
+   * Returns true if the given url matches the url pattern of the exclusion
+   **/
+  matchesURL (url) {
+    return matchesURLPattern(this._urlPattern, url, this._urlPatternType);
+  }
+
+  getURLPattern () {
+    return this._urlPattern;
+  }
+
+  setURLPattern (value) {
+    if (typeof value !== "string") throw "The passed argument must be of type string.";
+    this._urlPattern = value;
+  }
+
+  /**
+   * Returns the syntax the url pattern is interpreted with (see URL_PATTERN_TYPES)
+   **/
+  getURLPatternType () {
+    return this._urlPatternType;
+  }
+
+  setURLPatternType (value) {
+    if (!URL_PATTERN_TYPES.includes(value)) throw "The passed argument must be wildcard, match-pattern or regex.";
+    this._urlPatternType = value;
+  }
+
+  /**
+   * Returns the names of the controllers (see Exclusion.CONTROLLERS) that are disabled by the exclusion
+   **/
+  getControllers () {
+    return this._controllers;
+  }
+
+  setControllers (value) {
+    if (!Array.isArray(value) || !value.every(controller => Exclusion.CONTROLLERS.includes(controller))) throw "The passed argument must be an array of controller names.";
+    this._controllers = value;
+  }
+
+  /**
+   * Returns whether the exclusion is matched against the url of the tab instead of the url of the frame
+   **/
+  getMatchTabURL () {
+    return this._matchTabURL;
+  }
+
+  setMatchTabURL (value) {
+    if (typeof value !== "boolean") throw "The passed argument must be of type boolean.";
+    this._matchTabURL = value;
+  }
+
+  /**
+   * Returns true if the given controller is disabled by the exclusion
+   **/
+  excludesController (controller) {
+    return this._controllers.includes(controller);
+  }
+}
+
+// names of the controllers that can be disabled by an exclusion
+Exclusion.CONTROLLERS = ["mouse", "rocker", "wheel", "press"];
@@ -1,4 +1,4 @@
-import { isObject } from "/core/utils/commons.mjs";
+import { isObject, MODIFIER_KEYS } from "/core/utils/commons.mjs";
 
 import Command from "/core/models/command.mjs";
 
@@ -13,6 +13,11 @@ export default class Gesture {
       this._label = arguments[0].label || "";
       this._pattern = arguments[0].pattern;
       this._command = new Command(arguments[0].command);
+      this._deviationTolerance = arguments[0].deviationTolerance ?? null;
+      this._samples = arguments[0].samples ?? [];
+      this._length = arguments[0].length ?? null;
+      this._modifierKey = arguments[0].modifierKey ?? null;
+      this._contexts = arguments[0].contexts ?? [];
     }
     else {
       if (!Array.isArray(pattern)) throw "The first argument must be an array.";
@@ -22,6 +27,11 @@ export default class Gesture {
       this._pattern = pattern;
       this._command = command;
       this._label = label;
+      this._deviationTolerance = null;
+      this._samples = [];
+      this._length = null;
+      this._modifierKey = null;
+      this._contexts = [];
     }
   }
 
@@ -35,6 +45,11 @@ export default class Gesture {
       command: this._command.toJSON()
     };
     if (this._label) obj.label = this._label;
+    if (this._deviationTolerance !== null) obj.deviationTolerance = this._deviationTolerance;
+    if (this._samples.length > 0) obj.samples = this._samples;
+    if (this._length !== null) obj.length = this._length;
+    if (this._modifierKey !== null) obj.modifierKey = this._modifierKey;
+    if (this._contexts.length > 0) obj.contexts = this._contexts;
     return obj;
   }
 
@@ -63,6 +78,67 @@ export default class Gesture {
     this._pattern = value;
   }
 
+  /**
+   * Returns the additionally recorded sample patterns of the gesture
+   **/
+  getSamples () {
+    return this._samples;
+  }
+
+  /**
+   * Sets the additionally recorded sample patterns which are matched like the main pattern
+   * Passing an empty array removes all samples
+   **/
+  setSamples (value) {
+    if (!Array.isArray(value) || !value.every(Array.isArray)) throw "The passed argument must be an array of patterns.";
+    this._samples = value;
+  }
+
+  /**
+   * Returns the main pattern followed by all additional sample patterns
+   **/
+  getPatterns () {
+    return [this._pattern, ...this._samples];
+  }
+
+  /**
+   * Returns the required stroke length of the gesture ("short" or "long") or null if any length is allowed
+   **/
+  getLength () {
+    return this._length;
+  }
+
+  setLength (value) {
+    if (value !== null && value !== "short" && value !== "long") throw "The passed argument must be null, short or long.";
+    this._length = value;
+  }
+
+  /**
+   * Returns the modifier key ("shiftKey", "ctrlKey" or "altKey") that needs to be held to perform the gesture
+   * or null if the gesture is performed without a modifier key
+   **/
+  getModifierKey () {
+    return this._modifierKey;
+  }
+
+  setModifierKey (value) {
+    if (value !== null && !Gesture.MODIFIER_KEYS.includes(value)) throw "The passed argument must be null, shiftKey, ctrlKey or altKey.";
+    this._modifierKey = value;
+  }
+
+  /**
+   * Returns the target contexts (see Gesture.CONTEXTS) the gesture is limited to
+   * An empty array means that the gesture can be performed in any context
+   **/
+  getContexts () {
+    return this._contexts;
+  }
+
+  setContexts (value) {
+    if (!Array.isArray(value) || !value.every(context => Gesture.CONTEXTS.includes(context))) throw "The passed argument must be an array of contexts.";
+    this._contexts = value;
+  }
+
   getCommand () {
     return this._command;
   }
@@ -71,4 +147,26 @@ export default class Gesture {
     if (!value instanceof Command) throw "The passed argument must be an instance of the Command class.";
     this._command = value;
   }
-}
\ No newline at end of file
+
+  /**
+   * Returns the gesture specific deviation tolerance or null if the global tolerance should be used
+   **/
+  getDeviationTolerance () {
+    return this._deviationTolerance;
+  }
+
+  /**
+   * Sets a gesture specific deviation tolerance in the range of [0, 1]
+   * Passing null removes the override so the global tolerance is used again
+   **/
+  setDeviationTolerance (value) {
+    if (value !== null && (typeof value !== "number" || value < 0 || value > 1)) throw "The passed argument must be null or a number between 0 and 1.";
+    this._deviationTolerance = value;
+  }
+}
+
+// modifier keys that can be bound to a gesture, named like the corresponding mouse event properties
+Gesture.MODIFIER_KEYS = MODIFIER_KEYS;
+
+// target contexts a gesture can be limited to, as returned by getTargetContexts
+Gesture.CONTEXTS = ["link", "image", "selection", "editable", "media", "page"];
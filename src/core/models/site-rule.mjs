@@ -0,0 +1,98 @@
+import { isObject, matchesURLPattern, URL_PATTERN_TYPES } from "/core/utils/commons.mjs";
+
+import Gesture from "/core/models/gesture.mjs";
+
+/**
+ * This class represents a user defined site rule which changes the gestures for all urls matching its url pattern
+ * The gestures of a rule take precedence over the global gestures
+ * If the rule replaces the global gestures only the gestures of the rule are available on the matching sites
+ * The url pattern is interpreted with the stored syntax, which defaults to a wildcard pattern
+ * The gestures of a rule are independent copies of global gestures, so editing or removing a global gesture does not change the rule
+ * It is designed to allow easy conversation from and to JSON
+ **/
+export default class SiteRule {
+  constructor (urlPattern, gestures = []) {
+    // if first argument is an object assume the rule data is given in JSON
+    if (arguments.length === 1 && isObject(arguments[0]) && arguments[0].hasOwnProperty("urlPattern")) {
+      this._urlPattern = arguments[0].urlPattern;
+      this._gestures = (arguments[0].gestures ?? []).map(gesture => new Gesture(gesture));
+      this._replaceGestures = arguments[0].replaceGestures ?? false;
+      this._urlPatternType = arguments[0].urlPatternType ?? "wildcard";
+    }
+    else {
+      if (typeof urlPattern !== "string") throw "The first argument must be of type string.";
+      if (!Array.isArray(gestures) || !gestures.every(gesture => gesture instanceof Gesture)) throw "The second argument must be an array of Gesture instances.";
+
+      this._urlPattern = urlPattern;
+      this._gestures = gestures;
+      this._replaceGestures = false;
+      this._urlPatternType = "wildcard";
+    }
+  }
+
+  /**
+   * Converts the class instance to a JavaScript object
+   * This function is also automatically called when the JSON.stringify() option is invoked on an instance of this class
+   **/
+  toJSON () {
+    const obj = {
+      urlPattern: this._urlPattern,
+      gestures: this._gestures.map(gesture => gesture.toJSON())
+    };
+    if (this._urlPatternType !== "wildcard") obj.urlPatternType = this._urlPatternType;
+    if (this._replaceGestures) obj.replaceGestures = this._replaceGestures;
+    return obj;
+  }
+
+  /**
+   * Returns true if the given url matches the url pattern of the rule
+   **/
+  matchesURL (url) {
+    return matchesURLPattern(this._urlPattern, url, this._urlPatternType);
+  }
+
+  getURLPattern () {
+    return this._urlPattern;
+  }
+
+  setURLPattern (value) {
+    if (typeof value !== "string") throw "The passed argument must be of type string.";
+    this._urlPattern = value;
+  }
+
+  /**
+   * Returns the syntax the url pattern is interpreted with (see URL_PATTERN_TYPES)
+   **/
+  getURLPatternType () {
+    return this._urlPatternType;
+  }
+
+  setURLPatternType (value) {
+    if (!URL_PATTERN_TYPES.includes(value)) throw "The passed argument must be wildcard, match-pattern or regex.";
+    this._urlPatternType = value;
+  }
+
+  /**
+   * Returns the gestures that are only available on sites matching the rule
+   **/
+  getGestures () {
+    return this._gestures;
+  }
+
+  setGestures (value) {
+    if (!Array.isArray(value) || !value.every(gesture => gesture instanceof Gesture)) throw "The passed argument must be an array of Gesture instances.";
+    this._gestures = value;
+  }
+
+  /**
+   * Returns whether the global gestures are disabled on sites matching the rule
+   **/
+  getReplaceGestures () {
+    return this._replaceGestures;
+  }
+
+  setReplaceGestures (value) {
+    if (typeof value !== "boolean") throw "The passed argument must be of type boolean.";
+    this._replaceGestures = value;
+  }
+}
@@ -1,3 +1,10 @@
+// modifier keys that can be held during a gesture, named like the corresponding mouse event properties
+export const MODIFIER_KEYS = ["shiftKey", "ctrlKey", "altKey"];
+
+// syntaxes an url pattern can be interpreted with (see urlPatternToRegExp)
+export const URL_PATTERN_TYPES = ["wildcard", "match-pattern", "regex"];
+
+
 /**
  * get JSON file as object from url
  * returns a promise which is fulfilled with the json object as a parameter
@@ -77,6 +84,42 @@ export function hexToRGB(hex) {
 }
 
 
+/**
+ * converts a string of directions (U, D, L, R) like "DLR" to a gesture pattern
+ * unknown directions are converted to zero vectors
+ **/
+export function convertDirectionsToPattern (directions) {
+  const pattern = [];
+  for (const direction of directions) {
+    switch (direction) {
+      case "U": pattern.push([0, -1]); break;
+      case "D": pattern.push([0, 1]); break;
+      case "R": pattern.push([1, 0]); break;
+      case "L": pattern.push([-1, 0]); break;
+      default: pattern.push([0, 0]); break;
+    }
+  }
+  return pattern;
+}
+
+
+/**
+ * creates a pen-up vector which connects the end of a stroke with the start of the next stroke of a multi-stroke gesture
+ * pen-up vectors are marked by a third array element
+ **/
+export function createPenUpVector (x, y) {
+  return [x, y, 1];
+}
+
+
+/**
+ * checks if the given pattern vector is a pen-up vector
+ **/
+export function isPenUpVector (vector) {
+  return vector.length === 3 && vector[2] === 1;
+}
+
+
 /**
  * calculates and returns the distance
  * between to points
@@ -123,6 +166,86 @@ export function isDomainName (string) {
 }
 
 
+/**
+ * check if the given url matches the given url pattern interpreted with the given syntax
+ * invalid regular expressions never match
+ * see urlPatternToRegExp for the supported syntaxes
+ **/
+export function matchesURLPattern (urlPattern, url, urlPatternType = "wildcard") {
+  try {
+    return urlPatternToRegExp(urlPattern, urlPatternType).test(url);
+  }
+  catch (e) {
+    return false;
+  }
+}
+
+
+/**
+ * detects the syntax of a newly entered url pattern
+ * "regex" for regular expressions enclosed in slashes like /^https?:\/\/example\.com/i
+ * "match-pattern" for WebExtension match patterns like *://*.example.com/* or <all_urls>
+ * "wildcard" for any other string, where "*" matches any characters
+ * the detected syntax has to be stored along with the pattern, because patterns of older versions
+ * are always wildcard patterns even if they look like a match pattern or regular expression
+ **/
+export function getURLPatternType (urlPattern) {
+  if (REGEX_PATTERN_REGEX.test(urlPattern)) return "regex";
+  if (urlPattern === "<all_urls>" || MATCH_PATTERN_REGEX.test(urlPattern)) return "match-pattern";
+  return "wildcard";
+}
+
+
+// regular expression enclosed in slashes followed by optional flags
+const REGEX_PATTERN_REGEX = /^\/.+\/[a-z]*$/;
+
+// scheme, host and path of a WebExtension match pattern
+// the host is either *, *. followed by a domain or a host without wildcards, it is empty for file urls
+const MATCH_PATTERN_REGEX = /^(\*|https?|wss?|ftp|file):\/\/(\*|\*\.[^*/]+|[^*/]+)?(\/.*)$/;
+
+/**
+ * converts the given url pattern to a regular expression by the given syntax (see URL_PATTERN_TYPES)
+ * regular expressions are used as they are, an invalid regular expression throws an error
+ * match patterns follow the WebExtension rules, so the fragment and port of the url are ignored
+ * and a host starting with *. also matches the domain itself
+ * wildcard patterns have to match the whole url, where "*" matches any characters
+ **/
+export function urlPatternToRegExp (urlPattern, urlPatternType = "wildcard") {
+  const escape = (string) => string.replace(/[-[\]{}()*+?.,\\^$|#\s]/g, '\\$&');
+
+  switch (urlPatternType) {
+    case "regex": {
+      if (!REGEX_PATTERN_REGEX.test(urlPattern)) throw "The url pattern is no regular expression enclosed in slashes.";
+      const lastSlashIndex = urlPattern.lastIndexOf("/");
+      return new RegExp(urlPattern.slice(1, lastSlashIndex), urlPattern.slice(lastSlashIndex + 1));
+    }
+
+    case "match-pattern": {
+      if (urlPattern === "<all_urls>") return /^(https?|wss?|ftp|file|data):/;
+
+      const matchPatternParts = urlPattern.match(MATCH_PATTERN_REGEX);
+      if (!matchPatternParts) throw "The url pattern is no valid match pattern.";
+      const [, scheme, host = "", path] = matchPatternParts;
+      // the * scheme only matches http(s) and ws(s)
+      const schemePattern = scheme === "*" ? "(https?|wss?)" : scheme;
+      let hostPattern;
+      if (host === "*") hostPattern = "[^/]*";
+      else if (host.startsWith("*.")) hostPattern = "([^/]+\\.)?" + escape(host.slice(2));
+      else hostPattern = escape(host);
+      const pathPattern = path.split("*").map(escape).join(".*");
+      return new RegExp("^" + schemePattern + "://" + hostPattern + "(:\\d+)?" + pathPattern + "(#.*)?$");
+    }
+
+    default: {
+      // replace * with .* -> matches anything 0 or more times, else escape character
+      const pattern = urlPattern.split("*").map(escape).join(".*");
+      // ^ matches beginning of input and $ matches ending of input
+      return new RegExp("^" + pattern + "$");
+    }
+  }
+}
+
+
 /**
  * check if string is http/https url
  **/
@@ -272,10 +395,36 @@ export function getTargetData (target) {
 
 	data.textSelection = getTextSelection();
 
+	data.contexts = getTargetContexts(target);
+
 	return data;
 }
 
 
+/**
+ * returns an array of the contexts the given target belongs to
+ * possible contexts are: link, image, media, editable and selection
+ * if the target belongs to none of them the context page will be returned
+ **/
+export function getTargetContexts (target) {
+  const contexts = [];
+
+  if (target.closest("a[href], area[href]")) contexts.push("link");
+
+  if (target.nodeName === "IMG" || target.nodeName === "image") contexts.push("image");
+
+  if (target.closest("video, audio")) contexts.push("media");
+
+  if (isEditableInput(target) || target.isContentEditable) contexts.push("editable");
+
+  if (getTextSelection()) contexts.push("selection");
+
+  if (contexts.length === 0) contexts.push("page");
+
+  return contexts;
+}
+
+
 /**
  * returns the closest html parent element that matches the conditions of the provided test function or null
  **/
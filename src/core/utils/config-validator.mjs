@@ -0,0 +1,404 @@
+import { isObject, isPenUpVector, MODIFIER_KEYS, URL_PATTERN_TYPES } from "/core/utils/commons.mjs";
+
+import Gesture from "/core/models/gesture.mjs";
+
+import Exclusion from "/core/models/exclusion.mjs";
+
+/**
+ * Functions for validating a config (e.g. from a backup file) before it is stored
+ * The schema is derived from the default config (defaults.json) and the command items (commands.json)
+ * Settings need to exist in the default config and have the same type as their default value
+ * Commands need to be known and their settings need to have the same type as their default settings
+ * Every problem is reported as an issue containing its type, a code, the affected config path and the affected value
+ * Issues of type "error" cause the affected entry to be removed (e.g. a gesture with an unknown command)
+ * Issues of type "warning" cause the affected value to be ignored so its default value is used instead
+ **/
+
+// wheel directions of a wheel binding, each holding a command or null
+const WHEEL_DIRECTIONS = ["wheelUp", "wheelDown", "wheelLeft", "wheelRight"];
+
+
+/**
+ * Validates the given config against the schema
+ * Returns an object containing the valid parts of the config and an array of all issues
+ * The passed config is not modified
+ **/
+export function validateConfig (config, defaults, commandItems) {
+  const issues = [];
+  const validConfig = {};
+
+  if (!isObject(config)) {
+    issues.push(createIssue("error", "invalidValue", "", config));
+    return { config: validConfig, issues: issues };
+  }
+
+  const validator = new ConfigValidator(defaults, commandItems, issues);
+
+  for (const [key, value] of Object.entries(config)) {
+    switch (key) {
+      case "Settings":
+        validConfig.Settings = validator.validateSettings(value, defaults.Settings, "Settings");
+      break;
+
+      case "Gestures":
+        validConfig.Gestures = validator.validateArray(value, key, validator.validateGesture);
+      break;
+
+      case "SiteRules":
+        validConfig.SiteRules = validator.validateArray(value, key, validator.validateSiteRule);
+      break;
+
+      case "Exclusions":
+        validConfig.Exclusions = validator.validateArray(value, key, validator.validateExclusion);
+      break;
+
+      case "Profiles":
+        validConfig.Profiles = validator.validateArray(value, key, validator.validateProfile);
+      break;
+
+      case "ActiveProfile":
+        if (typeof value === "string") validConfig.ActiveProfile = value;
+        else issues.push(createIssue("warning", "invalidValue", key, value));
+      break;
+
+      default:
+        issues.push(createIssue("warning", "unknownProperty", key, value));
+      break;
+    }
+  }
+
+  // the active profile needs to be one of the stored profiles
+  if (validConfig.hasOwnProperty("ActiveProfile")) {
+    const profiles = validConfig.Profiles ?? defaults.Profiles;
+    if (!profiles.some(profile => profile.name === validConfig.ActiveProfile)) {
+      issues.push(createIssue("warning", "invalidValue", "ActiveProfile", validConfig.ActiveProfile));
+      delete validConfig.ActiveProfile;
+    }
+  }
+
+  return { config: validConfig, issues: issues };
+}
+
+
+/**
+ * Helper class which holds the schema data and collects the issues of a single validation
+ * Every validate method returns the valid value or undefined if the value is invalid
+ **/
+class ConfigValidator {
+
+  constructor (defaults, commandItems, issues) {
+    this.defaults = defaults;
+    this.commandItems = commandItems;
+    this.issues = issues;
+  }
+
+
+  /**
+   * Validates a settings object recursively against its default settings object
+   * Objects containing a command name are validated as commands
+   * The wheel bindings are validated by their entries, because their default value is an empty array
+   **/
+  validateSettings (settings, defaultSettings, path) {
+    if (!isObject(settings)) {
+      this.issues.push(createIssue("warning", "invalidValue", path, settings));
+      return undefined;
+    }
+
+    const validSettings = {};
+    for (const [key, value] of Object.entries(settings)) {
+      const settingPath = `${path}.${key}`;
+      const defaultValue = defaultSettings[key];
+
+      if (!defaultSettings.hasOwnProperty(key)) {
+        this.issues.push(createIssue("warning", "unknownProperty", settingPath, value));
+      }
+      else if (isObject(defaultValue) && defaultValue.hasOwnProperty("name")) {
+        const command = this.validateCommand(value, settingPath, "warning");
+        if (command !== undefined) validSettings[key] = command;
+      }
+      else if (defaultSettings === this.defaults.Settings.Wheel && key === "bindings") {
+        const bindings = this.validateArray(value, settingPath, this.validateWheelBinding);
+        if (bindings !== undefined) validSettings[key] = bindings;
+      }
+      else if (isObject(defaultValue)) {
+        const nestedSettings = this.validateSettings(value, defaultValue, settingPath);
+        if (nestedSettings !== undefined) validSettings[key] = nestedSettings;
+      }
+      else if (getValueType(value) !== getValueType(defaultValue)) {
+        this.issues.push(createIssue("warning", "invalidValue", settingPath, value));
+      }
+      else validSettings[key] = value;
+    }
+    return validSettings;
+  }
+
+
+  /**
+   * Validates every entry of an array with the given validate function
+   * Invalid entries are removed
+   **/
+  validateArray (array, path, validateFunction) {
+    if (!Array.isArray(array)) {
+      this.issues.push(createIssue("warning", "invalidValue", path, array));
+      return undefined;
+    }
+
+    const validArray = [];
+    array.forEach((entry, index) => {
+      const validEntry = validateFunction.call(this, entry, `${path}.${index}`);
+      if (validEntry !== undefined) validArray.push(validEntry);
+    });
+    return validArray;
+  }
+
+
+  /**
+   * Validates a command object against the command items
+   * Unknown or mistyped settings are removed so their default values are used
+   * Nested commands (e.g. of the multi purpose command) are validated recursively
+   * The issue type determines the severity of an invalid or unknown command
+   **/
+  validateCommand (command, path, issueType = "error") {
+    if (!isObject(command) || typeof command.name !== "string") {
+      this.issues.push(createIssue(issueType, "invalidValue", path, command));
+      return undefined;
+    }
+
+    const commandItem = this.commandItems.find(item => item.command === command.name);
+    if (!commandItem) {
+      this.issues.push(createIssue(issueType, "unknownCommand", path, command.name));
+      return undefined;
+    }
+
+    const validCommand = { name: command.name };
+    if (command.settings === undefined) return validCommand;
+
+    if (!isObject(command.settings)) {
+      this.issues.push(createIssue("warning", "invalidValue", `${path}.settings`, command.settings));
+      return validCommand;
+    }
+
+    const defaultSettings = commandItem.settings ?? {};
+    validCommand.settings = {};
+    for (const [key, value] of Object.entries(command.settings)) {
+      const settingPath = `${path}.settings.${key}`;
+
+      if (!defaultSettings.hasOwnProperty(key)) {
+        this.issues.push(createIssue("warning", "unknownProperty", settingPath, value));
+      }
+      else if (getValueType(value) !== getValueType(defaultSettings[key])) {
+        this.issues.push(createIssue("warning", "invalidValue", settingPath, value));
+      }
+      // array settings contain nested commands
+      else if (Array.isArray(value)) {
+        validCommand.settings[key] = this.validateArray(value, settingPath, (nestedCommand, nestedPath) => {
+          return this.validateCommand(nestedCommand, nestedPath, "warning");
+        });
+      }
+      else validCommand.settings[key] = value;
+    }
+    return validCommand;
+  }
+
+
+  /**
+   * Validates an additional wheel binding object
+   * The binding is invalid if its mouse button, its modifier key or the command of any direction is invalid
+   **/
+  validateWheelBinding (binding, path) {
+    if (!isObject(binding) || !Number.isInteger(binding.mouseButton)) {
+      this.issues.push(createIssue("error", "invalidValue", path, binding));
+      return undefined;
+    }
+
+    if (binding.modifierKey != null && !MODIFIER_KEYS.includes(binding.modifierKey)) {
+      this.issues.push(createIssue("error", "invalidValue", `${path}.modifierKey`, binding.modifierKey));
+      return undefined;
+    }
+
+    const validBinding = { mouseButton: binding.mouseButton, modifierKey: binding.modifierKey ?? null };
+    for (const direction of WHEEL_DIRECTIONS) {
+      if (binding[direction] == null) {
+        validBinding[direction] = null;
+        continue;
+      }
+      const command = this.validateCommand(binding[direction], `${path}.${direction}`);
+      if (command === undefined) return undefined;
+      validBinding[direction] = command;
+    }
+
+    for (const [key, value] of Object.entries(binding)) {
+      if (key !== "mouseButton" && key !== "modifierKey" && !WHEEL_DIRECTIONS.includes(key)) {
+        this.issues.push(createIssue("warning", "unknownProperty", `${path}.${key}`, value));
+      }
+    }
+    return validBinding;
+  }
+
+
+  /**
+   * Validates a gesture object
+   * The gesture is invalid if its pattern or command is invalid
+   * Invalid optional properties are removed
+   **/
+  validateGesture (gesture, path) {
+    if (!isObject(gesture)) {
+      this.issues.push(createIssue("error", "invalidValue", path, gesture));
+      return undefined;
+    }
+
+    if (!isPattern(gesture.pattern)) {
+      this.issues.push(createIssue("error", "invalidPattern", `${path}.pattern`, gesture.pattern));
+      return undefined;
+    }
+
+    const command = this.validateCommand(gesture.command, `${path}.command`);
+    if (command === undefined) return undefined;
+
+    const validGesture = { pattern: gesture.pattern, command: command };
+
+    const optionalProperties = {
+      label: value => typeof value === "string",
+      deviationTolerance: value => typeof value === "number" && value >= 0 && value <= 1,
+      samples: value => Array.isArray(value) && value.every(isPattern),
+      length: value => value === "short" || value === "long",
+      modifierKey: value => Gesture.MODIFIER_KEYS.includes(value),
+      contexts: value => Array.isArray(value) && value.every(context => Gesture.CONTEXTS.includes(context))
+    };
+
+    for (const [key, value] of Object.entries(gesture)) {
+      if (key === "pattern" || key === "command") continue;
+      const propertyPath = `${path}.${key}`;
+
+      if (!optionalProperties.hasOwnProperty(key)) {
+        this.issues.push(createIssue("warning", "unknownProperty", propertyPath, value));
+      }
+      // null is the stored value of unset optional properties of older versions
+      else if (value !== null && !optionalProperties[key](value)) {
+        this.issues.push(createIssue("warning", "invalidValue", propertyPath, value));
+      }
+      else if (value !== null) validGesture[key] = value;
+    }
+    return validGesture;
+  }
+
+
+  /**
+   * Validates a site rule object including its gestures
+   **/
+  validateSiteRule (siteRule, path) {
+    if (!isObject(siteRule) || typeof siteRule.urlPattern !== "string") {
+      this.issues.push(createIssue("error", "invalidValue", path, siteRule));
+      return undefined;
+    }
+
+    const validSiteRule = { urlPattern: siteRule.urlPattern };
+    if (siteRule.hasOwnProperty("urlPatternType")) {
+      if (URL_PATTERN_TYPES.includes(siteRule.urlPatternType)) validSiteRule.urlPatternType = siteRule.urlPatternType;
+      else this.issues.push(createIssue("warning", "invalidValue", `${path}.urlPatternType`, siteRule.urlPatternType));
+    }
+    if (siteRule.hasOwnProperty("gestures")) {
+      validSiteRule.gestures = this.validateArray(siteRule.gestures, `${path}.gestures`, this.validateGesture) ?? [];
+    }
+    if (siteRule.hasOwnProperty("replaceGestures")) {
+      if (typeof siteRule.replaceGestures === "boolean") validSiteRule.replaceGestures = siteRule.replaceGestures;
+      else this.issues.push(createIssue("warning", "invalidValue", `${path}.replaceGestures`, siteRule.replaceGestures));
+    }
+    return validSiteRule;
+  }
+
+
+  /**
+   * Validates an exclusion which is either an object or a url pattern string of older versions
+   **/
+  validateExclusion (exclusion, path) {
+    if (typeof exclusion === "string") return exclusion;
+
+    if (!isObject(exclusion) || typeof exclusion.urlPattern !== "string") {
+      this.issues.push(createIssue("error", "invalidValue", path, exclusion));
+      return undefined;
+    }
+
+    const validExclusion = { urlPattern: exclusion.urlPattern };
+    if (exclusion.hasOwnProperty("urlPatternType")) {
+      if (URL_PATTERN_TYPES.includes(exclusion.urlPatternType)) validExclusion.urlPatternType = exclusion.urlPatternType;
+      else this.issues.push(createIssue("warning", "invalidValue", `${path}.urlPatternType`, exclusion.urlPatternType));
+    }
+    if (exclusion.hasOwnProperty("controllers")) {
+      const controllers = exclusion.controllers;
+      if (Array.isArray(controllers) && controllers.every(controller => Exclusion.CONTROLLERS.includes(controller))) {
+        validExclusion.controllers = controllers;
+      }
+      else this.issues.push(createIssue("warning", "invalidValue", `${path}.controllers`, controllers));
+    }
+    if (exclusion.hasOwnProperty("matchTabURL")) {
+      if (typeof exclusion.matchTabURL === "boolean") validExclusion.matchTabURL = exclusion.matchTabURL;
+      else this.issues.push(createIssue("warning", "invalidValue", `${path}.matchTabURL`, exclusion.matchTabURL));
+    }
+    return validExclusion;
+  }
+
+
+  /**
+   * Validates a profile object including its gestures, rocker and wheel settings
+   **/
+  validateProfile (profile, path) {
+    if (!isObject(profile) || typeof profile.name !== "string" || !profile.name.trim()) {
+      this.issues.push(createIssue("error", "invalidValue", path, profile));
+      return undefined;
+    }
+
+    const validProfile = { name: profile.name };
+    for (const [key, value] of Object.entries(profile)) {
+      const propertyPath = `${path}.${key}`;
+      switch (key) {
+        case "name": break;
+
+        case "Gestures": {
+          const gestures = this.validateArray(value, propertyPath, this.validateGesture);
+          if (gestures !== undefined) validProfile.Gestures = gestures;
+        } break;
+
+        case "Rocker":
+        case "Wheel": {
+          const settings = this.validateSettings(value, this.defaults.Settings[key], propertyPath);
+          if (settings !== undefined) validProfile[key] = settings;
+        } break;
+
+        default:
+          this.issues.push(createIssue("warning", "unknownProperty", propertyPath, value));
+        break;
+      }
+    }
+    return validProfile;
+  }
+}
+
+
+/**
+ * Returns true if the given value is a non empty array of 2D vectors
+ * Multi-stroke patterns additionally contain pen-up vectors
+ **/
+function isPattern (value) {
+  return Array.isArray(value) && value.length > 0 && value.every(
+    vector => Array.isArray(vector) && (vector.length === 2 || isPenUpVector(vector)) && vector.every(Number.isFinite)
+  );
+}
+
+
+/**
+ * Returns the type of the given value while distinguishing arrays and null from objects
+ **/
+function getValueType (value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+
+/**
+ * Creates an issue object
+ **/
+function createIssue (type, code, path, value) {
+  return { type: type, code: code, path: path, value: value };
+}
@@ -0,0 +1,209 @@
+import { isObject, convertDirectionsToPattern } from "/core/utils/commons.mjs";
+
+/**
+ * Functions for importing the gesture configurations of other gesture add-ons
+ * Their gestures are defined by direction strings like "DLR" which are converted to gesture patterns
+ * Their action ids are mapped to the closest Gesturefy commands
+ **/
+
+// supported external formats
+// getMappings returns the array of gesture mappings if the given data is of the respective format
+// isMapping checks whether a single entry of the array is a gesture mapping of the format
+// getDirections and getAction return the direction string and the action id of a mapping
+// actions maps the action ids of the format to Gesturefy command names
+const EXTERNAL_FORMATS = [
+  {
+    name: "Foxy Gestures",
+    getMappings: data => data.mouseMappings,
+    // the command is nested, user scripts are mapped without a command
+    isMapping: mapping => typeof mapping.gesture === "string" && isObject(mapping.mapping),
+    getDirections: mapping => mapping.gesture,
+    getAction: mapping => mapping.mapping.command,
+    actions: {
+      historyBack: "PageBack",
+      historyForward: "PageForth",
+      reloadPage: "ReloadTab",
+      reloadFrame: "ReloadFrame",
+      stop: "StopLoading",
+      scrollTop: "ScrollTop",
+      scrollBottom: "ScrollBottom",
+      pageUp: "ScrollPageUp",
+      pageDown: "ScrollPageDown",
+      parentDirectory: "URLLevelUp",
+      rootDirectory: "ToRootURL",
+      newTab: "NewTab",
+      closeTab: "CloseTab",
+      closeOtherTabs: "CloseOtherTabs",
+      closeLeftTabs: "CloseLeftTabs",
+      closeRightTabs: "CloseRightTabs",
+      undoClose: "RestoreTab",
+      nextTab: "FocusRightTab",
+      previousTab: "FocusLeftTab",
+      firstTab: "FocusFirstTab",
+      lastTab: "FocusLastTab",
+      togglePin: "TogglePin",
+      toggleMute: "ToggleMute",
+      zoomIn: "ZoomIn",
+      zoomOut: "ZoomOut",
+      zoomReset: "ZoomReset",
+      newWindow: "NewWindow",
+      newPrivateWindow: "NewPrivateWindow",
+      closeWindow: "CloseWindow",
+      minimize: "MinimizeWindow",
+      maximize: "MaximizeWindow",
+      fullscreen: "ToggleFullscreen",
+      openLinkInNewForegroundTab: "OpenLinkInNewTab",
+      openLinkInNewBackgroundTab: "OpenLinkInNewTab",
+      openLinkInNewWindow: "OpenLinkInNewWindow",
+      openLinkInPrivateWindow: "OpenLinkInNewPrivateWindow",
+      viewImage: "ViewImage",
+      saveMediaNow: "SaveImage"
+    }
+  },
+  {
+    name: "smartUp",
+    getMappings: data => (data.config ?? data).mges?.actions,
+    isMapping: mapping => mapping.hasOwnProperty("direct") && mapping.hasOwnProperty("name"),
+    getDirections: mapping => mapping.direct,
+    getAction: mapping => mapping.name,
+    actions: {
+      back: "PageBack",
+      forward: "PageForth",
+      reload: "ReloadTab",
+      stop: "StopLoading",
+      newtab: "NewTab",
+      close: "CloseTab",
+      reopen: "RestoreTab",
+      pin: "TogglePin",
+      mute: "ToggleMute",
+      bookmark: "ToggleBookmark",
+      upurl: "URLLevelUp",
+      fullscreen: "ToggleFullscreen",
+      minimize: "MinimizeWindow",
+      maximize: "MaximizeWindow",
+      newwin: "NewWindow",
+      closewin: "CloseWindow",
+      savepage: "SaveTabAsPDF",
+      print: "PrintTab",
+      source: "ViewPageSourceCode"
+    }
+  },
+  {
+    name: "FireGestures",
+    getMappings: data => Array.isArray(data) ? data : data.mappings,
+    isMapping: mapping => mapping.hasOwnProperty("direction") && mapping.hasOwnProperty("command"),
+    getDirections: mapping => mapping.direction,
+    getAction: mapping => mapping.command,
+    actions: {
+      "Browser:Back": "PageBack",
+      "Browser:Forward": "PageForth",
+      "Browser:Reload": "ReloadTab",
+      "Browser:ReloadSkipCache": "ReloadTab",
+      "Browser:Stop": "StopLoading",
+      "Browser:Home": "OpenHomepage",
+      "Browser:NextTab": "FocusRightTab",
+      "Browser:PrevTab": "FocusLeftTab",
+      "History:UndoCloseTab": "RestoreTab",
+      "cmd_newNavigatorTab": "NewTab",
+      "cmd_newNavigator": "NewWindow",
+      "cmd_close": "CloseTab",
+      "cmd_closeWindow": "CloseWindow",
+      "cmd_scrollTop": "ScrollTop",
+      "cmd_scrollBottom": "ScrollBottom",
+      "cmd_scrollPageUp": "ScrollPageUp",
+      "cmd_scrollPageDown": "ScrollPageDown",
+      "cmd_fullZoomEnlarge": "ZoomIn",
+      "cmd_fullZoomReduce": "ZoomOut",
+      "cmd_fullZoomReset": "ZoomReset",
+      "View:FullScreen": "ToggleFullscreen",
+      "FireGestures:GoUpperLevel": "URLLevelUp",
+      "FireGestures:IncrementURL": "IncreaseURLNumber",
+      "FireGestures:DecrementURL": "DecreaseURLNumber",
+      "FireGestures:CloseTabOrWindow": "CloseTab",
+      "FireGestures:UndoCloseTab": "RestoreTab",
+      "FireGestures:PreviousTab": "FocusLeftTab",
+      "FireGestures:NextTab": "FocusRightTab",
+      "FireGestures:DuplicateTab": "DuplicateTab",
+      "FireGestures:DetachTab": "MoveTabToNewWindow",
+      "FireGestures:TogglePinTab": "TogglePin",
+      "FireGestures:CloseOtherTabs": "CloseOtherTabs",
+      "FireGestures:CloseLeftTabs": "CloseLeftTabs",
+      "FireGestures:CloseRightTabs": "CloseRightTabs",
+      "FireGestures:ReloadAllTabs": "ReloadAllTabs",
+      "FireGestures:MinimizeWindow": "MinimizeWindow",
+      "FireGestures:MaximizeWindow": "ToggleWindowSize",
+      "FireGestures:OpenLinkInBgTab": "OpenLinkInNewTab",
+      "FireGestures:OpenLinkInFgTab": "OpenLinkInNewTab",
+      "FireGestures:OpenLink": "OpenLink",
+      "FireGestures:OpenLinkInPrivateWindow": "OpenLinkInNewPrivateWindow",
+      "FireGestures:BookmarkLink": "LinkToNewBookmark",
+      "FireGestures:SaveLink": "SaveLink",
+      "FireGestures:SaveImage": "SaveImage",
+      "FireGestures:ViewImage": "ViewImage",
+      "FireGestures:WebSearch": "SearchTextSelectionInNewTab",
+      "FireGestures:AllTabsPopup": "PopupAllTabs",
+      "FireGestures:ClosedTabsPopup": "PopupRecentlyClosedTabs",
+      "FireGestures:ViewPageSource": "ViewPageSourceCode"
+    }
+  }
+];
+
+// valid direction strings of the supported formats
+const DIRECTIONS_REGEX = /^[UDLR]+$/;
+
+
+/**
+ * Converts the given configuration data of another gesture add-on to Gesturefy gestures
+ * The command items (from commands.json) are used to apply the default settings of the mapped commands
+ * Returns null if the data does not match any supported format
+ * Otherwise returns an object containing the format name, the converted gestures in JSON
+ * and all mappings that could not be converted, each with its directions, action id and the reason
+ **/
+export function importExternalGestures (data, commandItems) {
+  if (!isObject(data) && !Array.isArray(data)) return null;
+
+  const format = EXTERNAL_FORMATS.find(format => isFormatMappingArray(format.getMappings(data), format));
+  if (!format) return null;
+
+  const gestures = [];
+  const unmapped = [];
+
+  for (const mapping of format.getMappings(data)) {
+    const directions = format.getDirections(mapping);
+    const action = format.getAction(mapping);
+
+    if (typeof directions !== "string" || !DIRECTIONS_REGEX.test(directions)) {
+      unmapped.push({ directions: directions, action: action, reason: "directions" });
+      continue;
+    }
+
+    const commandItem = commandItems.find(item => item.command === format.actions[action]);
+    if (!commandItem) {
+      unmapped.push({ directions: directions, action: action, reason: "action" });
+      continue;
+    }
+
+    const command = { name: commandItem.command };
+    if (commandItem.settings) command.settings = commandItem.settings;
+    gestures.push({
+      pattern: convertDirectionsToPattern(directions),
+      command: command
+    });
+  }
+
+  return {
+    format: format.name,
+    gestures: gestures,
+    unmapped: unmapped
+  };
+}
+
+
+/**
+ * Returns true if the given value is a non empty array of mappings of the given format
+ **/
+function isFormatMappingArray (mappings, format) {
+  return Array.isArray(mappings) && mappings.length > 0 && mappings.every(
+    mapping => isObject(mapping) && format.isMapping(mapping)
+  );
+}
@@ -0,0 +1,162 @@
+import {
+  describePattern,
+  descriptorDifference,
+  angleDifference,
+  getGesturePatterns,
+  getGestureDeviationTolerance,
+  isGestureMatchingConstraints,
+  applyGesturePrecedence
+} from "/core/utils/matching-algorithms.mjs";
+
+
+// number of buckets the gesture patterns are split into by the direction of their first vector
+const BUCKET_COUNT = 8;
+
+// angle range covered by a single bucket
+const BUCKET_ANGLE = 2 * Math.PI / BUCKET_COUNT;
+
+// maximum deviation of a first vector direction from the center direction of its bucket
+// expressed in the range of angleDifference [0, 1]
+const BUCKET_DIRECTION_DEVIATION = 1 / BUCKET_COUNT;
+
+/**
+ * Pre-computed lookup structure to quickly find the gestures matching a pattern
+ * The descriptors (vector directions and magnitudes) of all gesture patterns and samples are calculated once
+ * and grouped in buckets by the direction of their first vector
+ * Buckets and patterns that cannot match the given pattern are skipped based on a lower bound of their DTW difference
+ * The DTW calculation itself is aborted early once the deviation tolerance is exceeded
+ * It is limited to the same band along the diagonal as the linear matching functions, so the differences are identical
+ * The index needs to be recreated whenever the gestures change
+ **/
+export default class GestureIndex {
+
+  constructor (gestures = []) {
+    this._gestureCount = 0;
+    this._buckets = Array.from({ length: BUCKET_COUNT }, () => ({
+      entries: [],
+      // maximum vector count of all contained patterns
+      maxPatternLength: 0,
+      // maximum deviation tolerance of all contained gestures which define their own tolerance
+      maxDeviationTolerance: 0,
+      // whether the bucket contains gestures that use the global deviation tolerance
+      usesDefaultDeviationTolerance: false
+    }));
+
+    for (const gesture of gestures) {
+      const order = this._gestureCount++;
+      const deviationTolerance = getGestureDeviationTolerance(gesture, null);
+
+      for (const pattern of getGesturePatterns(gesture)) {
+        if (pattern.length === 0) continue;
+
+        const descriptor = describePattern(pattern);
+        const bucket = this._buckets[getBucketIndex(descriptor.angles[0])];
+
+        bucket.entries.push({
+          gesture: gesture,
+          order: order,
+          descriptor: descriptor,
+          deviationTolerance: deviationTolerance
+        });
+
+        bucket.maxPatternLength = Math.max(bucket.maxPatternLength, pattern.length);
+        if (deviationTolerance === null) bucket.usesDefaultDeviationTolerance = true;
+        else bucket.maxDeviationTolerance = Math.max(bucket.maxDeviationTolerance, deviationTolerance);
+      }
+    }
+  }
+
+
+  /**
+   * Returns the number of indexed gestures
+   **/
+  get size () {
+    return this._gestureCount;
+  }
+
+
+  /**
+   * Returns an array of all gestures that match the given pattern below their deviation value
+   * Equivalent to getGestureCandidatesByPattern but makes use of the pre-computed data
+   * Each candidate is an object containing the gesture and its difference score
+   * The candidates are sorted by their difference, starting with the best matching gesture
+   * allowed algorithms: strict, shape-independent, template & combined (default)
+   **/
+  getCandidates (pattern, maxDeviation = 1, algorithm, constraints = {}) {
+    if (pattern.length === 0) return [];
+
+    const descriptor = describePattern(pattern);
+    const firstAngle = descriptor.angles[0];
+    const lastAngle = descriptor.angles[descriptor.angles.length - 1];
+    // the strict and template algorithms do not use DTW so the lower bound cannot be applied
+    const isDTWBased = algorithm !== "strict" && algorithm !== "template";
+
+    // stores the best candidate of each gesture
+    const candidates = new Map();
+
+    for (let i = 0; i < BUCKET_COUNT; i++) {
+      const bucket = this._buckets[i];
+      if (bucket.entries.length === 0) continue;
+
+      if (isDTWBased) {
+        const bucketDeviationTolerance = bucket.usesDefaultDeviationTolerance
+          ? Math.max(maxDeviation, bucket.maxDeviationTolerance)
+          : bucket.maxDeviationTolerance;
+        // the first vectors of all patterns in this bucket deviate at least this much from the first vector of the given pattern
+        const minimumFirstCost = Math.max(0, angleDifference(firstAngle, getBucketAngle(i)) - BUCKET_DIRECTION_DEVIATION);
+        if (minimumFirstCost / Math.max(pattern.length, bucket.maxPatternLength) > bucketDeviationTolerance) continue;
+      }
+
+      for (const entry of bucket.entries) {
+        const previousCandidate = candidates.get(entry.gesture);
+        // skip further samples of gestures that already matched perfectly
+        if (previousCandidate?.difference === 0) continue;
+
+        if (!isGestureMatchingConstraints(entry.gesture, constraints)) continue;
+
+        const deviationTolerance = entry.deviationTolerance ?? maxDeviation;
+        const entryLength = entry.descriptor.angles.length;
+        const maxLength = Math.max(pattern.length, entryLength);
+
+        if (isDTWBased) {
+          // every warping path starts with the first and ends with the last vectors of both patterns
+          let minimumCost = angleDifference(firstAngle, entry.descriptor.angles[0]);
+          if (maxLength > 1) minimumCost += angleDifference(lastAngle, entry.descriptor.angles[entryLength - 1]);
+          if (minimumCost / maxLength > deviationTolerance) continue;
+        }
+
+        const difference = descriptorDifference(descriptor, entry.descriptor, deviationTolerance, algorithm);
+
+        if (difference !== Infinity && (!previousCandidate || difference < previousCandidate.difference)) {
+          candidates.set(entry.gesture, { gesture: entry.gesture, difference: difference, order: entry.order });
+        }
+      }
+    }
+
+    // on equal differences the gesture that was indexed first wins
+    return applyGesturePrecedence(
+      Array.from(candidates.values())
+        .sort((a, b) => a.difference - b.difference || a.order - b.order)
+        .map(({ gesture, difference }) => ({ gesture: gesture, difference: difference })),
+      maxDeviation,
+      algorithm
+    );
+  }
+}
+
+
+/**
+ * Returns the index of the bucket whose center direction is the closest to the given angle
+ **/
+function getBucketIndex (angle) {
+  const index = Math.round(angle / BUCKET_ANGLE);
+  return ((index % BUCKET_COUNT) + BUCKET_COUNT) % BUCKET_COUNT;
+}
+
+
+/**
+ * Returns the center direction of the given bucket in the range of Math.atan2
+ **/
+function getBucketAngle (index) {
+  return index * BUCKET_ANGLE;
+}
@@ -1,61 +1,324 @@
-import { vectorDirectionDifference } from "/core/utils/commons.mjs";
+import { isPenUpVector } from "/core/utils/commons.mjs";
+
+// number of points a pattern is resampled to by the template algorithm
+const TEMPLATE_POINT_COUNT = 32;
+
+// maximum rotation in radians that is compensated by the template algorithm
+// this is kept small so gestures which only differ in their direction (e.g. left and up-left) stay distinguishable
+const TEMPLATE_ROTATION_RANGE = Math.PI / 12;
+
+// precision in radians of the golden section search used by the template algorithm
+const TEMPLATE_ROTATION_PRECISION = Math.PI / 90;
+
+// width of the DTW band relative to the vector count of the longer pattern
+// the same band is used by every matching function and the gesture index so all of them return the same differences
+const DTW_BAND_RATIO = 0.3;
+
+// share of the deviation tolerance up to which two gestures are considered variants of the same stroke
+// this is lower than the tolerance itself so a loosely matching gesture does not count as a variant of a well matching one
+const EQUIVALENCE_TOLERANCE_RATIO = 0.5;
 
 
 /**
  * Returns the gesture of an iterable that matches the given pattern the most
  * if no gesture matches with a value below the deviation value null will be returned
- * allowed algorithms: strict, shape-independent & combined (default)
+ * gestures can override the given deviation value with their own deviation tolerance
+ * gestures with multiple sample patterns are scored by their best matching sample
+ * gestures that do not fulfill the optional constraints are ignored (see isGestureMatchingConstraints)
+ * allowed algorithms: strict, shape-independent, template & combined (default)
  **/
-export function getClosestGestureByPattern (pattern, gestures, maxDeviation = 1, algorithm) {
-  let bestMatchingGesture = null;
+export function getClosestGestureByPattern (pattern, gestures, maxDeviation = 1, algorithm, constraints = {}) {
+  const [ bestCandidate ] = getGestureCandidatesByPattern(pattern, gestures, maxDeviation, algorithm, constraints);
+  return bestCandidate?.gesture ?? null;
+}
 
-  switch (algorithm) {
-    case "strict": {
-      let lowestMismatchRatio = maxDeviation;
 
-      for (const gesture of gestures) {
-        const difference = patternSimilarityByProportion(pattern, gesture.getPattern());
-        if (difference < lowestMismatchRatio) {
-          lowestMismatchRatio = difference;
-          bestMatchingGesture = gesture;
-        }
+/**
+ * Returns an array of all gestures that match the given pattern below their deviation value
+ * Each candidate is an object containing the gesture and its difference score
+ * The candidates are sorted by their difference, starting with the best matching gesture
+ * gestures that do not fulfill the optional constraints are ignored (see isGestureMatchingConstraints)
+ * more specific gestures take precedence over less specific ones (see applyGesturePrecedence)
+ * allowed algorithms: strict, shape-independent, template & combined (default)
+ **/
+export function getGestureCandidatesByPattern (pattern, gestures, maxDeviation = 1, algorithm, constraints = {}) {
+  const candidates = [];
+
+  const patternDescriptor = describePattern(pattern);
+
+  for (const gesture of gestures) {
+    if (!isGestureMatchingConstraints(gesture, constraints)) continue;
+
+    const deviationTolerance = getGestureDeviationTolerance(gesture, maxDeviation);
+
+    let lowestMismatchRatio = Infinity;
+
+    for (const samplePattern of getGesturePatterns(gesture)) {
+      const difference = descriptorDifference(patternDescriptor, describePattern(samplePattern), deviationTolerance, algorithm);
+      if (difference < lowestMismatchRatio) lowestMismatchRatio = difference;
+    }
+
+    if (lowestMismatchRatio !== Infinity) {
+      candidates.push({ gesture: gesture, difference: lowestMismatchRatio });
+    }
+  }
+
+  // stable sort, so on equal differences the first gesture of the iterable wins
+  return applyGesturePrecedence(candidates.sort((a, b) => a.difference - b.difference), maxDeviation, algorithm);
+}
+
+
+/**
+ * Removes all candidates that are overruled by a more specific candidate
+ * Gestures bound to a modifier key are more specific than gestures limited to certain contexts,
+ * which in turn are more specific than gestures without any of these restrictions
+ * A more specific candidate only overrules a less specific one if it matches at least as well
+ * or if both gestures are variants of the same stroke (see areGesturesEquivalent)
+ * Since restricted gestures only match if their restrictions are fulfilled (see isGestureMatchingConstraints)
+ * this lets for example the modifier variant of a gesture take precedence over the plain gesture with the same pattern
+ * while a restricted gesture with a different pattern cannot beat a plain gesture that matches better
+ * The order of the given candidates is preserved
+ **/
+export function applyGesturePrecedence (candidates, maxDeviation = 1, algorithm) {
+  return candidates.filter(candidate => !candidates.some(otherCandidate =>
+    getGestureSpecificity(otherCandidate.gesture) > getGestureSpecificity(candidate.gesture) && (
+      otherCandidate.difference <= candidate.difference ||
+      areGesturesEquivalent(otherCandidate.gesture, candidate.gesture, maxDeviation, algorithm)
+    )
+  ));
+}
+
+
+/**
+ * Checks if two gestures are variants of the same stroke
+ * This is the case if any pattern or sample of one gesture matches any pattern or sample of the other gesture
+ * below a share of the lower deviation tolerance of both gestures (see EQUIVALENCE_TOLERANCE_RATIO)
+ **/
+function areGesturesEquivalent (gestureA, gestureB, maxDeviation, algorithm) {
+  const deviationTolerance = EQUIVALENCE_TOLERANCE_RATIO * Math.min(
+    getGestureDeviationTolerance(gestureA, maxDeviation),
+    getGestureDeviationTolerance(gestureB, maxDeviation)
+  );
+  const descriptorsB = getGesturePatterns(gestureB).map(describePattern);
+  return getGesturePatterns(gestureA).some(patternA => {
+    const descriptorA = describePattern(patternA);
+    return descriptorsB.some(descriptorB => descriptorDifference(descriptorA, descriptorB, deviationTolerance, algorithm) !== Infinity);
+  });
+}
+
+
+/**
+ * Returns a value representing how specific the restrictions of the given gesture are
+ **/
+function getGestureSpecificity (gesture) {
+  let specificity = 0;
+  if (gesture.getModifierKey?.()) specificity += 2;
+  if (gesture.getContexts?.().length > 0) specificity += 1;
+  return specificity;
+}
+
+
+/**
+ * Returns the similarity values of all algorithms between the given pattern and a gesture
+ * Gestures with multiple sample patterns are scored by the sample that matches best with the given algorithm
+ * The returned object contains the values proportion, dtw, template and combined,
+ * the difference value of the given algorithm, the deviation tolerance of the gesture
+ * and whether the gesture would be matched by getGestureCandidatesByPattern
+ * Intended to explain matching results to the user
+ * allowed algorithms: strict, shape-independent, template & combined (default)
+ **/
+export function getGestureScoreBreakdown (pattern, gesture, maxDeviation = 1, algorithm, constraints = {}) {
+  const patternDescriptor = describePattern(pattern);
+  const deviationTolerance = getGestureDeviationTolerance(gesture, maxDeviation);
+  const isMatchingConstraints = isGestureMatchingConstraints(gesture, constraints);
+
+  let bestBreakdown = null;
+
+  for (const samplePattern of getGesturePatterns(gesture)) {
+    const sampleDescriptor = describePattern(samplePattern);
+
+    const proportion = descriptorSimilarityByProportion(patternDescriptor, sampleDescriptor);
+    const dtw = descriptorSimilarityByDTW(patternDescriptor, sampleDescriptor, Infinity, getDTWBandRadius(patternDescriptor, sampleDescriptor));
+    const template = templateSimilarity(patternDescriptor.templatePoints, sampleDescriptor.templatePoints);
+
+    const breakdown = {
+      proportion: proportion,
+      dtw: dtw,
+      template: template,
+      combined: dtw + proportion,
+      deviationTolerance: deviationTolerance,
+      passed: isMatchingConstraints && descriptorDifference(patternDescriptor, sampleDescriptor, deviationTolerance, algorithm) !== Infinity
+    };
+
+    switch (algorithm) {
+      case "strict": breakdown.difference = proportion; break;
+      case "shape-independent": breakdown.difference = dtw; break;
+      case "template": breakdown.difference = template; break;
+      default: breakdown.difference = breakdown.combined; break;
+    }
+
+    // prefer samples that pass the deviation tolerance
+    if (!bestBreakdown ||
+        breakdown.passed && !bestBreakdown.passed ||
+        breakdown.passed === bestBreakdown.passed && breakdown.difference < bestBreakdown.difference
+    ) {
+      bestBreakdown = breakdown;
+    }
+  }
+
+  return bestBreakdown;
+}
+
+
+/**
+ * Returns all pairs of gestures that are similar enough to be confused with each other
+ * A pair is reported if a pattern or sample of one gesture matches the other gesture below its deviation value
+ * Gestures that are limited to different lengths or contexts or bound to different modifier keys can never be confused and are therefore ignored
+ * The same applies to a gesture limited to certain contexts and a gesture without context limitation since the former takes precedence
+ * Each pair is an object containing both gestures and their lowest difference score
+ * The pairs are sorted by their difference, starting with the most similar pair
+ * allowed algorithms: strict, shape-independent, template & combined (default)
+ **/
+export function getSimilarGesturePairs (gestures, maxDeviation = 1, algorithm) {
+  const gestureArray = Array.from(gestures);
+  const pairs = [];
+
+  for (let i = 0; i < gestureArray.length; i++) {
+    for (let j = i + 1; j < gestureArray.length; j++) {
+      const gestureA = gestureArray[i];
+      const gestureB = gestureArray[j];
+
+      const lengthA = gestureA.getLength?.();
+      const lengthB = gestureB.getLength?.();
+      if (lengthA && lengthB && lengthA !== lengthB) continue;
+
+      if ((gestureA.getModifierKey?.() ?? null) !== (gestureB.getModifierKey?.() ?? null)) continue;
+
+      const contextsA = gestureA.getContexts?.() ?? [];
+      const contextsB = gestureB.getContexts?.() ?? [];
+      if (contextsA.length > 0 || contextsB.length > 0) {
+        if (!contextsA.some(context => contextsB.includes(context))) continue;
       }
-    } break;
 
-    case "shape-independent": {
-      let lowestMismatchRatio = maxDeviation;
+      let lowestMismatchRatio = Infinity;
 
-      for (const gesture of gestures) {
-        const difference = patternSimilarityByDTW(pattern, gesture.getPattern());
-        if (difference < lowestMismatchRatio) {
-          lowestMismatchRatio = difference;
-          bestMatchingGesture = gesture;
+      // compare in both directions since every gesture may define its own deviation tolerance
+      for (const [gesture, otherGesture] of [[gestureA, gestureB], [gestureB, gestureA]]) {
+        for (const pattern of getGesturePatterns(gesture)) {
+          const [ candidate ] = getGestureCandidatesByPattern(pattern, [otherGesture], maxDeviation, algorithm);
+          if (candidate && candidate.difference < lowestMismatchRatio) lowestMismatchRatio = candidate.difference;
         }
       }
-    } break;
+
+      if (lowestMismatchRatio !== Infinity) {
+        pairs.push({ gestures: [gestureA, gestureB], difference: lowestMismatchRatio });
+      }
+    }
+  }
+
+  return pairs.sort((a, b) => a.difference - b.difference);
+}
+
+
+/**
+ * Checks if the two best candidates are too close to reliably distinguish them
+ * Requires a sorted candidate array as returned by getGestureCandidatesByPattern
+ * A minimum margin of 0 disables the check
+ **/
+export function isAmbiguousMatch (candidates, minimumMargin = 0) {
+  return candidates.length > 1 && candidates[1].difference - candidates[0].difference < minimumMargin;
+}
+
+
+/**
+ * Checks if the given gesture fulfills the given constraints
+ * Constraints that are not specified will not be checked
+ * Available constraints:
+ * patternLength - the length of the performed pattern in percent of the viewport diagonal
+ * lengthThreshold - the length in percent of the viewport diagonal from which on a pattern counts as long
+ * modifierKeys - an array of the held modifier keys, gestures bound to a modifier key only match if it is included
+ * contexts - an array of the target contexts, gestures limited to certain contexts only match if one of them is included
+ **/
+export function isGestureMatchingConstraints (gesture, constraints) {
+  const gestureLength = gesture.getLength?.();
+  if (gestureLength && constraints.patternLength !== undefined && constraints.lengthThreshold !== undefined) {
+    const isLongPattern = constraints.patternLength >= constraints.lengthThreshold;
+    if (isLongPattern !== (gestureLength === "long")) return false;
+  }
+  const gestureModifierKey = gesture.getModifierKey?.();
+  if (gestureModifierKey && constraints.modifierKeys !== undefined) {
+    if (!constraints.modifierKeys.includes(gestureModifierKey)) return false;
+  }
+  const gestureContexts = gesture.getContexts?.() ?? [];
+  if (gestureContexts.length > 0 && constraints.contexts !== undefined) {
+    if (!gestureContexts.some(context => constraints.contexts.includes(context))) return false;
+  }
+  return true;
+}
+
+
+/**
+ * Returns the mismatch value of 2 pattern descriptors (see describePattern) for the given algorithm
+ * If the patterns deviate more than the given deviation tolerance Infinity will be returned
+ * Patterns with a different number of strokes never match
+ * The band radius limits the DTW warping path (see descriptorSimilarityByDTW), it defaults to the band used for all gestures (see getDTWBandRadius)
+ * allowed algorithms: strict, shape-independent, template & combined (default)
+ **/
+export function descriptorDifference (descriptorA, descriptorB, deviationTolerance, algorithm, bandRadius = getDTWBandRadius(descriptorA, descriptorB)) {
+  if (descriptorA.strokeCount !== descriptorB.strokeCount) return Infinity;
+
+  switch (algorithm) {
+    case "strict": {
+      const difference = descriptorSimilarityByProportion(descriptorA, descriptorB);
+      return difference < deviationTolerance ? difference : Infinity;
+    }
+
+    case "shape-independent": {
+      const difference = descriptorSimilarityByDTW(descriptorA, descriptorB, deviationTolerance, bandRadius);
+      return difference < deviationTolerance ? difference : Infinity;
+    }
+
+    case "template": {
+      const difference = templateSimilarity(descriptorA.templatePoints, descriptorB.templatePoints);
+      return difference < deviationTolerance ? difference : Infinity;
+    }
 
     case "combined":
     default: {
-      let lowestMismatchRatio = Infinity;
+      const differenceByDTW = descriptorSimilarityByDTW(descriptorA, descriptorB, deviationTolerance, bandRadius);
+      // pre-filter patterns by DTW deviation value to increase speed
+      if (differenceByDTW > deviationTolerance) return Infinity;
 
-      for (const gesture of gestures) {
-        const differenceByDTW = patternSimilarityByDTW(pattern, gesture.getPattern());
-        // pre-filter gestures by DTW deviation value to increase speed
-        if (differenceByDTW > maxDeviation) continue;
+      const differenceByProportion = descriptorSimilarityByProportion(descriptorA, descriptorB);
 
-        const differenceByProportion = patternSimilarityByProportion(pattern, gesture.getPattern());
+      return differenceByDTW + differenceByProportion;
+    }
+  }
+}
 
-        const difference = differenceByDTW + differenceByProportion;
 
-        if (difference < lowestMismatchRatio) {
-          lowestMismatchRatio = difference;
-          bestMatchingGesture = gesture;
-        }
-      }
-    } break;
-  }
+/**
+ * Returns the radius of the DTW band for 2 pattern descriptors (see DTW_BAND_RATIO)
+ **/
+export function getDTWBandRadius (descriptorA, descriptorB) {
+  return Math.max(1, Math.ceil(Math.max(descriptorA.angles.length, descriptorB.angles.length) * DTW_BAND_RATIO));
+}
+
 
-  return bestMatchingGesture;
+/**
+ * Returns the deviation tolerance of the given gesture
+ * Falls back to the given default value if the gesture does not define its own tolerance
+ **/
+export function getGestureDeviationTolerance (gesture, defaultDeviation) {
+  return gesture.getDeviationTolerance?.() ?? defaultDeviation;
+}
+
+
+/**
+ * Returns all patterns of the given gesture including its additional samples
+ **/
+export function getGesturePatterns (gesture) {
+  return gesture.getPatterns?.() ?? [gesture.getPattern()];
 }
 
 
@@ -66,8 +329,99 @@ export function getClosestGestureByPattern (pattern, gestures, maxDeviation = 1,
  * 1 maximum mismatch
  **/
 export function patternSimilarityByProportion (patternA, patternB) {
-  const totalAMagnitude = patternMagnitude(patternA);
-  const totalBMagnitude = patternMagnitude(patternB);
+  return descriptorSimilarityByProportion(describePattern(patternA), describePattern(patternB));
+}
+
+
+/**
+ * Modified version of dynamic time warping algorithm
+ * Range: [0, 1]
+ * 0 = perfect match / identical
+ * 1 maximum mismatch
+ **/
+export function patternSimilarityByDTW (patternA, patternB) {
+  return descriptorSimilarityByDTW(describePattern(patternA), describePattern(patternB));
+}
+
+
+/**
+ * Point cloud based template matching inspired by the $1 unistroke recognizer
+ * Both patterns are resampled to a fixed number of equidistant points, centered and uniformly scaled
+ * Small rotations are compensated by searching the best matching angle
+ * Range: [0, 1]
+ * 0 = perfect match / identical
+ * 1 maximum mismatch
+ **/
+export function patternSimilarityByTemplate (patternA, patternB) {
+  return templateSimilarity(describePattern(patternA).templatePoints, describePattern(patternB).templatePoints);
+}
+
+
+/**
+ * Pre-computes the direction angle and the magnitude of every vector of a pattern
+ * Pen-up vectors of multi-stroke patterns are flagged and counted to determine the number of strokes
+ * Their magnitude is 0 because they are not drawn, so the gaps between the strokes do not affect the magnitude proportions
+ * The returned descriptor can be reused to compare the same pattern multiple times
+ * The points required by the template algorithm are only calculated on first access
+ **/
+export function describePattern (pattern) {
+  const angles = pattern.map(vector => Math.atan2(vector[0], vector[1]));
+  const penUps = pattern.map(isPenUpVector);
+  const magnitudes = pattern.map((vector, i) => penUps[i] ? 0 : Math.hypot(vector[0], vector[1]));
+  let templatePoints = null;
+  return {
+    angles: angles,
+    magnitudes: magnitudes,
+    penUps: penUps,
+    strokeCount: penUps.filter(Boolean).length + 1,
+    totalMagnitude: magnitudes.reduce((total, magnitude) => total + magnitude, 0),
+    get templatePoints () {
+      return templatePoints ?? (templatePoints = describeTemplate(pattern));
+    }
+  };
+}
+
+
+/**
+ * Pre-computes the resampled and normalized points of a pattern used by the template algorithm
+ **/
+function describeTemplate (pattern) {
+  return normalizePoints(resampleStrokes(patternToStrokes(pattern), TEMPLATE_POINT_COUNT));
+}
+
+
+/**
+ * Returns the direction difference of 2 vectors of the given pattern descriptors
+ * A pen-up vector and a drawn vector are always completely different
+ * Range: [0, 1]
+ **/
+function vectorDifference (descriptorA, indexA, descriptorB, indexB) {
+  if (descriptorA.penUps[indexA] !== descriptorB.penUps[indexB]) return 1;
+  return angleDifference(descriptorA.angles[indexA], descriptorB.angles[indexB]);
+}
+
+
+/**
+ * Returns the direction difference of 2 angles as returned by Math.atan2
+ * This equals the absolute value of vectorDirectionDifference
+ * Range: [0, 1]
+ **/
+export function angleDifference (angleA, angleB) {
+  let difference = angleA - angleB;
+  // normalize interval to [PI, -PI)
+  if (difference > Math.PI) difference -= 2 * Math.PI;
+  else if (difference <= -Math.PI) difference += 2 * Math.PI;
+  // shift range from [PI, -PI) to [1, -1) and take the absolute value
+  return Math.abs(difference / Math.PI);
+}
+
+
+/**
+ * Proportion based similarity of 2 pattern descriptors (see patternSimilarityByProportion)
+ **/
+export function descriptorSimilarityByProportion (descriptorA, descriptorB) {
+  const anglesA = descriptorA.angles;
+  const anglesB = descriptorB.angles;
 
   let totalDifference = 0;
 
@@ -76,15 +430,12 @@ export function patternSimilarityByProportion (patternA, patternB) {
   let vectorAMagnitudeProportionStart = 0;
   let vectorBMagnitudeProportionStart = 0;
 
-  while (a < patternA.length && b < patternB.length) {
-    const vectorA = patternA[a];
-    const vectorB = patternB[b];
+  while (a < anglesA.length && b < anglesB.length) {
+    const vectorIndexA = a;
+    const vectorIndexB = b;
 
-    const vectorAMagnitude = Math.hypot(...vectorA);
-    const vectorBMagnitude = Math.hypot(...vectorB);
-
-    const vectorAMagnitudeProportion = vectorAMagnitude/totalAMagnitude;
-    const vectorBMagnitudeProportion = vectorBMagnitude/totalBMagnitude;
+    const vectorAMagnitudeProportion = descriptorA.magnitudes[a]/descriptorA.totalMagnitude;
+    const vectorBMagnitudeProportion = descriptorB.magnitudes[b]/descriptorB.totalMagnitude;
 
     const vectorAMagnitudeProportionEnd = vectorAMagnitudeProportionStart + vectorAMagnitudeProportion;
     const vectorBMagnitudeProportionEnd = vectorBMagnitudeProportionStart + vectorBMagnitudeProportion;
@@ -124,11 +475,11 @@ export function patternSimilarityByProportion (patternA, patternB) {
 
     // calculate the difference of both vectors
     // this will result in a value of 0 - 1
-    const vectorDifference = Math.abs(vectorDirectionDifference(vectorA[0], vectorA[1], vectorB[0], vectorB[1]));
+    const difference = vectorDifference(descriptorA, vectorIndexA, descriptorB, vectorIndexB);
 
     // weight the value by its corresponding magnitude proportion
     // all magnitude proportion should add up to a value of 1 in total (ignoring floating point errors)
-    totalDifference += vectorDifference * overlappingMagnitudeProportion;
+    totalDifference += difference * overlappingMagnitudeProportion;
   }
 
   return totalDifference;
@@ -136,39 +487,241 @@ export function patternSimilarityByProportion (patternA, patternB) {
 
 
 /**
- * Modified version of dynamic time warping algorithm
- * Range: [0, 1]
- * 0 = perfect match / identical
- * 1 maximum mismatch
+ * Dynamic time warping based similarity of 2 pattern descriptors (see patternSimilarityByDTW)
+ * Only two rows of the cost matrix are kept in memory
+ * If a maximum deviation is given, the calculation is aborted as soon as the result is known to exceed it
+ * In this case Infinity is returned
+ * If a band radius is given, the warping path is limited to a band of this radius along the diagonal (Sakoe-Chiba band)
+ * The radius is automatically widened if necessary to keep the last cell reachable
  **/
-export function patternSimilarityByDTW (patternA, patternB) {
-  const rows = patternA.length;
-  const columns = patternB.length;
+export function descriptorSimilarityByDTW (descriptorA, descriptorB, maxDeviation = Infinity, bandRadius = Infinity) {
+  const anglesA = descriptorA.angles;
+  const anglesB = descriptorB.angles;
+
+  const rows = anglesA.length;
+  const columns = anglesB.length;
+  const maxLength = Math.max(rows, columns);
 
-  // create 2-dimensional array
-  const DTW = Array.from(Array(rows), () => Array(columns).fill(Infinity));
+  // the column steps per row along the diagonal from the first to the last cell
+  const slope = rows > 1 ? (columns - 1) / (rows - 1) : columns - 1;
+  const radius = Math.max(bandRadius, Math.ceil(slope));
+
+  let previousRow = Array(columns).fill(Infinity);
+  let currentRow = Array(columns).fill(Infinity);
 
   for (let i = 0; i < rows; i++) {
-    for (let j = 0; j < columns; j++) {
-      const cost = Math.abs(vectorDirectionDifference(patternA[i][0], patternA[i][1], patternB[j][0], patternB[j][1]));
+    const center = Math.round(i * slope);
+    const firstColumn = Math.max(0, center - radius);
+    const lastColumn = Math.min(columns - 1, center + radius);
+
+    let rowMinimum = Infinity;
+    currentRow.fill(Infinity);
+
+    for (let j = firstColumn; j <= lastColumn; j++) {
+      const cost = vectorDifference(descriptorA, i, descriptorB, j);
 
       if (i !== 0 && j !== 0) {
-        DTW[i][j] = cost + Math.min(DTW[i - 1][j], DTW[i][j - 1], DTW[i - 1][j - 1]);
+        currentRow[j] = cost + Math.min(previousRow[j], currentRow[j - 1], previousRow[j - 1]);
       }
       else if (i !== 0) {
-        DTW[i][j] = cost + DTW[i - 1][j];
+        currentRow[j] = cost + previousRow[j];
       }
       else if (j !== 0) {
-        DTW[i][j] = cost + DTW[i][j - 1];
+        currentRow[j] = cost + currentRow[j - 1];
       }
       else {
-        DTW[i][j] = cost;
+        currentRow[j] = cost;
       }
+
+      if (currentRow[j] < rowMinimum) rowMinimum = currentRow[j];
     }
+
+    // every warping path passes through this row and costs are never negative
+    // so the final result cannot be lower than the minimum of this row
+    if (rowMinimum / maxLength > maxDeviation) return Infinity;
+
+    [previousRow, currentRow] = [currentRow, previousRow];
   }
 
   // divide by amount of vectors
-  return DTW[rows - 1][columns - 1] / Math.max(rows, columns);
+  return previousRow[columns - 1] / maxLength;
+}
+
+
+/**
+ * Template based similarity of 2 pre-computed point arrays (see patternSimilarityByTemplate)
+ **/
+function templateSimilarity (pointsA, pointsB) {
+  const distance = distanceAtBestAngle(
+    pointsA,
+    pointsB,
+    -TEMPLATE_ROTATION_RANGE,
+    TEMPLATE_ROTATION_RANGE,
+    TEMPLATE_ROTATION_PRECISION
+  );
+
+  // the points are scaled to a unit square, so the half diagonal is the maximum average distance
+  return Math.min(distance / Math.SQRT1_2, 1);
+}
+
+
+/**
+ * Converts a pattern to an array of strokes starting by 0, 0
+ * Each stroke is an array of points, pen-up vectors of multi-stroke patterns start a new stroke
+ **/
+function patternToStrokes (pattern) {
+  let lastPoint = [0, 0];
+  const strokes = [ [lastPoint] ];
+  for (const vector of pattern) {
+    lastPoint = [ lastPoint[0] + vector[0], lastPoint[1] + vector[1] ];
+    if (isPenUpVector(vector)) strokes.push([lastPoint]);
+    else strokes[strokes.length - 1].push(lastPoint);
+  }
+  return strokes;
+}
+
+
+/**
+ * Resamples the given strokes to the given number of equidistant points along the drawn path
+ * The gaps between the strokes are skipped, so the points are only distributed over the drawn lines
+ **/
+function resampleStrokes (strokes, count) {
+  let drawnLength = 0;
+  for (const stroke of strokes) {
+    for (let i = 1; i < stroke.length; i++) {
+      drawnLength += Math.hypot(stroke[i][0] - stroke[i - 1][0], stroke[i][1] - stroke[i - 1][1]);
+    }
+  }
+  const interval = drawnLength / (count - 1);
+
+  const firstPoint = strokes[0][0];
+  const lastStroke = strokes[strokes.length - 1];
+  const lastPoint = lastStroke[lastStroke.length - 1];
+
+  const resampledPoints = [ firstPoint ];
+
+  // a path without any length can only be represented by its starting point
+  if (interval > 0) {
+    let accumulatedDistance = 0;
+
+    for (const stroke of strokes) {
+      // continue measuring at the start of the stroke, the gap to the previous stroke is not drawn
+      let previousPoint = stroke[0];
+
+      for (let i = 1; i < stroke.length; i++) {
+        let currentPoint = stroke[i];
+        let distance = Math.hypot(currentPoint[0] - previousPoint[0], currentPoint[1] - previousPoint[1]);
+
+        // add new points as long as the remaining segment is longer than the interval
+        while (accumulatedDistance + distance >= interval && resampledPoints.length < count) {
+          const ratio = (interval - accumulatedDistance) / distance;
+          const newPoint = [
+            previousPoint[0] + ratio * (currentPoint[0] - previousPoint[0]),
+            previousPoint[1] + ratio * (currentPoint[1] - previousPoint[1])
+          ];
+          resampledPoints.push(newPoint);
+          // continue measuring from the new point
+          previousPoint = newPoint;
+          distance = Math.hypot(currentPoint[0] - previousPoint[0], currentPoint[1] - previousPoint[1]);
+          accumulatedDistance = 0;
+        }
+
+        accumulatedDistance += distance;
+        previousPoint = currentPoint;
+      }
+    }
+  }
+
+  // fill up missing points caused by floating point errors with the last point
+  while (resampledPoints.length < count) {
+    resampledPoints.push(lastPoint);
+  }
+
+  return resampledPoints;
+}
+
+
+/**
+ * Translates the centroid of the given points to 0, 0 and scales them uniformly to fit into a unit square
+ * Uniform scaling is used so straight lines keep their direction
+ **/
+function normalizePoints (points) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  let centroidX = 0, centroidY = 0;
+
+  for (const point of points) {
+    minX = Math.min(minX, point[0]);
+    minY = Math.min(minY, point[1]);
+    maxX = Math.max(maxX, point[0]);
+    maxY = Math.max(maxY, point[1]);
+    centroidX += point[0] / points.length;
+    centroidY += point[1] / points.length;
+  }
+
+  const size = Math.max(maxX - minX, maxY - minY) || 1;
+
+  return points.map(point => [
+    (point[0] - centroidX) / size,
+    (point[1] - centroidY) / size
+  ]);
+}
+
+
+/**
+ * Returns the smallest average point distance of 2 point arrays while rotating the first one within the given angle range
+ * Uses a golden section search to find the best matching angle
+ **/
+function distanceAtBestAngle (pointsA, pointsB, fromAngle, toAngle, precision) {
+  const phi = (Math.sqrt(5) - 1) / 2;
+
+  let x1 = phi * fromAngle + (1 - phi) * toAngle;
+  let f1 = averagePointDistance(rotatePoints(pointsA, x1), pointsB);
+  let x2 = (1 - phi) * fromAngle + phi * toAngle;
+  let f2 = averagePointDistance(rotatePoints(pointsA, x2), pointsB);
+
+  while (Math.abs(toAngle - fromAngle) > precision) {
+    if (f1 < f2) {
+      toAngle = x2;
+      x2 = x1;
+      f2 = f1;
+      x1 = phi * fromAngle + (1 - phi) * toAngle;
+      f1 = averagePointDistance(rotatePoints(pointsA, x1), pointsB);
+    }
+    else {
+      fromAngle = x1;
+      x1 = x2;
+      f1 = f2;
+      x2 = (1 - phi) * fromAngle + phi * toAngle;
+      f2 = averagePointDistance(rotatePoints(pointsA, x2), pointsB);
+    }
+  }
+
+  return Math.min(f1, f2);
+}
+
+
+/**
+ * Rotates the given points around 0, 0 by the given angle in radians
+ **/
+function rotatePoints (points, angle) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return points.map(point => [
+    point[0] * cos - point[1] * sin,
+    point[0] * sin + point[1] * cos
+  ]);
+}
+
+
+/**
+ * Returns the average distance of the corresponding points of 2 equally sized point arrays
+ **/
+function averagePointDistance (pointsA, pointsB) {
+  let totalDistance = 0;
+  for (let i = 0; i < pointsA.length; i++) {
+    totalDistance += Math.hypot(pointsA[i][0] - pointsB[i][0], pointsA[i][1] - pointsB[i][1]);
+  }
+  return totalDistance / pointsA.length;
 }
 
 
@@ -183,6 +736,7 @@ function overlapProportion (minA, maxA, minB, maxB) {
 /**
  * Calculates the length/magnitude of a pattern
  **/
-function patternMagnitude (pattern) {
-  return pattern.reduce( (total, vector) => total + Math.hypot(...vector), 0 );
+export function patternMagnitude (pattern) {
+  // pen-up vectors are not drawn and therefore not part of the magnitude
+  return pattern.reduce( (total, vector) => isPenUpVector(vector) ? total : total + Math.hypot(vector[0], vector[1]), 0 );
 }
\ No newline at end of file
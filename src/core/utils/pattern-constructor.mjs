@@ -1,9 +1,10 @@
-import { vectorDirectionDifference } from "/core/utils/commons.mjs";
+import { vectorDirectionDifference, createPenUpVector } from "/core/utils/commons.mjs";
 
 
 /**
  * Helper class to create a pattern alongside mouse movement from points
  * A Pattern is a combination/array of 2D Vectors while each Vector is an array
+ * The strokes of multi-stroke gestures are separated by pen-up vectors (see startStroke)
  **/
 export default class PatternConstructor {
 
@@ -107,6 +108,39 @@ export default class PatternConstructor {
   }
 
 
+  /**
+   * Starts a new stroke at the given point
+   * The remaining vector of the current stroke is stored and connected to the new point by a pen-up vector
+   * The new point is treated like the first point of a pattern
+   * Returns PASSED_DIFFERENCE_THRESHOLD if a stroke was started, else PASSED_NO_THRESHOLD if no points have been added yet
+   **/
+  startStroke (x, y) {
+    if (this._lastPointX === null || this._lastPointY === null) {
+      this.addPoint(x, y);
+      return PatternConstructor.PASSED_NO_THRESHOLD;
+    }
+    // store the last vector of the current stroke
+    const lastVectorX = this._lastPointX - this._lastExtractedPointX;
+    const lastVectorY = this._lastPointY - this._lastExtractedPointY;
+    if (lastVectorX !== 0 || lastVectorY !== 0) {
+      this._extractedVectors.push([lastVectorX, lastVectorY]);
+    }
+    // store the movement between both strokes
+    this._extractedVectors.push(createPenUpVector(x - this._lastPointX, y - this._lastPointY));
+    // start the new stroke from the given point
+    this._lastExtractedPointX = x;
+    this._lastExtractedPointY = y;
+    this._previousPointX = x;
+    this._previousPointY = y;
+    this._lastPointX = x;
+    this._lastPointY = y;
+    this._previousVectorX = null;
+    this._previousVectorY = null;
+
+    return PatternConstructor.PASSED_DIFFERENCE_THRESHOLD;
+  }
+
+
   /**
    * Returns the current constructed pattern
    * Adds the last added point as the current end point
@@ -130,4 +164,10 @@ PatternConstructor.PASSED_NO_THRESHOLD = 0;
 
 PatternConstructor.PASSED_DISTANCE_THRESHOLD = 1;
 
-PatternConstructor.PASSED_DIFFERENCE_THRESHOLD = 2;
\ No newline at end of file
+PatternConstructor.PASSED_DIFFERENCE_THRESHOLD = 2;
+
+// default thresholds used for gesture recording and recognition
+// changes to these values can be checked against the matching regression corpus (see test/README.md)
+PatternConstructor.DEFAULT_DIFFERENCE_THRESHOLD = 0.12;
+
+PatternConstructor.DEFAULT_DISTANCE_THRESHOLD = 10;
@@ -0,0 +1,113 @@
+/**
+ * Functions for managing named profiles in a config manager instance
+ * A profile holds its own gestures, rocker and wheel settings
+ * The data of the active profile is stored at the regular config paths so it can be accessed like before
+ * The data of all other profiles is stored in the "Profiles" array next to it
+ **/
+
+// config paths of the data that is stored separately for each profile, mapped to their key in the profile object
+const PROFILE_PATHS = {
+  Gestures: "Gestures",
+  Rocker: "Settings.Rocker",
+  Wheel: "Settings.Wheel"
+};
+
+
+/**
+ * Returns the names of all profiles in their stored order
+ **/
+export function getProfileNames (config) {
+  return config.get("Profiles").map(profile => profile.name);
+}
+
+
+/**
+ * Returns the name of the currently active profile
+ **/
+export function getActiveProfileName (config) {
+  return config.get("ActiveProfile");
+}
+
+
+/**
+ * Returns the name of the profile following the active profile
+ * After the last profile the first profile is returned
+ **/
+export function getNextProfileName (config) {
+  const profileNames = getProfileNames(config);
+  const activeIndex = profileNames.indexOf(getActiveProfileName(config));
+  return profileNames[(activeIndex + 1) % profileNames.length];
+}
+
+
+/**
+ * Stores the current data in the active profile and loads the data of the given profile
+ * All changes are written at once so the config change event is only fired once
+ * Returns the storage set promise which resolves when the storage has been written successfully
+ **/
+export function switchProfile (config, name) {
+  const profiles = config.get("Profiles");
+  const activeProfileName = getActiveProfileName(config);
+  const targetProfile = profiles.find(profile => profile.name === name);
+  if (!targetProfile) throw "The passed profile does not exist.";
+  if (name === activeProfileName) return Promise.resolve();
+
+  const activeProfile = profiles.find(profile => profile.name === activeProfileName);
+  const storage = config.get();
+
+  for (const [key, path] of Object.entries(PROFILE_PATHS)) {
+    if (activeProfile) activeProfile[key] = config.get(path);
+    if (targetProfile.hasOwnProperty(key)) setStoragePath(storage, path, targetProfile[key]);
+    // the data of the active profile is only stored at the regular config paths
+    delete targetProfile[key];
+  }
+
+  storage.Profiles = profiles;
+  storage.ActiveProfile = name;
+  return config.set(storage);
+}
+
+
+/**
+ * Adds a new profile with the given name which starts with a copy of the current data
+ * Returns the storage set promise which resolves when the storage has been written successfully
+ **/
+export function createProfile (config, name) {
+  if (typeof name !== "string" || !name.trim()) throw "The profile name must be a non empty string.";
+  const profiles = config.get("Profiles");
+  if (profiles.some(profile => profile.name === name)) throw "A profile with the passed name already exists.";
+
+  const profile = { name: name };
+  for (const [key, path] of Object.entries(PROFILE_PATHS)) {
+    profile[key] = config.get(path);
+  }
+  profiles.push(profile);
+  return config.set("Profiles", profiles);
+}
+
+
+/**
+ * Removes the profile with the given name
+ * The active profile cannot be removed
+ * Returns the storage set promise which resolves when the storage has been written successfully
+ **/
+export function removeProfile (config, name) {
+  if (name === getActiveProfileName(config)) throw "The active profile cannot be removed.";
+  const profiles = config.get("Profiles").filter(profile => profile.name !== name);
+  return config.set("Profiles", profiles);
+}
+
+
+/**
+ * Sets the value of a nested path in the given storage object and creates missing objects on the way
+ **/
+function setStoragePath (storage, path, value) {
+  const keys = path.split(".");
+  const lastKey = keys.pop();
+  let entry = storage;
+  for (const key of keys) {
+    if (typeof entry[key] !== "object" || entry[key] === null) entry[key] = {};
+    entry = entry[key];
+  }
+  entry[lastKey] = value;
+}
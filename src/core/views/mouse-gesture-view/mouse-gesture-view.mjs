@@ -12,6 +12,7 @@ import { getDistance } from "/core/utils/commons.mjs";
 export default {
   initialize: initialize,
   updateGestureTrace: updateGestureTrace,
+  startGestureStroke: startGestureStroke,
   updateGestureCommand: updateGestureCommand,
   terminate: terminate,
 
@@ -82,6 +83,15 @@ export default {
   },
   set gestureCommandVerticalPosition (value) {
     Command.style.setProperty("--verticalPosition", value);
+  },
+
+  // active profile name, an empty string hides the profile label
+
+  get gestureProfileName () {
+    return Profile.textContent;
+  },
+  set gestureProfileName (value) {
+    Profile.textContent = value;
   }
 };
 
@@ -105,6 +115,7 @@ function initialize (x, y) {
   else {
     document.body.appendChild(Overlay);
   }
+  if (Profile.textContent) Overlay.appendChild(Profile);
   // store starting point
   lastPoint.x = x;
   lastPoint.y = y;
@@ -150,10 +161,23 @@ function updateGestureTrace (points) {
 }
 
 
+/**
+ * start a new stroke of a multi-stroke gesture at the given point
+ * the trace is continued from this point without connecting it to the previous stroke
+ */
+function startGestureStroke (x, y) {
+  lastPoint.x = x;
+  lastPoint.y = y;
+}
+
+
 /**
  * update command on match
+ * if an array of commands is passed all of them will be displayed (used for ambiguous matches)
  **/
 function updateGestureCommand (command) {
+  if (Array.isArray(command)) command = command.join(" / ");
+
   if (command && Overlay.isConnected) {
     Command.textContent = command;
     if (!Overlay.contains(Command)) Overlay.appendChild(Command);
@@ -169,6 +193,7 @@ function terminate () {
   Overlay.remove();
   Canvas.remove();
   Command.remove();
+  Profile.remove();
   // clear canvas
   Context.clearRect(0, 0, Canvas.width, Canvas.height);
   // reset trace line width
@@ -225,6 +250,23 @@ const Command = document.createElementNS("http://www.w3.org/1999/xhtml", "div");
         pointer-events: none !important;
       `;
 
+const Profile = document.createElementNS("http://www.w3.org/1999/xhtml", "div");
+      Profile.style = `
+        all: initial !important;
+        position: absolute !important;
+        top: 0.5em !important;
+        left: 0.5em !important;
+        font-family: "NunitoSans Regular", "Arial", sans-serif !important;
+        font-size: 12px !important;
+        line-height: normal !important;
+        color: #FFF !important;
+        background-color: rgba(0,0,0, 0.5) !important;
+        padding: 0.2em 0.5em !important;
+        border-radius: 0.3em !important;
+
+        pointer-events: none !important;
+      `;
+
 
 let gestureTraceLineWidth = 10,
     gestureTraceLineGrowth = true;
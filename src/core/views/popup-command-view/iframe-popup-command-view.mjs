@@ -1,6 +1,7 @@
 /**
  * PopupCommandView
  * Listens for "PopupConnection" background connection and displays the message dataset
+ * Listens for "PopupSwitcherConnection" background connection and displays a passive list with a movable highlight
  * An iframe is used in order to protect the user data from webpages that may try to read or manipulate the contents of the popup
  **/
 
@@ -19,8 +20,9 @@ window.addEventListener("DOMContentLoaded", handleDOMContentLoaded);
 /**
  * Builds all popup html contents
  * Requires the background/command message containing the dataset
+ * Passive popups are not focused and thus not closed on blur
  **/
-function initialize (dataset) {
+function initialize (dataset, interactive = true) {
   // create list and item template
   const list = document.createElement("ul");
         list.id = "list";
@@ -71,6 +73,12 @@ function initialize (dataset) {
       data: requiredDimensions
     });
 
+    // passive popups are controlled by the background script and scroll to their highlighted item
+    if (!interactive) {
+      document.querySelector(".item.selected")?.scrollIntoView({ block: "nearest" });
+      return;
+    }
+
     // focus popup frame
     window.focus();
     window.onblur = terminate;
@@ -127,6 +135,26 @@ function handleConnection (port) {
     channel.onMessage.addListener(initialize);
     channel.onDisconnect.addListener(terminate);
   }
+  else if (port.name === "PopupSwitcherConnection") {
+    channel = port;
+    channel.onMessage.addListener(handleSwitcherMessage);
+    channel.onDisconnect.addListener(terminate);
+  }
+}
+
+
+/**
+ * Handles the messages of the switcher connection
+ * The first message contains the dataset, every message contains the id of the item to highlight
+ **/
+function handleSwitcherMessage (message) {
+  if (message.dataset) initialize(message.dataset, false);
+
+  for (const item of document.querySelectorAll(".item")) {
+    const isSelected = item.dataset.id === String(message.selectedId);
+    item.classList.toggle("selected", isSelected);
+    if (isSelected) item.scrollIntoView({ block: "nearest" });
+  }
 }
 
 
@@ -30,6 +30,9 @@ const PopupURL = new URL(browser.runtime.getURL("/core/views/popup-command-view/
 let mousePositionX = 0,
     mousePositionY = 0;
 
+// passive popups (e.g. the tab switcher) are not focused and ignore all mouse events
+let passive = false;
+
 // setup background/command message event listener for top frame
 if (!isEmbeddedFrame()) browser.runtime.onMessage.addListener(handleMessage);
 
@@ -58,7 +61,12 @@ function handleMessage (message) {
  **/
 async function loadPopup (data) {
   // if popup is still appended to DOM
-  if (Popup.isConnected) {
+  // passive popups are never focused and therefore cannot be closed via blur
+  // removing them directly also closes their connection
+  if (Popup.isConnected && passive) {
+    terminatePopup();
+  }
+  else if (Popup.isConnected) {
     // trigger the terminate event in the iframe/popup via blur
     // wait for the popup termination message and its removal by the terminatePopup function
     // otherwise the termination message / terminatePopup function may remove the newly created popup
@@ -89,6 +97,10 @@ async function loadPopup (data) {
       transition: opacity .3s !important;
       visibility: hidden !important;
     `;
+  // let mouse events pass through so the page still receives the release of the held mouse button
+  passive = Boolean(data.passive);
+  if (passive) Popup.style.setProperty('pointer-events', 'none', 'important');
+
   const popupLoaded = new Promise((resolve, reject) => {
     Popup.onload = resolve;
   });
@@ -170,4 +182,5 @@ async function terminatePopup () {
   // reset variables
   mousePositionX = 0;
   mousePositionY = 0;
+  passive = false;
 }
\ No newline at end of file
@@ -1,7 +1,19 @@
-import { fetchJSONAsObject } from "/core/utils/commons.mjs";
+import { fetchJSONAsObject, isObject } from "/core/utils/commons.mjs";
+
+import { getSimilarGesturePairs } from "/core/utils/matching-algorithms.mjs";
+
+import { importExternalGestures } from "/core/utils/gesture-importer.mjs";
+
+import { validateConfig } from "/core/utils/config-validator.mjs";
 
 import { ContentLoaded, Config } from "/views/options/main.mjs";
 
+import { createGestureThumbnail } from "/views/options/gesture-thumbnail.mjs";
+
+import Gesture from "/core/models/gesture.mjs";
+
+import Exclusion from "/core/models/exclusion.mjs";
+
 ContentLoaded.then(main);
 
 /**
@@ -16,6 +28,15 @@ function main () {
         backupButton.onclick = onBackupButton;
   const restoreButton = document.getElementById("restoreButton");
         restoreButton.onchange = onRestoreButton;
+  const importGesturesButton = document.getElementById("importGesturesButton");
+        importGesturesButton.onchange = onImportGesturesButton;
+  const importExternalButton = document.getElementById("importExternalButton");
+        importExternalButton.onchange = onImportExternalButton;
+
+  const gestureImportForm = document.getElementById("gestureImportForm");
+        gestureImportForm.onsubmit = onGestureImportFormSubmit;
+  const gestureImportList = document.getElementById("gestureImportList");
+        gestureImportList.onchange = onGestureImportListChange;
 }
 
 
@@ -76,23 +97,17 @@ async function onRestoreButton (event) {
   // catch rejected promises and errors
   try {
     // load file data
-    const file = await new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        try {
-          const restoredConfig = JSON.parse(reader.result);
-          resolve(restoredConfig)
-        }
-        catch (e) {
-          reject();
-        }
-      }
-      reader.onerror = reject;
-      reader.readAsText(this.files[0]);
-    });
+    const restoredConfig = await readJSONFile(this.files[0]);
+    if (!isObject(restoredConfig)) throw "The selected file does not contain a config.";
 
-    // load the commands data in order to request the right permissions
-    const commands = await fetchJSONAsObject(browser.runtime.getURL("/resources/json/commands.json"));
+    // load the defaults and commands data in order to validate the config and request the right permissions
+    const [ defaults, commands ] = await Promise.all([
+      fetchJSONAsObject(browser.runtime.getURL("/resources/json/defaults.json")),
+      fetchJSONAsObject(browser.runtime.getURL("/resources/json/commands.json"))
+    ]);
+
+    // only the valid parts of the config will be restored
+    const { config: file, issues } = validateConfig(restoredConfig, defaults, commands);
 
     // get the necessary permissions
     const requiredPermissions = [];
@@ -101,6 +116,9 @@ async function onRestoreButton (event) {
     if (file.Gestures && file.Gestures.length > 0) {
       file.Gestures.forEach(gesture => usedCommands.push(gesture.command));
     }
+    if (file.SiteRules && file.SiteRules.length > 0) {
+      file.SiteRules.forEach(siteRule => siteRule.gestures?.forEach(gesture => usedCommands.push(gesture.command)));
+    }
     if (file.Settings && file.Settings.Rocker) {
       if (file.Settings.Rocker.rightMouseClick) usedCommands.push(file.Settings.Rocker.rightMouseClick);
       if (file.Settings.Rocker.leftMouseClick) usedCommands.push(file.Settings.Rocker.leftMouseClick);
@@ -108,20 +126,47 @@ async function onRestoreButton (event) {
     if (file.Settings && file.Settings.Wheel) {
       if (file.Settings.Wheel.wheelUp) usedCommands.push(file.Settings.Wheel.wheelUp);
       if (file.Settings.Wheel.wheelDown) usedCommands.push(file.Settings.Wheel.wheelDown);
+      if (file.Settings.Wheel.wheelLeft) usedCommands.push(file.Settings.Wheel.wheelLeft);
+      if (file.Settings.Wheel.wheelRight) usedCommands.push(file.Settings.Wheel.wheelRight);
+      file.Settings.Wheel.bindings?.forEach(binding => usedCommands.push(...getWheelBindingCommands(binding)));
+    }
+    if (file.Settings && file.Settings.LongPress && file.Settings.LongPress.command) {
+      usedCommands.push(file.Settings.LongPress.command);
+    }
+    if (file.Settings && file.Settings.DoubleClick && file.Settings.DoubleClick.command) {
+      usedCommands.push(file.Settings.DoubleClick.command);
+    }
+    if (file.Profiles && file.Profiles.length > 0) {
+      for (const profile of file.Profiles) {
+        profile.Gestures?.forEach(gesture => usedCommands.push(gesture.command));
+        if (profile.Rocker?.rightMouseClick) usedCommands.push(profile.Rocker.rightMouseClick);
+        if (profile.Rocker?.leftMouseClick) usedCommands.push(profile.Rocker.leftMouseClick);
+        if (profile.Wheel?.wheelUp) usedCommands.push(profile.Wheel.wheelUp);
+        if (profile.Wheel?.wheelDown) usedCommands.push(profile.Wheel.wheelDown);
+        if (profile.Wheel?.wheelLeft) usedCommands.push(profile.Wheel.wheelLeft);
+        if (profile.Wheel?.wheelRight) usedCommands.push(profile.Wheel.wheelRight);
+        profile.Wheel?.bindings?.forEach(binding => usedCommands.push(...getWheelBindingCommands(binding)));
+      }
     }
 
     for (let command of usedCommands) {
       const commandItem = commands.find((element) => {
         return element.command === command.name;
       });
-      if (commandItem.permissions) commandItem.permissions.forEach((permission) => {
+      if (commandItem?.permissions) commandItem.permissions.forEach((permission) => {
         if (!requiredPermissions.includes(permission)) requiredPermissions.push(permission);
       });
     }
 
     // display popup because permission request requires user interaction
     // also to ensure that the user really wants to override the current config
-    const popup = document.getElementById("restoreConfirm");
+    // if the config contains invalid parts list them and ask whether the valid parts should be restored
+    let popup = document.getElementById("restoreConfirm");
+    if (issues.length > 0) {
+      const restoreValidationList = document.getElementById("restoreValidationList");
+      restoreValidationList.replaceChildren(...issues.map(createValidationIssueItem));
+      popup = document.getElementById("restoreValidationConfirm");
+    }
     popup.addEventListener("close", (event) => {
       // if user declined exit function
       if (!event.detail) return;
@@ -141,6 +186,10 @@ async function onRestoreButton (event) {
     // helper function to finish the process
     // reload option page to update the ui
     function proceed () {
+      // migrate exclusions of older backups which only consist of the url pattern
+      if (Array.isArray(file.Exclusions)) {
+        file.Exclusions = file.Exclusions.map(exclusion => new Exclusion(exclusion).toJSON());
+      }
       Config.clear();
       Config.set(file);
       const popup = document.getElementById("restoreAlertSuccess");
@@ -154,4 +203,379 @@ async function onRestoreButton (event) {
     // terminate function
     return;
   }
+}
+
+
+/**
+ * Returns all commands of the given wheel binding
+ **/
+function getWheelBindingCommands (binding) {
+  return ["wheelUp", "wheelDown", "wheelLeft", "wheelRight"]
+    .map(direction => binding[direction])
+    .filter(command => command?.name);
+}
+
+
+/**
+ * Creates a list item html element describing the given validation issue and returns it
+ **/
+function createValidationIssueItem (issue) {
+  const typeField = document.createElement("span");
+        typeField.classList.add("rv-issue-type");
+        typeField.textContent = browser.i18n.getMessage(issue.type === "error" ? "restoreValidationTypeError" : "restoreValidationTypeWarning");
+  const pathField = document.createElement("code");
+        pathField.classList.add("rv-issue-path");
+        pathField.textContent = issue.path;
+  // shorten long values like complete gesture objects
+  let value = JSON.stringify(issue.value) ?? String(issue.value);
+  if (value.length > 50) value = value.slice(0, 50) + "…";
+  const messageField = document.createElement("span");
+        messageField.classList.add("rv-issue-message");
+        messageField.textContent = browser.i18n.getMessage(
+          "restoreValidationIssue" + issue.code[0].toUpperCase() + issue.code.slice(1),
+          value
+        );
+  const issueItem = document.createElement("li");
+        issueItem.classList.add("rv-issue", `rv-issue-${issue.type}`);
+  issueItem.append(typeField, pathField, messageField);
+  return issueItem;
+}
+
+
+// incoming gestures of the current import
+const ImportedGestures = [];
+
+// the current gestures and whether they should be kept after the import
+const ExistingGestures = [];
+
+// command data used to validate the incoming gestures and request their permissions
+let CommandItems = [];
+
+// default config used to validate the incoming gestures
+let Defaults = {};
+
+
+/**
+ * loads the gestures of the selected file and opens the import popup
+ * the file can either be a complete config or an array of gestures
+ * every incoming gesture is compared with the current gestures using the current matching settings
+ **/
+async function onImportGesturesButton (event) {
+  if (this.files[0].type !== "application/json") {
+    const popup = document.getElementById("restoreAlertWrongFile");
+    popup.open = true;
+    // terminate function
+    return;
+  }
+
+  let file;
+  try {
+    file = await readJSONFile(this.files[0]);
+    // either an array of gestures or a config containing the gestures
+    if (!Array.isArray(file) && !isObject(file)) throw "The selected file does not contain any gestures.";
+  }
+  catch (e) {
+    const popup = document.getElementById("restoreAlertNoConfigFile");
+    popup.open = true;
+    // terminate function
+    return;
+  }
+  finally {
+    // allow importing the same file again
+    this.value = "";
+  }
+
+  // the command data needs to be loaded in advance because the permission request requires direct user interaction
+  [ Defaults, CommandItems ] = await Promise.all([
+    fetchJSONAsObject(browser.runtime.getURL("/resources/json/defaults.json")),
+    fetchJSONAsObject(browser.runtime.getURL("/resources/json/commands.json"))
+  ]);
+
+  const incomingGestures = Array.isArray(file) ? file : file.Gestures;
+  openGestureImportPopup(Array.isArray(incomingGestures) ? incomingGestures : []);
+}
+
+
+/**
+ * converts the gestures of the selected configuration file of another gesture add-on
+ * and opens the import popup together with a report of all gestures that could not be converted
+ **/
+async function onImportExternalButton (event) {
+  let file;
+  try {
+    file = await readJSONFile(this.files[0]);
+  }
+  catch (e) {
+    const popup = document.getElementById("importExternalAlertUnknownFormat");
+    popup.open = true;
+    // terminate function
+    return;
+  }
+  finally {
+    // allow importing the same file again
+    this.value = "";
+  }
+
+  // the command data needs to be loaded in advance because the permission request requires direct user interaction
+  [ Defaults, CommandItems ] = await Promise.all([
+    fetchJSONAsObject(browser.runtime.getURL("/resources/json/defaults.json")),
+    fetchJSONAsObject(browser.runtime.getURL("/resources/json/commands.json"))
+  ]);
+
+  const result = importExternalGestures(file, CommandItems);
+  if (!result) {
+    const popup = document.getElementById("importExternalAlertUnknownFormat");
+    popup.open = true;
+    // terminate function
+    return;
+  }
+
+  openGestureImportPopup(result.gestures, result);
+}
+
+
+/**
+ * Compares the given incoming gestures with the current gestures using the current matching settings
+ * and opens the import popup listing all incoming gestures with their collisions
+ * The incoming gestures are validated like a restored config, invalid gestures are dropped and listed in the report
+ * An optional external import result is displayed as a report above the list
+ **/
+function openGestureImportPopup (incomingGestures, externalImportResult = null) {
+  const { config: validConfig, issues } = validateConfig({ Gestures: incomingGestures }, Defaults, CommandItems);
+
+  ImportedGestures.length = 0;
+  for (const gesture of validConfig.Gestures ?? []) {
+    ImportedGestures.push(new Gesture(gesture));
+  }
+
+  if (ImportedGestures.length === 0 && !externalImportResult && issues.length === 0) {
+    const popup = document.getElementById("gestureImportAlertNoGestures");
+    popup.open = true;
+    // terminate function
+    return;
+  }
+
+  const gestureImportReport = document.getElementById("gestureImportReport");
+        gestureImportReport.replaceChildren();
+  if (externalImportResult) {
+    gestureImportReport.append( createExternalImportReport(externalImportResult) );
+  }
+  if (issues.length > 0) {
+    gestureImportReport.append( createGestureValidationReport(issues) );
+  }
+
+  ExistingGestures.length = 0;
+  for (const gesture of Config.get("Gestures")) {
+    ExistingGestures.push({ gesture: new Gesture(gesture), keep: true });
+  }
+
+  // only collisions between an incoming and an existing gesture are of interest
+  const similarGesturePairs = getSimilarGesturePairs(
+    [...ExistingGestures.map(entry => entry.gesture), ...ImportedGestures],
+    Config.get("Settings.Gesture.deviationTolerance"),
+    Config.get("Settings.Gesture.matchingAlgorithm")
+  ).filter(pair => ImportedGestures.includes(pair.gestures[0]) !== ImportedGestures.includes(pair.gestures[1]));
+
+  const fragment = document.createDocumentFragment();
+  for (const importedGesture of ImportedGestures) {
+    const collisions = similarGesturePairs
+      .filter(pair => pair.gestures.includes(importedGesture))
+      .map(pair => ({
+        existingIndex: ExistingGestures.findIndex(entry => pair.gestures.includes(entry.gesture)),
+        difference: pair.difference
+      }));
+    fragment.append( createGestureImportListItem(importedGesture, collisions) );
+  }
+  const gestureImportList = document.getElementById("gestureImportList");
+  gestureImportList.replaceChildren(fragment);
+
+  const gestureImportPopup = document.getElementById("gestureImportPopup");
+        gestureImportPopup.open = true;
+}
+
+
+/**
+ * Creates the report html element of an external import and returns it
+ * The report states the detected format, the number of converted gestures and lists every mapping that could not be converted
+ **/
+function createExternalImportReport (externalImportResult) {
+  const summary = document.createElement("p");
+        summary.classList.add("gi-report-summary");
+        summary.textContent = browser.i18n.getMessage(
+          'importExternalReportSummary',
+          [externalImportResult.format, String(externalImportResult.gestures.length)]
+        );
+  const fragment = document.createDocumentFragment();
+  fragment.append(summary);
+
+  if (externalImportResult.unmapped.length > 0) {
+    const unmappedList = document.createElement("ul");
+          unmappedList.classList.add("gi-report-list");
+    for (const mapping of externalImportResult.unmapped) {
+      const unmappedItem = document.createElement("li");
+            unmappedItem.classList.add("gi-report-item");
+            unmappedItem.textContent = browser.i18n.getMessage(
+              mapping.reason === "directions" ? 'importExternalReportInvalidDirections' : 'importExternalReportUnknownAction',
+              [String(mapping.action), String(mapping.directions)]
+            );
+      unmappedList.append(unmappedItem);
+    }
+    fragment.append(unmappedList);
+  }
+  return fragment;
+}
+
+
+/**
+ * Creates the report html element of the validation issues of the incoming gestures and returns it
+ **/
+function createGestureValidationReport (issues) {
+  const summary = document.createElement("p");
+        summary.classList.add("gi-report-summary");
+        summary.textContent = browser.i18n.getMessage('gestureImportReportValidation');
+  const issueList = document.createElement("ul");
+        issueList.classList.add("rv-list");
+  issueList.append(...issues.map(createValidationIssueItem));
+  const fragment = document.createDocumentFragment();
+  fragment.append(summary, issueList);
+  return fragment;
+}
+
+
+/**
+ * Creates a gesture import list item html element for an incoming gesture and returns it
+ * The item contains a toggle for the incoming gesture and for each colliding existing gesture
+ * Incoming gestures are only selected by default if they do not collide with any existing gesture
+ **/
+function createGestureImportListItem (importedGesture, collisions) {
+  const importedGestureField = createGestureImportGestureField(importedGesture, "gestureImportLabelIncoming");
+        importedGestureField.control.name = "importedGesture";
+        importedGestureField.control.value = ImportedGestures.indexOf(importedGesture);
+        importedGestureField.control.checked = collisions.length === 0;
+  const gestureImportListItem = document.createElement("li");
+        gestureImportListItem.classList.add("gi-item");
+  gestureImportListItem.append(importedGestureField);
+
+  if (collisions.length > 0) {
+    const collisionList = document.createElement("ul");
+          collisionList.classList.add("gi-collisions");
+    for (const collision of collisions) {
+      const existingEntry = ExistingGestures[collision.existingIndex];
+      const differenceField = document.createElement("span");
+            differenceField.classList.add("gc-difference");
+            differenceField.textContent = browser.i18n.getMessage(
+              'gestureConflictDifference',
+              collision.difference.toFixed(3)
+            );
+      const existingGestureField = createGestureImportGestureField(existingEntry.gesture, "gestureImportLabelExisting");
+            existingGestureField.control.name = "existingGesture";
+            existingGestureField.control.value = collision.existingIndex;
+            existingGestureField.control.checked = existingEntry.keep;
+      const collisionItem = document.createElement("li");
+            collisionItem.classList.add("gi-collision");
+      collisionItem.append(differenceField, existingGestureField);
+      collisionList.append(collisionItem);
+    }
+    gestureImportListItem.classList.add("gi-item-collision");
+    gestureImportListItem.append(collisionList);
+  }
+  return gestureImportListItem;
+}
+
+
+/**
+ * Creates a selectable gesture field containing a checkbox, the thumbnail, the name and an origin label of the gesture
+ **/
+function createGestureImportGestureField (gesture, originLabel) {
+  const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.classList.add("gi-checkbox");
+  const gestureThumbnail = createGestureThumbnail( gesture.getPattern(), gesture.getSamples() );
+        gestureThumbnail.classList.add("gl-thumbnail");
+  const commandField = document.createElement("span");
+        commandField.classList.add("gi-command");
+        commandField.textContent = gesture.toString();
+  const originField = document.createElement("span");
+        originField.classList.add("gi-origin");
+        originField.textContent = browser.i18n.getMessage(originLabel);
+  const gestureField = document.createElement("label");
+        gestureField.classList.add("gi-gesture");
+  gestureField.append(checkbox, gestureThumbnail, commandField, originField);
+  return gestureField;
+}
+
+
+/**
+ * Handles the toggling of existing gestures
+ * An existing gesture can collide with multiple incoming gestures so all its toggles are synchronized
+ **/
+function onGestureImportListChange (event) {
+  if (event.target.name !== "existingGesture") return;
+
+  const existingIndex = Number(event.target.value);
+  ExistingGestures[existingIndex].keep = event.target.checked;
+  for (const checkbox of this.querySelectorAll(`input[name="existingGesture"][value="${existingIndex}"]`)) {
+    checkbox.checked = event.target.checked;
+  }
+}
+
+
+/**
+ * Merges the selected incoming gestures with the kept existing gestures
+ * All other data of the current config is preserved
+ * Requests the optional permissions required by the incoming gestures
+ * reloads the options page afterwards
+ **/
+function onGestureImportFormSubmit (event) {
+  event.preventDefault();
+
+  const selectedGestures = Array.from(
+    this.querySelectorAll('input[name="importedGesture"]:checked'),
+    checkbox => ImportedGestures[checkbox.value]
+  );
+  const mergedGestures = ExistingGestures
+    .filter(entry => entry.keep)
+    .map(entry => entry.gesture)
+    .concat(selectedGestures);
+
+  const gestureImportPopup = document.getElementById("gestureImportPopup");
+        gestureImportPopup.open = false;
+
+  // the permission request needs to be called directly by the user interaction
+  const requiredPermissions = selectedGestures.flatMap(gesture => {
+    const commandItem = CommandItems.find(element => element.command === gesture.getCommand().getName());
+    return commandItem?.permissions ?? [];
+  });
+  const permissionRequest = requiredPermissions.length > 0
+    ? browser.permissions.request({ permissions: [...new Set(requiredPermissions)] })
+    : Promise.resolve(true);
+
+  permissionRequest.then(async (granted) => {
+    if (!granted) return;
+    await Config.set("Gestures", mergedGestures.map(gesture => gesture.toJSON()));
+    const popup = document.getElementById("gestureImportAlertSuccess");
+    popup.addEventListener("close", () => window.location.reload(), { once: true });
+    popup.open = true;
+  });
+}
+
+
+/**
+ * Reads the given file and parses its content as JSON
+ * Returns a promise which rejects if the file cannot be read or parsed
+ **/
+function readJSONFile (file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => {
+      try {
+        resolve(JSON.parse(reader.result));
+      }
+      catch (e) {
+        reject();
+      }
+    }
+    reader.onerror = reject;
+    reader.readAsText(file);
+  });
 }
\ No newline at end of file
@@ -1,7 +1,20 @@
+import { urlPatternToRegExp, getURLPatternType, matchesURLPattern } from "/core/utils/commons.mjs";
+
 import { ContentLoaded, Config } from "/views/options/main.mjs";
 
+import { createGestureThumbnail } from "/views/options/gesture-thumbnail.mjs";
+
+import Gesture from "/core/models/gesture.mjs";
+
+import SiteRule from "/core/models/site-rule.mjs";
+
+import Exclusion from "/core/models/exclusion.mjs";
+
 ContentLoaded.then(main);
 
+// site rules in the order of their priority
+const SiteRules = [];
+
 /**
  * main function
  * run code that depends on async resources
@@ -15,28 +28,83 @@ function main () {
         exclusionsForm.elements.urlPattern.title = browser.i18n.getMessage('exclusionsPlaceholderURL');
         exclusionsForm.elements.urlPattern.onchange = onInputChange;
   // add existing exclusions entries
-  for (const urlPattern of Config.get("Exclusions")) {
-    const exclusionsEntry = createExclusionsEntry(urlPattern);
+  for (const exclusion of Config.get("Exclusions")) {
+    const exclusionsEntry = createExclusionsEntry(new Exclusion(exclusion));
     exclusionsContainer.appendChild(exclusionsEntry);
   }
+
+  const siteRulesContainer = document.getElementById('siteRulesContainer');
+        siteRulesContainer.dataset.noEntriesHint = browser.i18n.getMessage('siteRulesHintNoEntries');
+  const siteRulesForm = document.getElementById('siteRulesForm');
+        siteRulesForm.onsubmit = onSiteRuleFormSubmit;
+        siteRulesForm.elements.urlPattern.placeholder = browser.i18n.getMessage('exclusionsPlaceholderURL');
+        siteRulesForm.elements.urlPattern.title = browser.i18n.getMessage('exclusionsPlaceholderURL');
+        siteRulesForm.elements.urlPattern.onchange = onSiteRuleInputChange;
+  // add existing site rules
+  for (const siteRule of Config.get("SiteRules")) {
+    SiteRules.push(new SiteRule(siteRule));
+  }
+  updateSiteRuleEntries();
+
+  const exclusionsTestForm = document.getElementById('exclusionsTestForm');
+        exclusionsTestForm.onsubmit = (event) => event.preventDefault();
+        exclusionsTestForm.elements.testURL.placeholder = browser.i18n.getMessage('exclusionsPlaceholderTestURL');
+        exclusionsTestForm.elements.testURL.oninput = updateURLTestResult;
 }
 
 
 /**
- * Creates a exclusions entry html element by a given url pattern and returns it
+ * Creates a exclusions entry html element by a given exclusion and returns it
+ * The entry contains a toggle for each controller the exclusion can disable
  **/
-function createExclusionsEntry (urlPattern) {
+function createExclusionsEntry (exclusion) {
+  const controllerLabelMap = {
+    mouse: 'exclusionsLabelControllerMouse',
+    rocker: 'exclusionsLabelControllerRocker',
+    wheel: 'exclusionsLabelControllerWheel',
+    press: 'exclusionsLabelControllerPress'
+  };
   const exclusionsEntry = document.createElement('li');
         exclusionsEntry.classList.add('excl-entry');
-        exclusionsEntry.dataset.urlPattern = urlPattern;
+        exclusionsEntry.dataset.urlPattern = exclusion.getURLPattern();
+        exclusionsEntry.dataset.urlPatternType = exclusion.getURLPatternType();
         exclusionsEntry.onclick = onEntryClick;
   const inputURLEntry = document.createElement('div');
         inputURLEntry.classList.add('excl-url-pattern');
-        inputURLEntry.textContent = urlPattern;
+        inputURLEntry.textContent = exclusion.getURLPattern();
+        inputURLEntry.title = getURLPatternTypeLabel(exclusion.getURLPatternType());
+  const controllerToggles = document.createElement('div');
+        controllerToggles.classList.add('excl-controllers');
+  for (const controller of Exclusion.CONTROLLERS) {
+    const controllerLabel = document.createElement('label');
+          controllerLabel.classList.add('excl-controller');
+    const controllerName = document.createElement('span');
+          controllerName.textContent = browser.i18n.getMessage(controllerLabelMap[controller]);
+    const controllerToggle = document.createElement('input');
+          controllerToggle.type = "checkbox";
+          controllerToggle.classList.add('toggle-button');
+          controllerToggle.value = controller;
+          controllerToggle.checked = exclusion.excludesController(controller);
+          controllerToggle.onchange = onControllerToggleChange;
+    controllerLabel.append(controllerName, controllerToggle);
+    controllerToggles.append(controllerLabel);
+  }
+  const matchTabURLLabel = document.createElement('label');
+        matchTabURLLabel.classList.add('excl-option');
+        matchTabURLLabel.title = browser.i18n.getMessage('exclusionsDescriptionMatchTabURL');
+  const matchTabURLName = document.createElement('span');
+        matchTabURLName.textContent = browser.i18n.getMessage('exclusionsLabelMatchTabURL');
+  const matchTabURLToggle = document.createElement('input');
+        matchTabURLToggle.type = "checkbox";
+        matchTabURLToggle.classList.add('toggle-button');
+        matchTabURLToggle.checked = exclusion.getMatchTabURL();
+        matchTabURLToggle.onchange = onMatchTabURLToggleChange;
+  matchTabURLLabel.append(matchTabURLName, matchTabURLToggle);
+  controllerToggles.append(matchTabURLLabel);
   const deleteButton = document.createElement('button');
         deleteButton.type = "button";
         deleteButton.classList.add('excl-remove-button', 'icon-delete');
-  exclusionsEntry.append(inputURLEntry, deleteButton);
+  exclusionsEntry.append(inputURLEntry, controllerToggles, deleteButton);
   return exclusionsEntry;
 }
 
@@ -113,26 +181,33 @@ function onFormSubmit (event) {
   // remove spaces and cancel the function if the value is empty
   const urlPattern = this.elements.urlPattern.value.trim();
   if (!urlPattern) return;
+  // new exclusions disable all controllers by default
+  const exclusion = new Exclusion(urlPattern);
+        exclusion.setURLPatternType(getURLPatternType(urlPattern));
   // create and add entry to the exclusions
-  const exclusionsEntry = createExclusionsEntry(urlPattern);
+  const exclusionsEntry = createExclusionsEntry(exclusion);
   addExclusionsEntry(exclusionsEntry);
-  // add new url pattern to the beginning of the array
+  // add new exclusion to the beginning of the array
   const exclusionsArray = Config.get("Exclusions");
-        exclusionsArray.unshift(urlPattern);
+        exclusionsArray.unshift(exclusion.toJSON());
   Config.set("Exclusions", exclusionsArray);
   // clear input field
   this.elements.urlPattern.value = '';
+  updateURLTestResult();
 }
 
 
 /**
  * Handles the url pattern input changes
- * Marks the field as invalide if the entry already exists
+ * Marks the field as invalide if the entry already exists or the regular expression is invalid
  **/
 function onInputChange () {
-  if (Config.get("Exclusions").indexOf(this.value.trim()) !== -1) {
+  if (Config.get("Exclusions").some(exclusion => exclusion.urlPattern === this.value.trim())) {
     this.setCustomValidity(browser.i18n.getMessage('exclusionsNotificationAlreadyExists'));
   }
+  else if (!isValidURLPattern(this.value.trim())) {
+    this.setCustomValidity(browser.i18n.getMessage('exclusionsNotificationInvalidRegex'));
+  }
   else if (this.validity.customError) this.setCustomValidity('');
 }
 
@@ -152,11 +227,310 @@ function onEntryClick (event) {
       exclusionsForm.elements.urlPattern.setCustomValidity('');
     }
     const exclusionsArray = Config.get("Exclusions");
-    // remove url pattern from array
-    const index = exclusionsArray.indexOf(this.dataset.urlPattern);
+    // remove exclusion from array
+    const index = exclusionsArray.findIndex(exclusion => exclusion.urlPattern === this.dataset.urlPattern);
     if (index !== -1) {
       exclusionsArray.splice(index, 1);
       Config.set("Exclusions", exclusionsArray);
     }
+    // the removed entry is kept until its animation ended
+    this.classList.remove('excl-entry-match');
+    updateURLTestResult();
   }
 }
+
+
+/**
+ * Handles the controller toggle changes of an exclusions entry
+ * Stores the controllers that are checked in the corresponding exclusion
+ **/
+function onControllerToggleChange () {
+  const exclusionsEntry = this.closest('.excl-entry');
+  const controllers = Array.from(exclusionsEntry.querySelectorAll('.excl-controller input'))
+    .filter(controllerToggle => controllerToggle.checked)
+    .map(controllerToggle => controllerToggle.value);
+
+  const exclusionsArray = Config.get("Exclusions");
+  const index = exclusionsArray.findIndex(exclusion => exclusion.urlPattern === exclusionsEntry.dataset.urlPattern);
+  if (index !== -1) {
+    const exclusion = new Exclusion(exclusionsArray[index]);
+          exclusion.setControllers(controllers);
+    exclusionsArray[index] = exclusion.toJSON();
+    Config.set("Exclusions", exclusionsArray);
+  }
+}
+
+
+/**
+ * Handles the tab url toggle changes of an exclusions entry
+ **/
+function onMatchTabURLToggleChange () {
+  const exclusionsEntry = this.closest('.excl-entry');
+  const exclusionsArray = Config.get("Exclusions");
+  const index = exclusionsArray.findIndex(exclusion => exclusion.urlPattern === exclusionsEntry.dataset.urlPattern);
+  if (index !== -1) {
+    const exclusion = new Exclusion(exclusionsArray[index]);
+          exclusion.setMatchTabURL(this.checked);
+    exclusionsArray[index] = exclusion.toJSON();
+    Config.set("Exclusions", exclusionsArray);
+  }
+}
+
+
+/**
+ * Returns false if the given url pattern is an invalid regular expression
+ * The pattern is checked with the syntax it will be stored with
+ **/
+function isValidURLPattern (urlPattern) {
+  try {
+    urlPatternToRegExp(urlPattern, getURLPatternType(urlPattern));
+  }
+  catch (e) {
+    return false;
+  }
+  return true;
+}
+
+
+/**
+ * Returns a readable description of the given url pattern syntax
+ **/
+function getURLPatternTypeLabel (urlPatternType) {
+  const patternTypeLabelMap = {
+    "regex": 'exclusionsPatternTypeRegex',
+    "match-pattern": 'exclusionsPatternTypeMatchPattern',
+    "wildcard": 'exclusionsPatternTypeWildcard'
+  };
+  return browser.i18n.getMessage(patternTypeLabelMap[urlPatternType]);
+}
+
+
+/**
+ * Handles the input of the test url field
+ * Highlights all exclusions matching the test url as well as the site rule that is applied to it
+ **/
+function updateURLTestResult () {
+  const testURL = document.getElementById('exclusionsTestForm').elements.testURL.value.trim();
+  const exclusionsTestResult = document.getElementById('exclusionsTestResult');
+  const exclusionsContainer = document.getElementById('exclusionsContainer');
+  const siteRulesContainer = document.getElementById('siteRulesContainer');
+
+  let matchingExclusionCount = 0;
+  for (const exclusionsEntry of exclusionsContainer.querySelectorAll('.excl-entry:not(.excl-entry-animate-remove)')) {
+    const isMatching = !!testURL && matchesURLPattern(exclusionsEntry.dataset.urlPattern, testURL, exclusionsEntry.dataset.urlPatternType);
+    exclusionsEntry.classList.toggle('excl-entry-match', isMatching);
+    if (isMatching) matchingExclusionCount++;
+  }
+
+  // only the first matching site rule is applied
+  const siteRuleIndex = testURL ? SiteRules.findIndex(siteRule => siteRule.matchesURL(testURL)) : -1;
+  Array.from(siteRulesContainer.children).forEach((siteRuleEntry, index) => {
+    siteRuleEntry.classList.toggle('sr-entry-match', index === siteRuleIndex);
+  });
+
+  if (!testURL) {
+    exclusionsTestResult.textContent = '';
+  }
+  else {
+    exclusionsTestResult.textContent = [
+      browser.i18n.getMessage('exclusionsTestResultExclusions', String(matchingExclusionCount)),
+      siteRuleIndex !== -1
+        ? browser.i18n.getMessage('exclusionsTestResultSiteRule', SiteRules[siteRuleIndex].getURLPattern())
+        : browser.i18n.getMessage('exclusionsTestResultNoSiteRule')
+    ].join(' ');
+  }
+}
+
+
+/**
+ * Stores the site rules in the config
+ * this works because the config manager calls JSON.stringify which in turn calls the toJSON function of the SiteRule class
+ **/
+function saveSiteRules () {
+  Config.set("SiteRules", SiteRules);
+}
+
+
+/**
+ * Recreates all site rule entries in the order of their priority
+ **/
+function updateSiteRuleEntries () {
+  const siteRulesContainer = document.getElementById('siteRulesContainer');
+  siteRulesContainer.replaceChildren(...SiteRules.map(createSiteRuleEntry));
+  updateURLTestResult();
+}
+
+
+/**
+ * Creates a site rule entry html element by a given site rule and returns it
+ * The entry contains the controls to reorder and remove the rule and to edit its gestures
+ **/
+function createSiteRuleEntry (siteRule, index) {
+  const siteRuleEntry = document.createElement('li');
+        siteRuleEntry.classList.add('sr-entry');
+  const header = document.createElement('div');
+        header.classList.add('sr-header');
+  const urlPatternField = document.createElement('div');
+        urlPatternField.classList.add('excl-url-pattern');
+        urlPatternField.textContent = siteRule.getURLPattern();
+        urlPatternField.title = getURLPatternTypeLabel(siteRule.getURLPatternType());
+  const replaceGesturesLabel = document.createElement('label');
+        replaceGesturesLabel.classList.add('sr-replace-gestures');
+        replaceGesturesLabel.title = browser.i18n.getMessage('siteRulesDescriptionReplaceGestures');
+  const replaceGesturesText = document.createElement('span');
+        replaceGesturesText.textContent = browser.i18n.getMessage('siteRulesLabelReplaceGestures');
+  const replaceGesturesToggle = document.createElement('input');
+        replaceGesturesToggle.type = "checkbox";
+        replaceGesturesToggle.classList.add('toggle-button');
+        replaceGesturesToggle.checked = siteRule.getReplaceGestures();
+        replaceGesturesToggle.onchange = () => {
+          siteRule.setReplaceGestures(replaceGesturesToggle.checked);
+          saveSiteRules();
+        };
+  replaceGesturesLabel.append(replaceGesturesText, replaceGesturesToggle);
+  const moveUpButton = document.createElement('button');
+        moveUpButton.type = "button";
+        moveUpButton.classList.add('sr-move-button', 'sr-move-up-button');
+        moveUpButton.title = browser.i18n.getMessage('siteRulesMoveUpButton');
+        moveUpButton.disabled = index === 0;
+        moveUpButton.onclick = () => moveSiteRule(index, index - 1);
+  const moveDownButton = document.createElement('button');
+        moveDownButton.type = "button";
+        moveDownButton.classList.add('sr-move-button', 'sr-move-down-button');
+        moveDownButton.title = browser.i18n.getMessage('siteRulesMoveDownButton');
+        moveDownButton.disabled = index === SiteRules.length - 1;
+        moveDownButton.onclick = () => moveSiteRule(index, index + 1);
+  const deleteButton = document.createElement('button');
+        deleteButton.type = "button";
+        deleteButton.classList.add('excl-remove-button', 'icon-delete');
+        deleteButton.onclick = () => {
+          SiteRules.splice(index, 1);
+          saveSiteRules();
+          updateSiteRuleEntries();
+        };
+  header.append(urlPatternField, replaceGesturesLabel, moveUpButton, moveDownButton, deleteButton);
+
+  const gestureList = document.createElement('ul');
+        gestureList.classList.add('sr-gesture-list');
+        gestureList.dataset.noEntriesHint = browser.i18n.getMessage('siteRulesHintNoGestures');
+  for (const gesture of siteRule.getGestures()) {
+    gestureList.append( createSiteRuleGestureItem(siteRule, gesture) );
+  }
+
+  siteRuleEntry.append(header, gestureList, createSiteRuleGestureSelect(siteRule));
+  return siteRuleEntry;
+}
+
+
+/**
+ * Creates a gesture item of a site rule entry by a given gesture and returns it
+ * The item allows changing the command the gesture is mapped to on the sites of the rule
+ **/
+function createSiteRuleGestureItem (siteRule, gesture) {
+  const gestureItem = document.createElement('li');
+        gestureItem.classList.add('sr-gesture');
+  const gestureThumbnail = createGestureThumbnail( gesture.getPattern(), gesture.getSamples() );
+        gestureThumbnail.classList.add('gl-thumbnail', 'sr-thumbnail');
+  const commandSelect = document.createElement('command-select');
+        commandSelect.classList.add('command-select-field');
+        commandSelect.command = gesture.getCommand();
+        commandSelect.onchange = () => {
+          gesture.setCommand(commandSelect.command);
+          saveSiteRules();
+        };
+  const deleteButton = document.createElement('button');
+        deleteButton.type = "button";
+        deleteButton.classList.add('excl-remove-button', 'icon-delete');
+        deleteButton.onclick = () => {
+          siteRule.setGestures( siteRule.getGestures().filter(ruleGesture => ruleGesture !== gesture) );
+          saveSiteRules();
+          gestureItem.remove();
+        };
+  gestureItem.append(gestureThumbnail, commandSelect, deleteButton);
+  return gestureItem;
+}
+
+
+/**
+ * Creates a select field listing all global gestures and returns it
+ * Selecting a gesture adds a copy of it to the given site rule, so its command can be remapped for the sites of the rule
+ * The copy is not linked to the global gesture, later changes of the global gesture are not applied to the rule
+ **/
+function createSiteRuleGestureSelect (siteRule) {
+  const selectWrapper = document.createElement('div');
+        selectWrapper.classList.add('select-wrapper', 'sr-gesture-select');
+  const gestureSelect = document.createElement('select');
+        gestureSelect.classList.add('select-field');
+  const placeholderOption = document.createElement('option');
+        placeholderOption.value = "";
+        placeholderOption.textContent = browser.i18n.getMessage('siteRulesLabelAddGesture');
+  gestureSelect.append(placeholderOption);
+
+  const gestures = Config.get("Gestures").map(gesture => new Gesture(gesture));
+  gestures.forEach((gesture, index) => {
+    const option = document.createElement('option');
+          option.value = index;
+          option.textContent = gesture.toString();
+    gestureSelect.append(option);
+  });
+
+  gestureSelect.onchange = () => {
+    if (!gestureSelect.value) return;
+    const gesture = gestures[gestureSelect.value];
+    // the label describes the command of the global gesture
+    gesture.setLabel("");
+    siteRule.setGestures([...siteRule.getGestures(), gesture]);
+    saveSiteRules();
+    updateSiteRuleEntries();
+  };
+
+  selectWrapper.append(gestureSelect);
+  return selectWrapper;
+}
+
+
+/**
+ * Moves the site rule at the given index to the new index and thereby changes its priority
+ **/
+function moveSiteRule (index, newIndex) {
+  if (newIndex < 0 || newIndex >= SiteRules.length) return;
+  const [siteRule] = SiteRules.splice(index, 1);
+  SiteRules.splice(newIndex, 0, siteRule);
+  saveSiteRules();
+  updateSiteRuleEntries();
+}
+
+
+/**
+ * Handles the site rule url pattern submit event
+ * Adds a new site rule with the lowest priority
+ **/
+function onSiteRuleFormSubmit (event) {
+  event.preventDefault();
+  // remove spaces and cancel the function if the value is empty
+  const urlPattern = this.elements.urlPattern.value.trim();
+  if (!urlPattern) return;
+
+  const siteRule = new SiteRule(urlPattern);
+        siteRule.setURLPatternType(getURLPatternType(urlPattern));
+  SiteRules.push(siteRule);
+  saveSiteRules();
+  updateSiteRuleEntries();
+  // clear input field
+  this.elements.urlPattern.value = '';
+}
+
+
+/**
+ * Handles the site rule url pattern input changes
+ * Marks the field as invalide if a rule with the same pattern already exists or the regular expression is invalid
+ **/
+function onSiteRuleInputChange () {
+  if (SiteRules.some(siteRule => siteRule.getURLPattern() === this.value.trim())) {
+    this.setCustomValidity(browser.i18n.getMessage('exclusionsNotificationAlreadyExists'));
+  }
+  else if (!isValidURLPattern(this.value.trim())) {
+    this.setCustomValidity(browser.i18n.getMessage('exclusionsNotificationInvalidRegex'));
+  }
+  else if (this.validity.customError) this.setCustomValidity('');
+}
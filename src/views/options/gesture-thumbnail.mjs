@@ -0,0 +1,173 @@
+import { isPenUpVector } from "/core/utils/commons.mjs";
+
+/**
+ * Renders gesture patterns as svg thumbnails
+ * Shared by the gesture list and the site rules of the options page
+ **/
+
+
+/**
+ * Creates and returns a smooth svg path element from given strokes
+ * Each stroke is an array of points and drawn as a separate sub path
+ **/
+function createCatmullRomSVGPath(strokes, alpha = 0.5) {
+  let path = "";
+
+  for (const points of strokes) {
+    // separate the sub paths of multiple strokes
+    if (path) path += " ";
+    path += `M${points[0].x},${points[0].y}`;
+
+    const size = points.length - 1;
+
+    for (let i = 0; i < size; i++) {
+      const p0 = i === 0 ? points[0] : points[i - 1],
+            p1 = points[i],
+            p2 = points[i + 1],
+            p3 = i === size - 1 ? p2 : points[i + 2];
+
+      const d1 = Math.sqrt(Math.pow(p0.x - p1.x, 2) + Math.pow(p0.y - p1.y, 2)),
+            d2 = Math.sqrt(Math.pow(p1.x - p2.x, 2) + Math.pow(p1.y - p2.y, 2)),
+            d3 = Math.sqrt(Math.pow(p2.x - p3.x, 2) + Math.pow(p2.y - p3.y, 2));
+
+      const d3powA  = Math.pow(d3, alpha),
+            d3pow2A = Math.pow(d3, 2 * alpha),
+            d2powA  = Math.pow(d2, alpha),
+            d2pow2A = Math.pow(d2, 2 * alpha),
+            d1powA  = Math.pow(d1, alpha),
+            d1pow2A = Math.pow(d1, 2 * alpha);
+
+      const A = 2 * d1pow2A + 3 * d1powA * d2powA + d2pow2A,
+            B = 2 * d3pow2A + 3 * d3powA * d2powA + d2pow2A;
+
+      let N = 3 * d1powA * (d1powA + d2powA),
+          M = 3 * d3powA * (d3powA + d2powA);
+
+      if (N > 0) N = 1 / N;
+      if (M > 0) M = 1 / M;
+
+      let x1 = (-d2pow2A * p0.x + A * p1.x + d1pow2A * p2.x) * N,
+          y1 = (-d2pow2A * p0.y + A * p1.y + d1pow2A * p2.y) * N;
+
+      let x2 = (d3pow2A * p1.x + B * p2.x - d2pow2A * p3.x) * M,
+          y2 = (d3pow2A * p1.y + B * p2.y - d2pow2A * p3.y) * M;
+
+      if (x1 === 0 && y1 === 0) {
+        x1 = p1.x;
+        y1 = p1.y;
+      }
+
+      if (x2 === 0 && y2 === 0) {
+        x2 = p2.x;
+        y2 = p2.y;
+      }
+
+      path += ` C ${x1},${y1},${x2},${y2},${p2.x},${p2.y}`;
+    }
+  }
+  // create path element
+  const pathElement = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        pathElement.setAttribute("d", path);
+
+  return pathElement;
+}
+
+
+/**
+ * Converts a given gesture pattern to an array of strokes starting by 0, 0
+ * Each stroke is an array of points, pen-up vectors of multi-stroke patterns start a new stroke
+ **/
+function patternToStrokes (pattern) {
+  let lastPoint = {x: 0, y: 0};
+  const strokes = [ [lastPoint] ];
+  for (const vector of pattern) {
+    lastPoint = {
+      x: lastPoint.x + vector[0],
+      y: lastPoint.y + vector[1]
+    };
+    if (isPenUpVector(vector)) strokes.push([lastPoint]);
+    else strokes[strokes.length - 1].push(lastPoint);
+  }
+  return strokes;
+}
+
+
+/**
+ * Creates and returns a svg element of a given gesture pattern
+ * Optional sample patterns will be drawn underneath the main pattern
+ **/
+export function createGestureThumbnail (pattern, samples = []) {
+  const viewBoxWidth = 100;
+  const viewBoxHeight = 100;
+
+  const strokes = patternToStrokes(pattern);
+
+  const svgElement = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  // scales the svg elements to always fit the svg canvas
+  svgElement.setAttribute("preserveAspectRatio", "xMidYMid meet");
+  svgElement.setAttribute("viewBox", `${0} ${0} ${viewBoxWidth} ${viewBoxHeight}`);
+
+  const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+
+  // create sample trails as svg path elements
+  const samplePathElements = samples.map(sample => {
+    const samplePathElement = createCatmullRomSVGPath(patternToStrokes(sample));
+    samplePathElement.classList.add("gl-thumbnail-sample");
+    return samplePathElement;
+  });
+
+  // create gesture trail as svg path element
+  const gesturePathElement = createCatmullRomSVGPath(strokes);
+  gesturePathElement.classList.add("gl-thumbnail-trail");
+
+  // create arrow as svg path element
+  const arrowPathElement = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+  arrowPathElement.setAttribute("d", `M0,-7 L14,0 L0,7 z`);
+  arrowPathElement.classList.add("gl-thumbnail-arrow");
+  arrowPathElement.style.setProperty("offset-path", `path('${gesturePathElement.getAttribute("d")}')`);
+
+  group.append(...samplePathElements, gesturePathElement, arrowPathElement);
+
+  svgElement.append(group);
+
+  // append svg element hiddenly to dom in order to calculate necessary bounding boxes
+  svgElement.style.cssText = "position: absolute; visibility: hidden;";
+  document.body.appendChild(svgElement);
+  // combine the bounding boxes of all trails
+  const pathBBox = [...samplePathElements, gesturePathElement]
+    .map(pathElement => pathElement.getBBox())
+    .reduce((combinedBBox, bBox) => {
+      const x = Math.min(combinedBBox.x, bBox.x);
+      const y = Math.min(combinedBBox.y, bBox.y);
+      return {
+        x: x,
+        y: y,
+        width: Math.max(combinedBBox.x + combinedBBox.width, bBox.x + bBox.width) - x,
+        height: Math.max(combinedBBox.y + combinedBBox.height, bBox.y + bBox.height) - y
+      };
+    });
+  document.body.removeChild(svgElement);
+  svgElement.style.cssText = null;
+
+  const scale = Math.min(viewBoxWidth/pathBBox.width, viewBoxHeight/pathBBox.height) * 0.75;
+
+  // move path into view and scale it down
+  let translateX = -pathBBox.x * scale;
+  let translateY = -pathBBox.y * scale;
+
+  // center path in the view
+  translateX += viewBoxWidth/2 - pathBBox.width * scale / 2;
+  translateY += viewBoxHeight/2 - pathBBox.height * scale / 2;
+
+  group.style.setProperty("transform", `
+    translate(${translateX}px, ${translateY}px)
+    scale(var(--pathScale))
+  `);
+
+  // add path length and scale as css variables for animations and styling
+  const gesturePathLength = gesturePathElement.getTotalLength();
+  svgElement.style.setProperty("--pathLength", gesturePathLength);
+  svgElement.style.setProperty("--pathScale", scale);
+
+  return svgElement;
+}
@@ -6,7 +6,11 @@ import Gesture from "/core/models/gesture.mjs";
 
 import PatternConstructor from "/core/utils/pattern-constructor.mjs";
 
-import { getClosestGestureByPattern } from "/core/utils/matching-algorithms.mjs";
+import { createGestureThumbnail } from "/views/options/gesture-thumbnail.mjs";
+
+import { isPenUpVector } from "/core/utils/commons.mjs";
+
+import { getClosestGestureByPattern, getSimilarGesturePairs, getGestureScoreBreakdown, patternMagnitude } from "/core/utils/matching-algorithms.mjs";
 
 ContentLoaded.then(main);
 
@@ -16,6 +20,12 @@ let currentItem = null;
 // stores the current pattern of the gesture popup
 let currentPopupPattern = null;
 
+// stores the additional sample patterns of the gesture popup
+let currentPopupSamples = [];
+
+// maximum number of gestures listed in the gesture test popup
+const GESTURE_TEST_CANDIDATE_COUNT = 5;
+
 const Gestures = new Map();
 
 
@@ -31,13 +41,30 @@ function main (values) {
         gesturePopupForm.onsubmit = onGesturePopupFormSubmit;
   const gesturePopupCommandSelect = document.getElementById("gesturePopupCommandSelect")
         gesturePopupCommandSelect.onchange = onCommandSelectChange;
+  const gesturePopupDeviationToleranceInput = document.getElementById("gesturePopupDeviationToleranceInput");
+        gesturePopupDeviationToleranceInput.oninput = onDeviationToleranceInput;
+  const gesturePopupClearSamplesButton = document.getElementById("gesturePopupClearSamplesButton");
+        gesturePopupClearSamplesButton.onclick = onClearSamplesButtonClick;
   const newGestureButton = document.getElementById("gestureAddButton");
         newGestureButton.onclick = onAddButtonClick;
   const gestureSearchToggleButton = document.getElementById("gestureSearchToggleButton");
         gestureSearchToggleButton.onclick = onSearchToggle;
   const gestureSearchInput = document.getElementById("gestureSearchInput");
-        gestureSearchInput.oninput = onSearchInput;
+        gestureSearchInput.oninput = updateGestureListFilter;
         gestureSearchInput.placeholder = browser.i18n.getMessage('gestureSearchPlaceholder');
+  const gestureContextFilterSelect = document.getElementById("gestureContextFilterSelect");
+        gestureContextFilterSelect.onchange = updateGestureListFilter;
+        gestureContextFilterSelect.title = browser.i18n.getMessage('gestureContextFilterTitle');
+  const gestureConflictButton = document.getElementById("gestureConflictButton");
+        gestureConflictButton.onclick = onConflictButtonClick;
+        gestureConflictButton.title = browser.i18n.getMessage('gestureConflictButton');
+  const gestureConflictList = document.getElementById("gestureConflictList");
+        gestureConflictList.dataset.noConflictsHint = browser.i18n.getMessage('gestureConflictHintNoConflicts');
+  const gestureTestButton = document.getElementById("gestureTestButton");
+        gestureTestButton.onclick = onTestButtonClick;
+        gestureTestButton.title = browser.i18n.getMessage('gestureTestButton');
+  const gestureTestPopup = document.getElementById("gestureTestPopup");
+        gestureTestPopup.onclose = onGestureTestPopupClose;
   // create and add all existing gesture items
   const fragment = document.createDocumentFragment();
   for (let gestureJSON of Config.get("Gestures")) {
@@ -55,132 +82,6 @@ function main (values) {
 }
 
 
-/**
- * Creates and returns a smooth svg path element from given points
- **/
-function createCatmullRomSVGPath(points, alpha = 0.5) {
-  let path = `M${points[0].x},${points[0].y} C`;
-
-  const size = points.length - 1;
-
-  for (let i = 0; i < size; i++) {
-    const p0 = i === 0 ? points[0] : points[i - 1],
-          p1 = points[i],
-          p2 = points[i + 1],
-          p3 = i === size - 1 ? p2 : points[i + 2];
-
-    const d1 = Math.sqrt(Math.pow(p0.x - p1.x, 2) + Math.pow(p0.y - p1.y, 2)),
-          d2 = Math.sqrt(Math.pow(p1.x - p2.x, 2) + Math.pow(p1.y - p2.y, 2)),
-          d3 = Math.sqrt(Math.pow(p2.x - p3.x, 2) + Math.pow(p2.y - p3.y, 2));
-
-    const d3powA  = Math.pow(d3, alpha),
-          d3pow2A = Math.pow(d3, 2 * alpha),
-          d2powA  = Math.pow(d2, alpha),
-          d2pow2A = Math.pow(d2, 2 * alpha),
-          d1powA  = Math.pow(d1, alpha),
-          d1pow2A = Math.pow(d1, 2 * alpha);
-
-    const A = 2 * d1pow2A + 3 * d1powA * d2powA + d2pow2A,
-          B = 2 * d3pow2A + 3 * d3powA * d2powA + d2pow2A;
-
-    let N = 3 * d1powA * (d1powA + d2powA),
-        M = 3 * d3powA * (d3powA + d2powA);
-
-    if (N > 0) N = 1 / N;
-    if (M > 0) M = 1 / M;
-
-    let x1 = (-d2pow2A * p0.x + A * p1.x + d1pow2A * p2.x) * N,
-        y1 = (-d2pow2A * p0.y + A * p1.y + d1pow2A * p2.y) * N;
-
-    let x2 = (d3pow2A * p1.x + B * p2.x - d2pow2A * p3.x) * M,
-        y2 = (d3pow2A * p1.y + B * p2.y - d2pow2A * p3.y) * M;
-
-    if (x1 === 0 && y1 === 0) {
-      x1 = p1.x;
-      y1 = p1.y;
-    }
-
-    if (x2 === 0 && y2 === 0) {
-      x2 = p2.x;
-      y2 = p2.y;
-    }
-
-    path += ` ${x1},${y1},${x2},${y2},${p2.x},${p2.y}`;
-  }
-  // create path element
-  const pathElement = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        pathElement.setAttribute("d", path);
-
-  return pathElement;
-}
-
-
-/**
- * Creates and returns a svg element of a given gesture pattern
- **/
-function createGestureThumbnail (pattern) {
-  const viewBoxWidth = 100;
-  const viewBoxHeight = 100;
-
-  // convert vector array to points starting by 0, 0
-  const points = [ {x: 0, y: 0} ];
-  pattern.forEach((vector, i) => points.push({
-    x: points[i].x + vector[0],
-    y: points[i].y + vector[1]
-  }));
-
-  const svgElement = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-  // scales the svg elements to always fit the svg canvas
-  svgElement.setAttribute("preserveAspectRatio", "xMidYMid meet");
-  svgElement.setAttribute("viewBox", `${0} ${0} ${viewBoxWidth} ${viewBoxHeight}`);
-
-  const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-
-  // create gesture trail as svg path element
-  const gesturePathElement = createCatmullRomSVGPath(points);
-  gesturePathElement.classList.add("gl-thumbnail-trail");
-
-  // create arrow as svg path element
-  const arrowPathElement = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-  arrowPathElement.setAttribute("d", `M0,-7 L14,0 L0,7 z`);
-  arrowPathElement.classList.add("gl-thumbnail-arrow");
-  arrowPathElement.style.setProperty("offset-path", `path('${gesturePathElement.getAttribute("d")}')`);
-
-  group.append(gesturePathElement, arrowPathElement);
-
-  svgElement.append(group);
-
-  // append svg element hiddenly to dom in order to calculate necessary bounding boxes
-  svgElement.style.cssText = "position: absolute; visibility: hidden;";
-  document.body.appendChild(svgElement);
-  const pathBBox = gesturePathElement.getBBox();
-  document.body.removeChild(svgElement);
-  svgElement.style.cssText = null;
-
-  const scale = Math.min(viewBoxWidth/pathBBox.width, viewBoxHeight/pathBBox.height) * 0.75;
-
-  // move path into view and scale it down
-  let translateX = -pathBBox.x * scale;
-  let translateY = -pathBBox.y * scale;
-
-  // center path in the view
-  translateX += viewBoxWidth/2 - pathBBox.width * scale / 2;
-  translateY += viewBoxHeight/2 - pathBBox.height * scale / 2;
-
-  group.style.setProperty("transform", `
-    translate(${translateX}px, ${translateY}px)
-    scale(var(--pathScale))
-  `);
-
-  // add path length and scale as css variables for animations and styling
-  const gesturePathLength = gesturePathElement.getTotalLength();
-  svgElement.style.setProperty("--pathLength", gesturePathLength);
-  svgElement.style.setProperty("--pathScale", scale);
-
-  return svgElement;
-}
-
-
 /**
  * Creates a gesture list item html element by a given gestureObject and returns it
  **/
@@ -190,18 +91,60 @@ function createGestureListItem (gesture) {
         gestureListItem.onclick = onItemClick;
         gestureListItem.onpointerenter = onItemPointerenter;
         gestureListItem.onpointerleave = onItemPointerleave;
-  const gestureThumbnail = createGestureThumbnail( gesture.getPattern() );
+  const gestureThumbnail = createGestureThumbnail( gesture.getPattern(), gesture.getSamples() );
         gestureThumbnail.classList.add("gl-thumbnail");
   const commandField = document.createElement("div");
         commandField.classList.add("gl-command");
         commandField.textContent = gesture.toString();
+  const badgeField = createBadgeField(gesture);
   const removeButton = document.createElement("button");
         removeButton.classList.add("gl-remove-button", "icon-delete");
-  gestureListItem.append(gestureThumbnail, commandField, removeButton);
+  gestureListItem.append(gestureThumbnail, commandField, badgeField, removeButton);
   return gestureListItem;
 }
 
 
+/**
+ * Creates and returns an html element displaying the modifier key and the contexts of the given gesture
+ * The element is hidden if the gesture is neither bound to a modifier key nor limited to certain contexts
+ **/
+function createBadgeField (gesture) {
+  const modifierKeyLabelMap = {
+    altKey: 'settingLabelAltKey',
+    ctrlKey: 'settingLabelCtrlKey',
+    shiftKey: 'settingLabelShiftKey'
+  };
+  const badgeField = document.createElement("div");
+        badgeField.classList.add("gl-badges");
+
+  const modifierKey = gesture.getModifierKey();
+  if (modifierKey) {
+    const modifierKeyBadge = document.createElement("span");
+          modifierKeyBadge.classList.add("gl-badge");
+          modifierKeyBadge.textContent = browser.i18n.getMessage(modifierKeyLabelMap[modifierKey]);
+    badgeField.append(modifierKeyBadge);
+  }
+
+  for (const context of gesture.getContexts()) {
+    const contextBadge = document.createElement("span");
+          contextBadge.classList.add("gl-badge", "gl-badge-context");
+          contextBadge.textContent = browser.i18n.getMessage(getContextLabel(context));
+    badgeField.append(contextBadge);
+  }
+
+  badgeField.hidden = !badgeField.hasChildNodes();
+  return badgeField;
+}
+
+
+/**
+ * Returns the i18n message name of the given gesture context
+ **/
+function getContextLabel (context) {
+  return "gestureContext" + context.charAt(0).toUpperCase() + context.slice(1);
+}
+
+
 /**
  * Adds a given gesture list item to the gesture list ui
  **/
@@ -281,12 +224,15 @@ function updateGestureListItem (gestureListItem, gesture) {
   gestureListItem.classList.add("gl-item-animate-update");
 
   const currentGestureThumbnail = gestureListItem.querySelector(".gl-thumbnail");
-  const newGestureThumbnail = createGestureThumbnail( gesture.getPattern() );
+  const newGestureThumbnail = createGestureThumbnail( gesture.getPattern(), gesture.getSamples() );
   newGestureThumbnail.classList.add("gl-thumbnail");
   currentGestureThumbnail.replaceWith(newGestureThumbnail);
 
   const commandField = gestureListItem.querySelector(".gl-command");
   commandField.textContent = gesture.toString();
+
+  const badgeField = gestureListItem.querySelector(".gl-badges");
+  badgeField.replaceWith( createBadgeField(gesture) );
 }
 
 
@@ -422,25 +368,30 @@ function onItemPointerleave (event) {
 
 
 /**
- * Handles the input events of the search field and hides all unmatching gestures
+ * Handles the input events of the search field and the change events of the context filter
+ * Hides all gestures that do not match the search query or are not active in the selected context
  **/
-function onSearchInput () {
+function updateGestureListFilter () {
   const gestureList = document.getElementById("gestureContainer");
   const gestureAddButtonItem = gestureList.firstElementChild;
   const searchQuery = document.getElementById("gestureSearchInput").value.toLowerCase().trim();
   const searchQueryKeywords = searchQuery.split(" ");
+  const contextFilter = document.getElementById("gestureContextFilterSelect").value;
 
   for (const [gestureListItem, gesture] of Gestures) {
     // get the gesture string and transform all letters to lower case
     const gestureString = gesture.toString().toLowerCase();
     // check if all keywords are matching the command name
-    const isMatching = searchQueryKeywords.every(keyword => gestureString.includes(keyword));
+    const isMatchingQuery = searchQueryKeywords.every(keyword => gestureString.includes(keyword));
+    // gestures without contexts are active in every context
+    const gestureContexts = gesture.getContexts();
+    const isMatchingContext = !contextFilter || gestureContexts.length === 0 || gestureContexts.includes(contextFilter);
     // hide all unmatching commands and show all matching commands
-    gestureListItem.hidden = !isMatching;
+    gestureListItem.hidden = !isMatchingQuery || !isMatchingContext;
   }
 
-  // hide gesture add button item on search input
-  gestureAddButtonItem.hidden = !!searchQuery;
+  // hide gesture add button item while filtering
+  gestureAddButtonItem.hidden = !!searchQuery || !!contextFilter;
 
   // toggle "no search results" hint if all items are hidden
   gestureList.classList.toggle("empty", !gestureList.querySelectorAll(".gl-item:not([hidden])").length);
@@ -459,7 +410,223 @@ function onSearchToggle () {
   }
   else {
     gestureSearchForm.reset();
-    onSearchInput();
+    updateGestureListFilter();
+  }
+}
+
+
+/**
+ * Handles the conflict button click
+ * Compares all gestures with each other using the current matching settings
+ * and opens the conflict popup listing all gesture pairs that could be confused
+ **/
+function onConflictButtonClick (event) {
+  const gestureConflictList = document.getElementById("gestureConflictList");
+
+  const similarGesturePairs = getSimilarGesturePairs(
+    Gestures.values(),
+    Config.get("Settings.Gesture.deviationTolerance"),
+    Config.get("Settings.Gesture.matchingAlgorithm")
+  );
+
+  const fragment = document.createDocumentFragment();
+  for (const similarGesturePair of similarGesturePairs) {
+    fragment.append( createGestureConflictListItem(similarGesturePair) );
+  }
+  gestureConflictList.replaceChildren(fragment);
+
+  const gestureConflictPopup = document.getElementById("gestureConflictPopup");
+        gestureConflictPopup.open = true;
+}
+
+
+/**
+ * Creates a gesture conflict list item html element by a given similar gesture pair and returns it
+ * Each gesture of the pair is represented by a button which opens the gesture in the gesture popup
+ **/
+function createGestureConflictListItem (similarGesturePair) {
+  const [ gestureA, gestureB ] = similarGesturePair.gestures.map(gesture => {
+    const gestureButton = document.createElement("button");
+          gestureButton.classList.add("gc-gesture");
+          gestureButton.type = "button";
+          gestureButton.onclick = () => onConflictGestureClick(gesture);
+    const gestureThumbnail = createGestureThumbnail( gesture.getPattern(), gesture.getSamples() );
+          gestureThumbnail.classList.add("gl-thumbnail");
+    const commandField = document.createElement("span");
+          commandField.textContent = gesture.toString();
+    gestureButton.append(gestureThumbnail, commandField);
+    return gestureButton;
+  });
+  const differenceField = document.createElement("span");
+        differenceField.classList.add("gc-difference");
+        differenceField.textContent = browser.i18n.getMessage(
+          'gestureConflictDifference',
+          similarGesturePair.difference.toFixed(3)
+        );
+  const gestureConflictListItem = document.createElement("li");
+        gestureConflictListItem.classList.add("gc-item");
+  gestureConflictListItem.append(gestureA, differenceField, gestureB);
+  return gestureConflictListItem;
+}
+
+
+/**
+ * Handles the click on a gesture of the conflict popup
+ * Closes the conflict popup and opens the gesture in the gesture popup
+ **/
+function onConflictGestureClick (gesture) {
+  const gestureConflictPopup = document.getElementById("gestureConflictPopup");
+        gestureConflictPopup.open = false;
+
+  for (const [gestureListItem, storedGesture] of Gestures) {
+    if (storedGesture !== gesture) continue;
+    gestureListItem.scrollIntoView({ block: "center" });
+    // open gesture popup and hold reference to current item
+    currentItem = gestureListItem;
+    openGesturePopup(gesture);
+    break;
+  }
+}
+
+
+/**
+ * Handles the test button click and opens the gesture test popup
+ **/
+function onTestButtonClick (event) {
+  const currentUserMouseButton = Config.get("Settings.Gesture.mouseButton");
+  const mouseButtonLabelMap = {
+    1: 'gesturePopupMouseButtonLeft',
+    2: 'gesturePopupMouseButtonRight',
+    4: 'gesturePopupMouseButtonMiddle'
+  }
+  const gestureTestPatternContainer = document.getElementById("gestureTestPatternContainer");
+        gestureTestPatternContainer.dataset.gestureRecordingHint = browser.i18n.getMessage(
+          'gestureTestRecordingAreaText',
+          browser.i18n.getMessage(mouseButtonLabelMap[currentUserMouseButton])
+        );
+  const gestureTestMatchingInfo = document.getElementById("gestureTestMatchingInfo");
+        gestureTestMatchingInfo.textContent = browser.i18n.getMessage('gestureTestMatchingInfo', [
+          browser.i18n.getMessage(getMatchingAlgorithmLabel(Config.get("Settings.Gesture.matchingAlgorithm"))),
+          String(Config.get("Settings.Gesture.deviationTolerance"))
+        ]);
+
+  MouseGestureController.mouseButton = currentUserMouseButton;
+  MouseGestureController.multiStrokeActive = Config.get("Settings.Gesture.MultiStroke.active");
+  MouseGestureController.multiStrokeDelay = Config.get("Settings.Gesture.MultiStroke.delay");
+  MouseGestureController.enable();
+
+  const gestureTestPopup = document.getElementById("gestureTestPopup");
+        gestureTestPopup.open = true;
+}
+
+
+/**
+ * Disables the mouse gesture controller when the gesture test popup closes and clears the results
+ **/
+function onGestureTestPopupClose () {
+  MouseGestureController.disable();
+
+  const gestureTestPatternContainer = document.getElementById("gestureTestPatternContainer");
+  const gestureTestPatternInfo = document.getElementById("gestureTestPatternInfo");
+  const gestureTestVectorList = document.getElementById("gestureTestVectorList");
+  const gestureTestCandidateList = document.getElementById("gestureTestCandidateList");
+
+  gestureTestPatternContainer.replaceChildren();
+  gestureTestPatternInfo.textContent = "";
+  gestureTestVectorList.replaceChildren();
+  gestureTestCandidateList.replaceChildren();
+}
+
+
+/**
+ * Displays the extracted vectors of the given pattern in the gesture test popup
+ * and lists the best matching gestures with the similarity values of all algorithms
+ * The result column shows whether the gesture passes its deviation tolerance with the active algorithm
+ **/
+function updateGestureTestResults (pattern) {
+  const gestureTestPatternContainer = document.getElementById("gestureTestPatternContainer");
+  const gestureTestPatternInfo = document.getElementById("gestureTestPatternInfo");
+  const gestureTestVectorList = document.getElementById("gestureTestVectorList");
+  const gestureTestCandidateList = document.getElementById("gestureTestCandidateList");
+
+  gestureTestPatternContainer.replaceChildren();
+  gestureTestVectorList.replaceChildren();
+  gestureTestCandidateList.replaceChildren();
+
+  // the pattern is empty if the movement did not exceed the pattern distance threshold
+  if (pattern.length === 0) {
+    gestureTestPatternInfo.textContent = browser.i18n.getMessage('gestureTestHintNoVectors');
+    return;
+  }
+
+  gestureTestPatternContainer.append( createGestureThumbnail(pattern) );
+
+  const patternLength = patternMagnitude(pattern) / Math.hypot(window.innerWidth, window.innerHeight) * 100;
+  gestureTestPatternInfo.textContent = browser.i18n.getMessage('gestureTestPatternInfo', [
+    String(pattern.length),
+    String(Math.round(patternLength))
+  ]);
+
+  for (const vector of pattern) {
+    const vectorItem = document.createElement("li");
+          vectorItem.textContent = `${vector[0]}, ${vector[1]}`;
+    // mark the movements between the strokes of multi-stroke gestures
+    if (isPenUpVector(vector)) vectorItem.textContent += ` (${browser.i18n.getMessage('gestureTestPenUpVector')})`;
+    gestureTestVectorList.append(vectorItem);
+  }
+
+  const algorithm = Config.get("Settings.Gesture.matchingAlgorithm");
+  const constraints = {
+    patternLength: patternLength,
+    lengthThreshold: Config.get("Settings.Gesture.lengthThreshold"),
+    // the gesture is still active, so the controller contains the held modifier keys
+    modifierKeys: MouseGestureController.modifierKeys,
+    // the recording area does not contain links, images or other special targets
+    contexts: ["page"]
+  };
+
+  const candidates = Array.from(Gestures.values(), gesture => ({
+    gesture: gesture,
+    breakdown: getGestureScoreBreakdown(pattern, gesture, Config.get("Settings.Gesture.deviationTolerance"), algorithm, constraints)
+  }));
+  candidates.sort((a, b) => a.breakdown.difference - b.breakdown.difference);
+
+  for (const { gesture, breakdown } of candidates.slice(0, GESTURE_TEST_CANDIDATE_COUNT)) {
+    const row = document.createElement("tr");
+          row.classList.add(breakdown.passed ? "gt-candidate-passed" : "gt-candidate-failed");
+    const values = [
+      breakdown.proportion.toFixed(3),
+      breakdown.dtw.toFixed(3),
+      breakdown.combined.toFixed(3),
+      breakdown.template.toFixed(3),
+      String(breakdown.deviationTolerance)
+    ];
+    const nameCell = document.createElement("td");
+          nameCell.textContent = gesture.toString();
+          nameCell.title = gesture.toString();
+    const valueCells = values.map(value => {
+      const cell = document.createElement("td");
+            cell.textContent = value;
+      return cell;
+    });
+    const resultCell = document.createElement("td");
+          resultCell.classList.add("gt-candidate-result");
+          resultCell.textContent = browser.i18n.getMessage(breakdown.passed ? 'gestureTestResultPassed' : 'gestureTestResultFailed');
+    row.append(nameCell, ...valueCells, resultCell);
+    gestureTestCandidateList.append(row);
+  }
+}
+
+
+/**
+ * Returns the i18n key of the label of the given matching algorithm
+ **/
+function getMatchingAlgorithmLabel (algorithm) {
+  switch (algorithm) {
+    case "strict": return "settingLabelMatchingAlgorithmStrict";
+    case "shape-independent": return "settingLabelMatchingAlgorithmShapeIndependent";
+    case "template": return "settingLabelMatchingAlgorithmTemplate";
+    default: return "settingLabelMatchingAlgorithmCombined";
   }
 }
 
@@ -482,6 +649,61 @@ function onCommandSelectChange (event) {
 }
 
 
+/**
+ * Handles the gesture popup deviation tolerance input and displays the resulting effective tolerance
+ **/
+function onDeviationToleranceInput (event) {
+  const gesturePopupEffectiveDeviationTolerance = document.getElementById("gesturePopupEffectiveDeviationTolerance");
+  // fallback to the global tolerance if the field is empty or invalid
+  const deviationTolerance = this.value && this.validity.valid ? this.valueAsNumber : Config.get("Settings.Gesture.deviationTolerance");
+  gesturePopupEffectiveDeviationTolerance.textContent = browser.i18n.getMessage('gesturePopupEffectiveDeviationTolerance', String(deviationTolerance));
+}
+
+
+/**
+ * Handles the gesture popup clear samples button click and removes all additional sample patterns
+ **/
+function onClearSamplesButtonClick (event) {
+  currentPopupSamples = [];
+
+  const gesturePopupPatternContainer = document.getElementById("gesturePopupPatternContainer");
+  // redraw popup gesture pattern without samples
+  if (gesturePopupPatternContainer.firstChild) gesturePopupPatternContainer.firstChild.remove();
+  if (currentPopupPattern) {
+    gesturePopupPatternContainer.append( createGestureThumbnail(currentPopupPattern) );
+  }
+  updateSampleCount();
+}
+
+
+/**
+ * Displays the current number of recorded patterns in the gesture popup
+ **/
+function updateSampleCount () {
+  const gesturePopupSampleCount = document.getElementById("gesturePopupSampleCount");
+  const gesturePopupClearSamplesButton = document.getElementById("gesturePopupClearSamplesButton");
+  const sampleCount = currentPopupPattern ? currentPopupSamples.length + 1 : 0;
+  gesturePopupSampleCount.textContent = browser.i18n.getMessage('gesturePopupSampleCount', String(sampleCount));
+  gesturePopupClearSamplesButton.disabled = currentPopupSamples.length === 0;
+}
+
+
+/**
+ * Displays the length of the current pattern in percent of the window diagonal in the gesture popup
+ * This helps to decide whether the gesture should be limited to short or long strokes
+ **/
+function updateRecordedLength () {
+  const gesturePopupRecordedLength = document.getElementById("gesturePopupRecordedLength");
+  if (currentPopupPattern) {
+    const patternLength = patternMagnitude(currentPopupPattern) / Math.hypot(window.innerWidth, window.innerHeight) * 100;
+    gesturePopupRecordedLength.textContent = browser.i18n.getMessage('gesturePopupRecordedLength', String(Math.round(patternLength)));
+  }
+  else {
+    gesturePopupRecordedLength.textContent = "";
+  }
+}
+
+
 /**
  * Gathers and saves the specified settings data from the input elements and closes the coommand bar
  **/
@@ -491,14 +713,32 @@ function onGesturePopupFormSubmit (event) {
 
   const gesturePopupCommandSelect = document.getElementById("gesturePopupCommandSelect");
   const gesturePopupLabelInput = document.getElementById("gesturePopupLabelInput");
+  const gesturePopupDeviationToleranceInput = document.getElementById("gesturePopupDeviationToleranceInput");
+  const gesturePopupLengthSelect = document.getElementById("gesturePopupLengthSelect");
+  const gesturePopupModifierKeySelect = document.getElementById("gesturePopupModifierKeySelect");
+  const gesturePopupContextToggles = document.querySelectorAll("#gesturePopupContexts input");
 
   // exit function if command select is empty or no pattern exists
   if (!gesturePopupCommandSelect.value || !currentPopupPattern) return;
 
+  // an empty tolerance field means that the global deviation tolerance is used
+  const deviationTolerance = gesturePopupDeviationToleranceInput.value ? gesturePopupDeviationToleranceInput.valueAsNumber : null;
+  // an empty length value means that the gesture is not limited to a specific length
+  const length = gesturePopupLengthSelect.value || null;
+  // an empty modifier key value means that the gesture is performed without a modifier key
+  const modifierKey = gesturePopupModifierKeySelect.value || null;
+  // no selected context means that the gesture is active in every context
+  const contexts = Array.from(gesturePopupContextToggles).filter(toggle => toggle.checked).map(toggle => toggle.value);
+
   // if no item is active create a new one
   if (!currentItem) {
     // create new gesture
     const newGesture = new Gesture(currentPopupPattern, gesturePopupCommandSelect.command, gesturePopupLabelInput.value);
+          newGesture.setDeviationTolerance(deviationTolerance);
+          newGesture.setSamples(currentPopupSamples);
+          newGesture.setLength(length);
+          newGesture.setModifierKey(modifierKey);
+          newGesture.setContexts(contexts);
     // create corresponding html item
     const gestureListItem = createGestureListItem(newGesture);
     // store new gesture
@@ -516,6 +756,11 @@ function onGesturePopupFormSubmit (event) {
     currentGesture.setPattern(currentPopupPattern);
     currentGesture.setCommand(gesturePopupCommandSelect.command);
     currentGesture.setLabel(gesturePopupLabelInput.value);
+    currentGesture.setDeviationTolerance(deviationTolerance);
+    currentGesture.setSamples(currentPopupSamples);
+    currentGesture.setLength(length);
+    currentGesture.setModifierKey(modifierKey);
+    currentGesture.setContexts(contexts);
     // update config
     // this works because the config manager calls JSON.stringify which in turn calls the toJSON function of the Gesture class
     // source: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/stringify#toJSON_behavior
@@ -534,19 +779,32 @@ function onGesturePopupFormSubmit (event) {
  **/
 function onGesturePopupClose () {
   MouseGestureController.disable();
-  // clear recorded gesture pattern
+  // clear recorded gesture pattern and samples
   currentPopupPattern = null;
+  currentPopupSamples = [];
 
   const gesturePopupPatternContainer = document.getElementById("gesturePopupPatternContainer");
   const gesturePopupHeading = document.getElementById("gesturePopupHeading");
   const gesturePopupCommandSelect = document.getElementById("gesturePopupCommandSelect");
   const gesturePopupLabelInput = document.getElementById("gesturePopupLabelInput");
+  const gesturePopupDeviationToleranceInput = document.getElementById("gesturePopupDeviationToleranceInput");
+  const gesturePopupAddSampleToggle = document.getElementById("gesturePopupAddSampleToggle");
+  const gesturePopupLengthSelect = document.getElementById("gesturePopupLengthSelect");
+  const gesturePopupRecordedLength = document.getElementById("gesturePopupRecordedLength");
+  const gesturePopupModifierKeySelect = document.getElementById("gesturePopupModifierKeySelect");
+  const gesturePopupContextToggles = document.querySelectorAll("#gesturePopupContexts input");
 
   // reset gesture popup
   gesturePopupHeading.textContent = browser.i18n.getMessage('gesturePopupTitleNewGesture');
   gesturePopupCommandSelect.command = null;
   gesturePopupLabelInput.value = "";
   gesturePopupLabelInput.placeholder = "";
+  gesturePopupDeviationToleranceInput.value = "";
+  gesturePopupAddSampleToggle.checked = false;
+  gesturePopupLengthSelect.value = "";
+  gesturePopupRecordedLength.textContent = "";
+  gesturePopupModifierKeySelect.value = "";
+  for (const toggle of gesturePopupContextToggles) toggle.checked = false;
   // clear popup gesture pattern if any
   if (gesturePopupPatternContainer.firstChild) gesturePopupPatternContainer.firstChild.remove();
 }
@@ -559,6 +817,12 @@ function openGesturePopup (gesture = null) {
   const gesturePopupHeading = document.getElementById("gesturePopupHeading");
   const gesturePopupCommandSelect = document.getElementById("gesturePopupCommandSelect");
   const gesturePopupLabelInput = document.getElementById("gesturePopupLabelInput");
+  const gesturePopupDeviationToleranceInput = document.getElementById("gesturePopupDeviationToleranceInput");
+        // show the global deviation tolerance as the default value
+        gesturePopupDeviationToleranceInput.placeholder = Config.get("Settings.Gesture.deviationTolerance");
+  const gesturePopupLengthSelect = document.getElementById("gesturePopupLengthSelect");
+  const gesturePopupModifierKeySelect = document.getElementById("gesturePopupModifierKeySelect");
+  const gesturePopupContextToggles = document.querySelectorAll("#gesturePopupContexts input");
   // setup recording area
   const currentUserMouseButton = Config.get("Settings.Gesture.mouseButton");
   const mouseButtonLabelMap = {
@@ -575,6 +839,8 @@ function openGesturePopup (gesture = null) {
         gesturePopupPatternContainer.title = "";
 
   MouseGestureController.mouseButton = currentUserMouseButton;
+  MouseGestureController.multiStrokeActive = Config.get("Settings.Gesture.MultiStroke.active");
+  MouseGestureController.multiStrokeDelay = Config.get("Settings.Gesture.MultiStroke.delay");
   MouseGestureController.enable();
   // fill current values if any
   if (gesture) {
@@ -582,9 +848,14 @@ function openGesturePopup (gesture = null) {
     gesturePopupCommandSelect.command = gesture.getCommand();
     gesturePopupLabelInput.placeholder = gesture.getCommand().toString();
     gesturePopupLabelInput.value = gesture.getLabel();
+    gesturePopupDeviationToleranceInput.value = gesture.getDeviationTolerance() ?? "";
+    gesturePopupLengthSelect.value = gesture.getLength() ?? "";
+    gesturePopupModifierKeySelect.value = gesture.getModifierKey() ?? "";
+    for (const toggle of gesturePopupContextToggles) toggle.checked = gesture.getContexts().includes(toggle.value);
     currentPopupPattern = gesture.getPattern();
+    currentPopupSamples = gesture.getSamples();
     // add popup gesture pattern
-    const gestureThumbnail = createGestureThumbnail(gesture.getPattern());
+    const gestureThumbnail = createGestureThumbnail(currentPopupPattern, currentPopupSamples);
     gesturePopupPatternContainer.append(gestureThumbnail);
 
     // check if there is a very similar gesture and get it
@@ -605,6 +876,11 @@ function openGesturePopup (gesture = null) {
     }
   }
 
+  // display the effective deviation tolerance
+  onDeviationToleranceInput.call(gesturePopupDeviationToleranceInput);
+  updateSampleCount();
+  updateRecordedLength();
+
   // open popup
   const gesturePopup = document.getElementById("gesturePopup");
         gesturePopup.open = true;
@@ -615,20 +891,26 @@ function openGesturePopup (gesture = null) {
  * Adds necessary event listeners to the mouse gesture controller
  **/
 function mouseGestureControllerSetup () {
-  const gesturePopupCanvas = document.getElementById("gesturePopupCanvas");
-  const canvasContext = gesturePopupCanvas.getContext("2d");
+  // the recording area of the gesture popup or the gesture test popup the current gesture was started on
+  let recordingArea = null;
+  let gestureCanvas = null;
+  let canvasContext = null;
 
   MouseGestureController.addEventListener("start", (event, events) => {
-    // detect if the gesture started on the recording area
-    if (!event.target.closest("#gesturePopupRecordingArea")) {
-      // cancel gesture and event handler if the first click was not within the recording area
+    // detect if the gesture started on a recording area
+    recordingArea = event.target.closest("#gesturePopupRecordingArea, #gestureTestRecordingArea");
+    if (!recordingArea) {
+      // cancel gesture and event handler if the first click was not within a recording area
       MouseGestureController.cancel();
       return;
     }
 
+    gestureCanvas = recordingArea.querySelector("canvas");
+    canvasContext = gestureCanvas.getContext("2d");
+
     // initialize canvas properties (correct width and height are only known after the popup has been opened)
-    gesturePopupCanvas.width = gesturePopupCanvas.offsetWidth;
-    gesturePopupCanvas.height = gesturePopupCanvas.offsetHeight;
+    gestureCanvas.width = gestureCanvas.offsetWidth;
+    gestureCanvas.height = gestureCanvas.offsetHeight;
     canvasContext.lineCap = "round";
     canvasContext.lineJoin = "round";
     canvasContext.lineWidth = 10;
@@ -638,7 +920,7 @@ function mouseGestureControllerSetup () {
     const firstEvent = events.shift();
     const lastEvent = events[events.length - 1] || firstEvent;
     // translate the canvas coordiantes by the position of the canvas element
-    const clientRect = gesturePopupCanvas.getBoundingClientRect();
+    const clientRect = gestureCanvas.getBoundingClientRect();
     canvasContext.setTransform(1, 0, 0, 1, -clientRect.x, -clientRect.y);
     // dradditionalArrowWidth all occurred events
     canvasContext.beginPath();
@@ -659,6 +941,15 @@ function mouseGestureControllerSetup () {
     );
   });
 
+  MouseGestureController.addEventListener("stroke", (event) => {
+    // continue drawing from the start of the new stroke without connecting it to the previous stroke
+    canvasContext.beginPath();
+    canvasContext.moveTo(
+      event.clientX,
+      event.clientY
+    );
+  });
+
   MouseGestureController.addEventListener("update", (event) => {
     // include fallback if getCoalescedEvents is not defined
     const events = event?.getCoalescedEvents() ?? [event];
@@ -680,18 +971,18 @@ function mouseGestureControllerSetup () {
   MouseGestureController.addEventListener("abort", (event) => {
     // clear canvas
     canvasContext.setTransform(1, 0, 0, 1, 0, 0);
-    canvasContext.clearRect(0, 0, gesturePopupCanvas.width, gesturePopupCanvas.height);
+    canvasContext.clearRect(0, 0, gestureCanvas.width, gestureCanvas.height);
   });
 
   MouseGestureController.addEventListener("end", (event, events) => {
     // clear canvas
     canvasContext.setTransform(1, 0, 0, 1, 0, 0);
-    canvasContext.clearRect(0, 0, gesturePopupCanvas.width, gesturePopupCanvas.height);
+    canvasContext.clearRect(0, 0, gestureCanvas.width, gestureCanvas.height);
 
     // setup pattern extractor
     const patternConstructor = new PatternConstructor(
-      Config.get("Settings.Gesture.patternDifferenceThreshold") ?? 0.12,
-      Config.get("Settings.Gesture.patternDistanceThreshold") ?? 10
+      Config.get("Settings.Gesture.patternDifferenceThreshold") ?? PatternConstructor.DEFAULT_DIFFERENCE_THRESHOLD,
+      Config.get("Settings.Gesture.patternDistanceThreshold") ?? PatternConstructor.DEFAULT_DISTANCE_THRESHOLD
     );
 
     // gather all events in one array
@@ -703,21 +994,41 @@ function mouseGestureControllerSetup () {
     });
 
     // build gesture pattern
-    for (const event of coalescedEvents) {
-      patternConstructor.addPoint(event.clientX, event.clientY);
+    // every pointerdown event except the first one starts a new stroke of a multi-stroke gesture
+    coalescedEvents.forEach((event, i) => {
+      if (i > 0 && event.type === "pointerdown") patternConstructor.startStroke(event.clientX, event.clientY);
+      else patternConstructor.addPoint(event.clientX, event.clientY);
+    });
+    const recordedPattern = patternConstructor.getPattern();
+
+    // display the matching details if the gesture was drawn in the gesture test popup
+    if (recordingArea.id === "gestureTestRecordingArea") {
+      updateGestureTestResults(recordedPattern);
+      return;
     }
-    // update current pattern
-    currentPopupPattern = patternConstructor.getPattern();
+
+    const gesturePopupAddSampleToggle = document.getElementById("gesturePopupAddSampleToggle");
+    // add pattern as an additional sample if requested and a main pattern already exists
+    if (gesturePopupAddSampleToggle.checked && currentPopupPattern) {
+      currentPopupSamples = [...currentPopupSamples, recordedPattern];
+    }
+    // otherwise replace the current pattern and all its samples
+    else {
+      currentPopupPattern = recordedPattern;
+      currentPopupSamples = [];
+    }
+    updateSampleCount();
+    updateRecordedLength();
 
     // update popup gesture pattern
-    const gestureThumbnail = createGestureThumbnail(currentPopupPattern);
+    const gestureThumbnail = createGestureThumbnail(currentPopupPattern, currentPopupSamples);
     const gesturePopupPatternContainer = document.getElementById("gesturePopupPatternContainer");
     // remove previous pattern if any
     if (gesturePopupPatternContainer.firstChild) gesturePopupPatternContainer.firstChild.remove();
     gesturePopupPatternContainer.append(gestureThumbnail);
 
     // check if there is a very similar gesture and get it
-    const mostSimilarGesture = getMostSimilarGestureByPattern(currentPopupPattern, [currentItem]);
+    const mostSimilarGesture = getMostSimilarGestureByPattern(recordedPattern, [currentItem]);
 
     // if there is a similar gesture report it to the user
     if (mostSimilarGesture) {
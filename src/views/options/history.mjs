@@ -0,0 +1,155 @@
+import { ContentLoaded, Config } from "/views/options/main.mjs";
+
+import ConfigHistory, { isRecentSnapshot, getConfigDifferences } from "/core/helpers/config-history.mjs";
+
+ContentLoaded.then(main);
+
+const History = new ConfigHistory(Config);
+
+// the snapshot which is currently selected in the history popup
+let selectedSnapshot = null;
+
+/**
+ * main function
+ * run code that depends on async resources
+ **/
+function main () {
+  const historyButton = document.getElementById("historyButton");
+        historyButton.onclick = onHistoryButton;
+  const historyList = document.getElementById("historyList");
+        historyList.dataset.noEntriesHint = browser.i18n.getMessage("historyHintNoEntries");
+  const historyDifferenceList = document.getElementById("historyDifferenceList");
+        historyDifferenceList.dataset.noDifferencesHint = browser.i18n.getMessage("historyHintNoDifferences");
+  const historyRestoreButton = document.getElementById("historyRestoreButton");
+        historyRestoreButton.onclick = onHistoryRestoreButton;
+}
+
+
+/**
+ * Loads all snapshots and opens the history popup listing them, starting with the newest snapshot
+ **/
+async function onHistoryButton () {
+  const snapshots = await History.getSnapshots();
+  const currentConfig = Config.get();
+
+  const fragment = document.createDocumentFragment();
+  for (const snapshot of [...snapshots].reverse()) {
+    const differences = getConfigDifferences(currentConfig, snapshot.config);
+    fragment.append( createHistoryListItem(snapshot, differences, isRecentSnapshot(snapshots, snapshot)) );
+  }
+  const historyList = document.getElementById("historyList");
+        historyList.replaceChildren(fragment);
+
+  selectSnapshot(null, []);
+
+  const historyPopup = document.getElementById("historyPopup");
+        historyPopup.open = true;
+}
+
+
+/**
+ * Creates a history list item html element by a given snapshot and returns it
+ * The item shows the date of the snapshot and the number of differences to the current config
+ **/
+function createHistoryListItem (snapshot, differences, isRecent) {
+  const dateField = document.createElement("span");
+        dateField.classList.add("ch-date");
+        dateField.textContent = new Date(snapshot.date).toLocaleString();
+  const typeField = document.createElement("span");
+        typeField.classList.add("ch-type");
+        typeField.textContent = browser.i18n.getMessage(isRecent ? "historySnapshotRecent" : "historySnapshotDaily");
+  const differencesField = document.createElement("span");
+        differencesField.classList.add("ch-differences");
+        differencesField.textContent = differences.length > 0
+          ? browser.i18n.getMessage("historySnapshotDifferences", String(differences.length))
+          : browser.i18n.getMessage("historySnapshotCurrent");
+  const snapshotButton = document.createElement("button");
+        snapshotButton.classList.add("ch-item");
+        snapshotButton.type = "button";
+        snapshotButton.onclick = () => selectSnapshot(snapshot, differences, snapshotButton);
+  snapshotButton.append(dateField, typeField, differencesField);
+  const historyListItem = document.createElement("li");
+  historyListItem.append(snapshotButton);
+  return historyListItem;
+}
+
+
+/**
+ * Highlights the given snapshot and lists all changes that would be made by restoring it
+ * Passing null clears the selection
+ **/
+function selectSnapshot (snapshot, differences, snapshotButton) {
+  selectedSnapshot = snapshot;
+
+  for (const item of document.querySelectorAll("#historyList .ch-item-selected")) {
+    item.classList.remove("ch-item-selected");
+  }
+  if (snapshotButton) snapshotButton.classList.add("ch-item-selected");
+
+  const historyDifferenceList = document.getElementById("historyDifferenceList");
+        historyDifferenceList.classList.toggle("ch-difference-list-hidden", snapshot === null);
+        historyDifferenceList.replaceChildren(...differences.map(createDifferenceListItem));
+  const historyRestoreButton = document.getElementById("historyRestoreButton");
+        historyRestoreButton.disabled = snapshot === null || differences.length === 0;
+}
+
+
+/**
+ * Creates a difference list item html element by a given config difference and returns it
+ **/
+function createDifferenceListItem (difference) {
+  const typeField = document.createElement("span");
+        typeField.classList.add("ch-difference-type");
+        typeField.textContent = browser.i18n.getMessage(
+          "historyDifference" + difference.type[0].toUpperCase() + difference.type.slice(1)
+        );
+  const pathField = document.createElement("code");
+        pathField.classList.add("ch-difference-path");
+        pathField.textContent = difference.path;
+  const valueField = document.createElement("span");
+        valueField.classList.add("ch-difference-value");
+  if (difference.type === "changed") {
+    valueField.textContent = `${describeValue(difference.oldValue)} → ${describeValue(difference.newValue)}`;
+  }
+  else {
+    valueField.textContent = describeValue(difference.type === "added" ? difference.newValue : difference.oldValue);
+  }
+  const differenceListItem = document.createElement("li");
+        differenceListItem.classList.add("ch-difference", `ch-difference-${difference.type}`);
+  differenceListItem.append(typeField, pathField, valueField);
+  return differenceListItem;
+}
+
+
+/**
+ * Asks for confirmation and replaces the current config with the selected snapshot
+ * reloads the options page afterwards
+ **/
+function onHistoryRestoreButton () {
+  const snapshot = selectedSnapshot;
+  const popup = document.getElementById("historyRestoreConfirm");
+  popup.addEventListener("close", async (event) => {
+    if (!event.detail) return;
+    await History.restore(snapshot);
+    // reload option page to update the ui
+    window.location.reload();
+  }, { once: true });
+  popup.open = true;
+}
+
+
+/**
+ * Returns a short readable description of a config value
+ * Gestures, commands, profiles and url based entries are described by their label, name or url pattern
+ **/
+function describeValue (value) {
+  const command = value?.command ?? value;
+  let description;
+  if (value?.label) description = value.label;
+  else if (typeof command?.name === "string") description = command.name;
+  else if (typeof value?.urlPattern === "string") description = value.urlPattern;
+  else description = JSON.stringify(value) ?? String(value);
+  // shorten long values like exclusions or complete setting objects
+  if (description.length > 60) description = description.slice(0, 60) + "…";
+  return description;
+}
@@ -0,0 +1,33 @@
+import { ContentLoaded, Config } from "/views/options/main.mjs";
+
+ContentLoaded.then(main);
+
+const RIGHT_MOUSE_BUTTON = 2;
+
+/**
+ * main function
+ * run code that depends on async resources
+ **/
+function main () {
+  const mouseButtonSelect = document.querySelector('[data-config="Settings.Gesture.mouseButton"]');
+        mouseButtonSelect.addEventListener('change', updateDoubleClickToggle);
+  updateDoubleClickToggle();
+}
+
+
+/**
+ * Disables the double click toggle while the right mouse button is the gesture mouse button
+ * The context menu opened by the first right click would receive the second click, so the press gesture controller ignores right double clicks
+ * An active double click gesture is turned off, so no setting is stored that has no effect
+ **/
+function updateDoubleClickToggle () {
+  const doubleClickToggle = document.querySelector('[data-config="Settings.DoubleClick.active"]');
+  const isRightMouseButton = Number(Config.get("Settings.Gesture.mouseButton")) === RIGHT_MOUSE_BUTTON;
+
+  doubleClickToggle.disabled = isRightMouseButton;
+  if (isRightMouseButton && doubleClickToggle.checked) {
+    doubleClickToggle.checked = false;
+    // store the value and collapse the double click settings
+    doubleClickToggle.dispatchEvent(new Event('change'));
+  }
+}
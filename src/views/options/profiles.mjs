@@ -0,0 +1,88 @@
+import { ContentLoaded, Config } from "/views/options/main.mjs";
+
+import {
+  getProfileNames,
+  getActiveProfileName,
+  switchProfile,
+  createProfile,
+  removeProfile
+} from "/core/utils/profiles.mjs";
+
+ContentLoaded.then(main);
+
+/**
+ * main function
+ * run code that depends on async resources
+ **/
+function main () {
+  const profileSelect = document.getElementById("profileSelect");
+        profileSelect.title = browser.i18n.getMessage("profilesSelectTitle");
+        profileSelect.onchange = onProfileSelectChange;
+  for (const profileName of getProfileNames(Config)) {
+    const option = document.createElement("option");
+          option.value = option.textContent = profileName;
+    profileSelect.appendChild(option);
+  }
+  profileSelect.value = getActiveProfileName(Config);
+
+  const profileAddButton = document.getElementById("profileAddButton");
+        profileAddButton.title = browser.i18n.getMessage("profilesAddButton");
+        profileAddButton.onclick = onProfileAddButton;
+  const profileRemoveButton = document.getElementById("profileRemoveButton");
+        profileRemoveButton.title = browser.i18n.getMessage("profilesRemoveButton");
+        profileRemoveButton.onclick = onProfileRemoveButton;
+        // the last remaining profile cannot be removed
+        profileRemoveButton.disabled = profileSelect.options.length <= 1;
+}
+
+
+/**
+ * Activates the selected profile
+ * reloads the options page afterwards to update the ui
+ **/
+async function onProfileSelectChange () {
+  await switchProfile(Config, this.value);
+  window.location.reload();
+}
+
+
+/**
+ * Opens a prompt for the profile name and adds the profile as a copy of the current profile
+ * The new profile is activated and the options page reloaded afterwards
+ **/
+function onProfileAddButton () {
+  const popup = document.getElementById("profileAddPrompt");
+  popup.addEventListener("close", async (event) => {
+    if (!event.detail) return;
+
+    const profileName = event.detail.trim();
+    if (!profileName || getProfileNames(Config).includes(profileName)) {
+      document.getElementById("profileAddAlertInvalidName").open = true;
+      return;
+    }
+    await createProfile(Config, profileName);
+    await switchProfile(Config, profileName);
+    window.location.reload();
+  }, { once: true });
+  popup.open = true;
+}
+
+
+/**
+ * Asks for confirmation and removes the active profile
+ * Switches to the first remaining profile and reloads the options page afterwards
+ **/
+function onProfileRemoveButton () {
+  const popup = document.getElementById("profileRemoveConfirm");
+  popup.addEventListener("close", async (event) => {
+    if (!event.detail) return;
+
+    const activeProfileName = getActiveProfileName(Config);
+    const nextProfileName = getProfileNames(Config).find(profileName => profileName !== activeProfileName);
+    // the active profile cannot be removed so switch to another one first
+    await switchProfile(Config, nextProfileName);
+    await removeProfile(Config, activeProfileName);
+    window.location.reload();
+  }, { once: true });
+  popup.open = true;
+}
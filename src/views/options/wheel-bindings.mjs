@@ -0,0 +1,173 @@
+import { ContentLoaded, Config } from "/views/options/main.mjs";
+
+import Command from "/core/models/command.mjs";
+
+ContentLoaded.then(main);
+
+// wheel directions of a wheel binding mapped to the i18n keys of their labels
+const WHEEL_DIRECTIONS = {
+  wheelUp: "extraLabelWheelUp",
+  wheelDown: "extraLabelWheelDown",
+  wheelLeft: "extraLabelWheelLeft",
+  wheelRight: "extraLabelWheelRight"
+};
+
+// selectable mouse buttons mapped to the i18n keys of their labels
+const MOUSE_BUTTONS = {
+  1: "settingLabelMouseButtonLeft",
+  2: "settingLabelMouseButtonRight",
+  4: "settingLabelMouseButtonMiddle"
+};
+
+// selectable modifier keys mapped to the i18n keys of their labels
+const MODIFIER_KEYS = {
+  altKey: "settingLabelAltKey",
+  ctrlKey: "settingLabelCtrlKey",
+  shiftKey: "settingLabelShiftKey"
+};
+
+/**
+ * main function
+ * run code that depends on async resources
+ **/
+function main () {
+  const wheelBindingList = document.getElementById("wheelBindingList");
+  for (const binding of Config.get("Settings.Wheel.bindings")) {
+    wheelBindingList.append( createWheelBindingItem(binding) );
+  }
+  const wheelBindingAddButton = document.getElementById("wheelBindingAddButton");
+        wheelBindingAddButton.onclick = onWheelBindingAddButton;
+}
+
+
+/**
+ * Adds a new wheel binding without any commands
+ * Uses the first mouse button that is neither the default wheel gesture button nor bound without a modifier key
+ **/
+function onWheelBindingAddButton () {
+  const bindings = Config.get("Settings.Wheel.bindings");
+  const usedMouseButtons = [
+    Config.get("Settings.Wheel.mouseButton"),
+    ...bindings.filter(binding => !binding.modifierKey).map(binding => binding.mouseButton)
+  ];
+  const mouseButtons = Object.keys(MOUSE_BUTTONS).map(Number);
+  const mouseButton = mouseButtons.find(button => !usedMouseButtons.includes(button)) ?? mouseButtons[0];
+
+  const binding = {
+    mouseButton: mouseButton,
+    modifierKey: null,
+    wheelUp: null,
+    wheelDown: null,
+    wheelLeft: null,
+    wheelRight: null
+  };
+  const wheelBindingList = document.getElementById("wheelBindingList");
+        wheelBindingList.append( createWheelBindingItem(binding) );
+  saveWheelBindings();
+}
+
+
+/**
+ * Creates a wheel binding list item html element by a given wheel binding and returns it
+ * The item contains a select for the mouse button and the modifier key, a command select for each wheel direction and a remove button
+ **/
+function createWheelBindingItem (binding) {
+  const mouseButtonSelect = createSelectField(MOUSE_BUTTONS, binding.mouseButton);
+        mouseButtonSelect.classList.add("wb-mouse-button");
+        mouseButtonSelect.title = browser.i18n.getMessage("extraLabelWheelMouseButton");
+        mouseButtonSelect.onchange = saveWheelBindings;
+  const modifierKeySelect = createSelectField({ "": "settingLabelNoneKey", ...MODIFIER_KEYS }, binding.modifierKey ?? "");
+        modifierKeySelect.classList.add("wb-modifier-key");
+        modifierKeySelect.title = browser.i18n.getMessage("gesturePopupLabelModifierKey");
+        modifierKeySelect.onchange = saveWheelBindings;
+  const removeButton = document.createElement("button");
+        removeButton.classList.add("wb-remove-button", "icon-delete");
+        removeButton.type = "button";
+        removeButton.title = browser.i18n.getMessage("extraWheelBindingRemoveButton");
+        removeButton.onclick = onWheelBindingRemoveButton;
+  const triggerField = document.createElement("div");
+        triggerField.classList.add("wb-trigger");
+  triggerField.append(
+    wrapSelectField(mouseButtonSelect),
+    wrapSelectField(modifierKeySelect),
+    removeButton
+  );
+
+  const commandsField = document.createElement("div");
+        commandsField.classList.add("wb-commands");
+  for (const [direction, labelKey] of Object.entries(WHEEL_DIRECTIONS)) {
+    const commandLabel = document.createElement("span");
+          commandLabel.classList.add("wb-command-label");
+          commandLabel.textContent = browser.i18n.getMessage(labelKey);
+    const commandSelect = document.createElement("command-select");
+          commandSelect.classList.add("command-select-field");
+          commandSelect.dataset.direction = direction;
+          commandSelect.command = binding[direction] ? new Command(binding[direction]) : null;
+          commandSelect.onchange = saveWheelBindings;
+    const commandField = document.createElement("label");
+          commandField.classList.add("wb-command");
+    commandField.append(commandLabel, commandSelect);
+    commandsField.append(commandField);
+  }
+
+  const wheelBindingItem = document.createElement("li");
+        wheelBindingItem.classList.add("wb-item");
+  wheelBindingItem.append(triggerField, commandsField);
+  return wheelBindingItem;
+}
+
+
+/**
+ * Removes the wheel binding of the clicked remove button
+ **/
+function onWheelBindingRemoveButton () {
+  this.closest(".wb-item").remove();
+  saveWheelBindings();
+}
+
+
+/**
+ * Collects the wheel bindings from all list items and stores them in their displayed order
+ **/
+function saveWheelBindings () {
+  const bindings = [];
+  for (const wheelBindingItem of document.querySelectorAll("#wheelBindingList .wb-item")) {
+    const binding = {
+      mouseButton: Number(wheelBindingItem.querySelector(".wb-mouse-button").value),
+      modifierKey: wheelBindingItem.querySelector(".wb-modifier-key").value || null
+    };
+    for (const commandSelect of wheelBindingItem.querySelectorAll(".wb-commands command-select")) {
+      binding[commandSelect.dataset.direction] = commandSelect.command?.toJSON() ?? null;
+    }
+    bindings.push(binding);
+  }
+  Config.set("Settings.Wheel.bindings", bindings);
+}
+
+
+/**
+ * Creates a select html element by a given object which maps the option values to the i18n keys of their labels
+ **/
+function createSelectField (options, value) {
+  const select = document.createElement("select");
+        select.classList.add("select-field");
+  for (const [optionValue, labelKey] of Object.entries(options)) {
+    const option = document.createElement("option");
+          option.value = optionValue;
+          option.textContent = browser.i18n.getMessage(labelKey);
+    select.append(option);
+  }
+  select.value = String(value);
+  return select;
+}
+
+
+/**
+ * Wraps the given select html element in a select wrapper which provides the select arrow
+ **/
+function wrapSelectField (select) {
+  const selectWrapper = document.createElement("div");
+        selectWrapper.classList.add("select-wrapper");
+  selectWrapper.append(select);
+  return selectWrapper;
+}
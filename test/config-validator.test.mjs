@@ -0,0 +1,59 @@
+import test from "node:test";
+
+import assert from "node:assert/strict";
+
+import { readFileSync } from "node:fs";
+
+import { validateConfig } from "/core/utils/config-validator.mjs";
+
+
+/**
+ * Validates configs like restored backups and checks the valid parts and the reported issues
+ **/
+
+const Defaults = JSON.parse(readFileSync(new URL("../src/resources/json/defaults.json", import.meta.url)));
+
+const CommandItems = JSON.parse(readFileSync(new URL("../src/resources/json/commands.json", import.meta.url)));
+
+const VALID_BINDING = { mouseButton: 4, modifierKey: "shiftKey", wheelUp: { name: "NewTab" }, wheelDown: null };
+
+const INVALID_BINDINGS = [
+  { mouseButton: "x", wheelUp: { name: "Bogus" } },
+  { mouseButton: 4, modifierKey: "metaKey" },
+  { mouseButton: 4, modifierKey: null, wheelDown: { name: "Bogus" } },
+  "binding"
+];
+
+
+test("invalid wheel bindings are removed from the settings and the profiles", () => {
+  const bindings = [...INVALID_BINDINGS, VALID_BINDING];
+  const { config, issues } = validateConfig({
+    Settings: { Wheel: { bindings: bindings } },
+    Profiles: [ { name: "Profile", Wheel: { bindings: bindings } } ]
+  }, Defaults, CommandItems);
+
+  const expectedBindings = [ { ...VALID_BINDING, wheelLeft: null, wheelRight: null } ];
+  assert.deepEqual(config.Settings.Wheel.bindings, expectedBindings);
+  assert.deepEqual(config.Profiles[0].Wheel.bindings, expectedBindings);
+
+  assert.deepEqual(issues.map(issue => [issue.type, issue.path]), [
+    ["error", "Settings.Wheel.bindings.0"],
+    ["error", "Settings.Wheel.bindings.1.modifierKey"],
+    ["error", "Settings.Wheel.bindings.2.wheelDown"],
+    ["error", "Settings.Wheel.bindings.3"],
+    ["error", "Profiles.0.Wheel.bindings.0"],
+    ["error", "Profiles.0.Wheel.bindings.1.modifierKey"],
+    ["error", "Profiles.0.Wheel.bindings.2.wheelDown"],
+    ["error", "Profiles.0.Wheel.bindings.3"]
+  ]);
+});
+
+
+test("wheel bindings without any issues are kept", () => {
+  const { config, issues } = validateConfig({ Settings: { Wheel: { bindings: [ VALID_BINDING ] } } }, Defaults, CommandItems);
+  assert.equal(issues.length, 0);
+  assert.equal(config.Settings.Wheel.bindings.length, 1);
+
+  // wheel bindings need to be an array
+  assert.equal(validateConfig({ Settings: { Wheel: { bindings: {} } } }, Defaults, CommandItems).issues[0].path, "Settings.Wheel.bindings");
+});
@@ -0,0 +1,35 @@
+import test from "node:test";
+
+import assert from "node:assert/strict";
+
+import Exclusion from "/core/models/exclusion.mjs";
+
+
+/**
+ * Checks how the disabled controllers of the exclusions are stored and restored
+ **/
+
+
+test("exclusions of all controllers are stored without the controllers", () => {
+  const exclusion = new Exclusion("https://example.com/*");
+  assert.deepEqual(exclusion.toJSON(), { urlPattern: "https://example.com/*" });
+
+  // exclusions stored without the controllers disable every controller
+  const restoredExclusion = new Exclusion(JSON.parse(JSON.stringify(exclusion)));
+  for (const controller of Exclusion.CONTROLLERS) {
+    assert.equal(restoredExclusion.excludesController(controller), true, controller);
+  }
+});
+
+
+test("exclusions of some controllers keep the selected controllers", () => {
+  const exclusion = new Exclusion("https://example.com/*", ["mouse", "rocker", "wheel"]);
+  assert.deepEqual(exclusion.toJSON(), { urlPattern: "https://example.com/*", controllers: ["mouse", "rocker", "wheel"] });
+
+  const restoredExclusion = new Exclusion(JSON.parse(JSON.stringify(exclusion)));
+  assert.equal(restoredExclusion.excludesController("mouse"), true);
+  assert.equal(restoredExclusion.excludesController("press"), false);
+
+  // unknown controllers are ignored
+  assert.deepEqual(new Exclusion({ urlPattern: "*", controllers: ["mouse", "keyboard"] }).getControllers(), ["mouse"]);
+});
@@ -0,0 +1,250 @@
+import test from "node:test";
+
+import assert from "node:assert/strict";
+
+import { readFileSync } from "node:fs";
+
+import Gesture from "/core/models/gesture.mjs";
+
+import PatternConstructor from "/core/utils/pattern-constructor.mjs";
+
+import GestureIndex from "/core/utils/gesture-index.mjs";
+
+import { getClosestGestureByPattern, getGestureCandidatesByPattern, isAmbiguousMatch, patternMagnitude, describePattern, patternSimilarityByProportion } from "/core/utils/matching-algorithms.mjs";
+
+
+/**
+ * Replays the recorded mouse traces of the corpus through the pattern constructor
+ * and matches the resulting patterns against the default and multi-stroke gestures of the corpus with every matching algorithm
+ * Traces of multiple strokes are replayed stroke by stroke, so their patterns contain pen-up vectors
+ * The patterns are matched by the plain matching functions as well as by the gesture index used by the add-on
+ * The thresholds can be overridden by environment variables to check changes against the corpus:
+ * PATTERN_DIFFERENCE_THRESHOLD, PATTERN_DISTANCE_THRESHOLD, DEVIATION_TOLERANCE and MINIMUM_MARGIN
+ **/
+
+const Defaults = JSON.parse(readFileSync(new URL("../src/resources/json/defaults.json", import.meta.url)));
+
+const Corpus = JSON.parse(readFileSync(new URL("./fixtures/gesture-corpus.json", import.meta.url)));
+
+const DIFFERENCE_THRESHOLD = Number(process.env.PATTERN_DIFFERENCE_THRESHOLD ?? PatternConstructor.DEFAULT_DIFFERENCE_THRESHOLD);
+
+const DISTANCE_THRESHOLD = Number(process.env.PATTERN_DISTANCE_THRESHOLD ?? PatternConstructor.DEFAULT_DISTANCE_THRESHOLD);
+
+const DEVIATION_TOLERANCE = Number(process.env.DEVIATION_TOLERANCE ?? Defaults.Settings.Gesture.deviationTolerance);
+
+// the default margin of 0 disables the ambiguity check, so a margin is used that actually rejects close matches
+const MINIMUM_MARGIN = Number(process.env.MINIMUM_MARGIN ?? 0.05);
+
+// viewport size used to calculate the relative pattern length like the content script does
+const VIEWPORT_DIAGONAL = Math.hypot(1920, 1080);
+
+// accuracy in percent each algorithm has to reach on the corpus
+// raise these values whenever an improvement is made so it cannot silently regress
+const MINIMUM_ACCURACY = {
+  "combined": 98,
+  "strict": 100,
+  "shape-independent": 98,
+  "template": 97
+};
+
+// accuracy in percent each algorithm has to reach on the corpus when matched through the gesture index
+// ambiguous matches (see isAmbiguousMatch) count as no match, like in the add-on
+const MINIMUM_INDEX_ACCURACY = {
+  "combined": 98,
+  "strict": 100,
+  "shape-independent": 98,
+  "template": 97
+};
+
+const CorpusGestures = [...Defaults.Gestures, ...Corpus.multiStrokeGestures];
+
+const Gestures = CorpusGestures.map(gesture => new Gesture(gesture));
+
+// variants of the gestures bound to a modifier key or limited to a context
+// they share the pattern of their plain gesture so they have to be selected by the constraints alone
+const ModifierGestures = CorpusGestures.map(gesture => new Gesture({ ...gesture, label: `shift ${gesture.command.name}`, modifierKey: "shiftKey" }));
+
+const ContextGestures = CorpusGestures.map(gesture => new Gesture({ ...gesture, label: `link ${gesture.command.name}`, contexts: ["link"] }));
+
+
+/**
+ * Converts the given strokes to a pattern by feeding their points to a new pattern constructor
+ * Every stroke after the first one is started like the mouse gesture controller does when the button is pressed again
+ **/
+function strokesToPattern (strokes) {
+  const patternConstructor = new PatternConstructor(DIFFERENCE_THRESHOLD, DISTANCE_THRESHOLD);
+  strokes.forEach((points, i) => {
+    if (i > 0) patternConstructor.startStroke(...points[0]);
+    for (const [x, y] of points) patternConstructor.addPoint(x, y);
+  });
+  return patternConstructor.getPattern();
+}
+
+
+/**
+ * Returns the constraints of a pattern performed with the given modifier keys on a target with the given contexts
+ **/
+function createConstraints (pattern, modifierKeys = [], contexts = ["page"]) {
+  return {
+    patternLength: patternMagnitude(pattern) / VIEWPORT_DIAGONAL * 100,
+    lengthThreshold: Defaults.Settings.Gesture.lengthThreshold,
+    modifierKeys: modifierKeys,
+    contexts: contexts
+  };
+}
+
+
+/**
+ * Returns the command name of the gesture the add-on would execute for the given candidates
+ * or null if there is no candidate or the match is ambiguous
+ **/
+function getExecutedGestureName (candidates) {
+  if (isAmbiguousMatch(candidates, MINIMUM_MARGIN)) return null;
+  return candidates[0]?.gesture.getCommand().getName() ?? null;
+}
+
+
+const Patterns = Corpus.recordings.map(recording => strokesToPattern(recording.strokes ?? [recording.points]));
+
+
+for (const algorithm of Object.keys(MINIMUM_ACCURACY)) {
+  test(`${algorithm} algorithm recognizes the corpus recordings`, (context) => {
+    const failures = [];
+
+    Corpus.recordings.forEach((recording, i) => {
+      const gesture = getClosestGestureByPattern(Patterns[i], Gestures, DEVIATION_TOLERANCE, algorithm);
+      const matchedGesture = gesture?.getCommand().getName() ?? null;
+      if (matchedGesture !== recording.gesture) {
+        failures.push(`#${i}: expected ${recording.gesture}, matched ${matchedGesture}`);
+      }
+    });
+
+    const accuracy = (1 - failures.length / Corpus.recordings.length) * 100;
+    context.diagnostic(`accuracy: ${accuracy.toFixed(1)}% (${Corpus.recordings.length - failures.length}/${Corpus.recordings.length})`);
+    for (const failure of failures) context.diagnostic(failure);
+
+    assert.ok(
+      accuracy >= MINIMUM_ACCURACY[algorithm],
+      `accuracy of ${accuracy.toFixed(1)}% is below the minimum of ${MINIMUM_ACCURACY[algorithm]}%`
+    );
+  });
+}
+
+
+for (const algorithm of Object.keys(MINIMUM_INDEX_ACCURACY)) {
+  test(`${algorithm} algorithm recognizes the corpus recordings through the gesture index`, (context) => {
+    const index = new GestureIndex(Gestures);
+    const failures = [];
+
+    Corpus.recordings.forEach((recording, i) => {
+      const constraints = createConstraints(Patterns[i]);
+      const candidates = index.getCandidates(Patterns[i], DEVIATION_TOLERANCE, algorithm, constraints);
+
+      // the skipped buckets and the early abandoning matching of the index must not change any candidate or difference
+      const plainCandidates = getGestureCandidatesByPattern(Patterns[i], Gestures, DEVIATION_TOLERANCE, algorithm, constraints);
+      assert.deepEqual(candidates, plainCandidates, `recording #${i} has different candidates`);
+
+      const matchedGesture = getExecutedGestureName(candidates);
+      if (matchedGesture !== recording.gesture) {
+        failures.push(`#${i}: expected ${recording.gesture}, matched ${matchedGesture}`);
+      }
+    });
+
+    const accuracy = (1 - failures.length / Corpus.recordings.length) * 100;
+    context.diagnostic(`accuracy: ${accuracy.toFixed(1)}% (${Corpus.recordings.length - failures.length}/${Corpus.recordings.length})`);
+    for (const failure of failures) context.diagnostic(failure);
+
+    assert.ok(
+      accuracy >= MINIMUM_INDEX_ACCURACY[algorithm],
+      `accuracy of ${accuracy.toFixed(1)}% is below the minimum of ${MINIMUM_INDEX_ACCURACY[algorithm]}%`
+    );
+  });
+}
+
+
+test("gesture index selects the modifier and context variants by the constraints", () => {
+  const index = new GestureIndex([...Gestures, ...ModifierGestures, ...ContextGestures]);
+
+  Corpus.recordings.forEach((recording, i) => {
+    if (recording.gesture === null) return;
+
+    const cases = [
+      { constraints: createConstraints(Patterns[i]), label: recording.gesture },
+      { constraints: createConstraints(Patterns[i], ["shiftKey"]), label: `shift ${recording.gesture}` },
+      { constraints: createConstraints(Patterns[i], [], ["link", "page"]), label: `link ${recording.gesture}` },
+      // the modifier key is more specific than the context
+      { constraints: createConstraints(Patterns[i], ["shiftKey"], ["link"]), label: `shift ${recording.gesture}` }
+    ];
+
+    for (const { constraints, label } of cases) {
+      const [ candidate ] = index.getCandidates(Patterns[i], DEVIATION_TOLERANCE, "combined", constraints);
+      // recordings that are not recognized at all are already reported by the accuracy tests
+      if (!candidate) continue;
+      const matchedLabel = candidate.gesture.getLabel() || candidate.gesture.getCommand().getName();
+      assert.equal(matchedLabel, label, `recording #${i} with ${JSON.stringify(constraints.modifierKeys)} and ${JSON.stringify(constraints.contexts)}`);
+    }
+  });
+});
+
+
+test("more specific gestures only take precedence over equivalent or worse matching gestures", () => {
+  const rotatePattern = (pattern, angle) => pattern.map(([x, y]) => [
+    Math.round(x * Math.cos(angle) - y * Math.sin(angle)),
+    Math.round(x * Math.sin(angle) + y * Math.cos(angle))
+  ]);
+  const plainGesture = new Gesture({ pattern: [[100, 0]], command: { name: "PageForth" } });
+  // drawn slightly differently than the plain gesture, so it is a variant of the same stroke
+  const modifierGesture = new Gesture({ pattern: rotatePattern([[100, 0]], 0.1), command: { name: "NewWindow" }, modifierKey: "shiftKey" });
+  // a different stroke (with a hook at the end) that still matches the pattern of the plain gesture loosely
+  const contextGesture = new Gesture({ pattern: [[100, 0], [0, 35]], command: { name: "OpenLinkInNewTab" }, contexts: ["link"] });
+  const gestures = [plainGesture, modifierGesture, contextGesture];
+  const index = new GestureIndex(gestures);
+  const pattern = [[100, 0]];
+
+  for (const algorithm of Object.keys(MINIMUM_ACCURACY)) {
+    const modifierConstraints = createConstraints(pattern, ["shiftKey"]);
+    assert.equal(index.getCandidates(pattern, DEVIATION_TOLERANCE, algorithm, modifierConstraints)[0]?.gesture, modifierGesture, algorithm);
+    assert.equal(getClosestGestureByPattern(pattern, gestures, DEVIATION_TOLERANCE, algorithm, modifierConstraints), modifierGesture, algorithm);
+
+    const contextConstraints = createConstraints(pattern, [], ["link"]);
+    assert.equal(index.getCandidates(pattern, DEVIATION_TOLERANCE, algorithm, contextConstraints)[0]?.gesture, plainGesture, algorithm);
+    assert.equal(getClosestGestureByPattern(pattern, gestures, DEVIATION_TOLERANCE, algorithm, contextConstraints), plainGesture, algorithm);
+  }
+});
+
+
+test("the gaps between the strokes do not count as drawn lines", () => {
+  for (const { pattern } of Corpus.multiStrokeGestures) {
+    // the same gesture with the strokes placed further apart
+    const widerPattern = pattern.map(vector => vector.length > 2 ? [vector[0] * 3, vector[1] * 3, vector[2]] : vector);
+    const descriptor = describePattern(pattern);
+    const widerDescriptor = describePattern(widerPattern);
+    assert.deepEqual(widerDescriptor.magnitudes, descriptor.magnitudes);
+    assert.equal(widerDescriptor.totalMagnitude, descriptor.totalMagnitude);
+    assert.equal(patternSimilarityByProportion(pattern, widerPattern), 0);
+  }
+
+  // the template points of two parallel lines only lie on the lines and not on the gap between them
+  const { templatePoints } = describePattern([[200, 0], [-200, 100, 1], [200, 0]]);
+  const lineYs = new Set(templatePoints.map(point => point[1].toFixed(6)));
+  assert.equal(lineYs.size, 2);
+});
+
+
+test("gesture index rejects ambiguous matches", () => {
+  // every gesture exists twice with different commands so no recording can be matched unambiguously
+  const duplicateGestures = CorpusGestures.map(gesture => new Gesture({ ...gesture, command: { name: "NewWindow" } }));
+  const index = new GestureIndex([...Gestures, ...duplicateGestures]);
+
+  Corpus.recordings.forEach((recording, i) => {
+    const candidates = index.getCandidates(Patterns[i], DEVIATION_TOLERANCE, "combined", createConstraints(Patterns[i]));
+    assert.equal(getExecutedGestureName(candidates), null, `recording #${i} was matched despite its duplicate`);
+  });
+});
+
+
+test("every recording results in a pattern", () => {
+  Patterns.forEach((pattern, i) => {
+    assert.ok(pattern.length > 0, `recording #${i} did not result in a pattern`);
+  });
+});
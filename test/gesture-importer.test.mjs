@@ -0,0 +1,103 @@
+import test from "node:test";
+
+import assert from "node:assert/strict";
+
+import { readFileSync } from "node:fs";
+
+import { importExternalGestures } from "/core/utils/gesture-importer.mjs";
+
+
+/**
+ * Converts the sample configurations of other gesture add-ons in fixtures/external
+ * and checks the detected format, the converted gestures and the reported mappings that could not be converted
+ **/
+
+const CommandItems = JSON.parse(readFileSync(new URL("../src/resources/json/commands.json", import.meta.url)));
+
+function loadFixture (name) {
+  return JSON.parse(readFileSync(new URL(`./fixtures/external/${name}`, import.meta.url)));
+}
+
+/**
+ * Returns the converted gestures as pairs of the pattern and the command name
+ **/
+function getGesturePairs (gestures) {
+  return gestures.map(gesture => [gesture.pattern, gesture.command.name]);
+}
+
+
+test("Foxy Gestures configurations are converted", () => {
+  const result = importExternalGestures(loadFixture("foxy-gestures.json"), CommandItems);
+
+  assert.equal(result.format, "Foxy Gestures");
+  assert.deepEqual(getGesturePairs(result.gestures), [
+    [[[-1, 0]], "PageBack"],
+    [[[1, 0]], "PageForth"],
+    [[[0, 1], [1, 0]], "CloseTab"],
+    [[[0, -1], [0, 1]], "ReloadTab"],
+    [[[0, 1], [0, -1]], "OpenLinkInNewTab"]
+  ]);
+  assert.deepEqual(result.unmapped, [
+    { directions: "RL", action: "showOnlyThisFrame", reason: "action" },
+    { directions: "LDR", action: undefined, reason: "action" }
+  ]);
+});
+
+
+test("smartUp configurations are converted", () => {
+  const result = importExternalGestures(loadFixture("smartup.json"), CommandItems);
+
+  assert.equal(result.format, "smartUp");
+  assert.deepEqual(getGesturePairs(result.gestures), [
+    [[[-1, 0]], "PageBack"],
+    [[[1, 0]], "PageForth"],
+    [[[0, 1], [1, 0]], "CloseTab"],
+    [[[0, -1], [-1, 0]], "TogglePin"]
+  ]);
+  assert.deepEqual(result.unmapped, [
+    { directions: "LU", action: "copytabtitle", reason: "action" },
+    { directions: "9", action: "reload", reason: "directions" }
+  ]);
+
+  // the configuration is also accepted without the surrounding config object
+  assert.equal(importExternalGestures(loadFixture("smartup.json").config, CommandItems)?.format, "smartUp");
+});
+
+
+test("FireGestures configurations are converted", () => {
+  const result = importExternalGestures(loadFixture("firegestures.json"), CommandItems);
+
+  assert.equal(result.format, "FireGestures");
+  assert.deepEqual(getGesturePairs(result.gestures), [
+    [[[-1, 0]], "PageBack"],
+    [[[1, 0]], "PageForth"],
+    [[[0, -1], [0, 1]], "ReloadTab"],
+    [[[0, 1], [1, 0]], "CloseTab"],
+    [[[0, 1], [0, -1]], "OpenLinkInNewTab"]
+  ]);
+  assert.deepEqual(result.unmapped, [
+    { directions: "DRU", action: "FireGestures:HybridSaveImage", reason: "action" },
+    { directions: "W+", action: "FireGestures:NextTab", reason: "directions" }
+  ]);
+});
+
+
+test("converted gestures get the default settings of their command", () => {
+  const result = importExternalGestures(loadFixture("foxy-gestures.json"), CommandItems);
+  const closeTabItem = CommandItems.find(item => item.command === "CloseTab");
+
+  assert.deepEqual(result.gestures.find(gesture => gesture.command.name === "CloseTab").command.settings, closeTabItem.settings);
+  assert.equal(result.gestures.find(gesture => gesture.command.name === "PageBack").command.hasOwnProperty("settings"), false);
+});
+
+
+test("unknown configurations are rejected", () => {
+  assert.equal(importExternalGestures(null, CommandItems), null);
+  assert.equal(importExternalGestures("L", CommandItems), null);
+  assert.equal(importExternalGestures([], CommandItems), null);
+  assert.equal(importExternalGestures({ mouseMappings: [] }, CommandItems), null);
+  // a Gesturefy backup is no external configuration
+  assert.equal(importExternalGestures({ Gestures: [{ pattern: [[1, 0]], command: { name: "PageBack" } }] }, CommandItems), null);
+  // Foxy Gestures mappings without the nested mapping object
+  assert.equal(importExternalGestures({ mouseMappings: [{ gesture: "L", command: "historyBack" }] }, CommandItems), null);
+});
@@ -0,0 +1,137 @@
+import test from "node:test";
+
+import assert from "node:assert/strict";
+
+import { getURLPatternType, urlPatternToRegExp, matchesURLPattern } from "/core/utils/commons.mjs";
+
+import Exclusion from "/core/models/exclusion.mjs";
+
+import SiteRule from "/core/models/site-rule.mjs";
+
+
+/**
+ * Checks the url pattern syntaxes of the exclusions and site rules
+ * Every case consists of the url pattern, the url and whether the url is expected to match
+ **/
+
+const WILDCARD_CASES = [
+  ["https://example.com/*", "https://example.com/", true],
+  ["https://example.com/*", "https://example.com/page?query=1#top", true],
+  ["https://example.com/*", "https://example.com:8080/page", false],
+  ["https://example.com/*", "http://example.com/", false],
+  ["https://example.com/", "https://example.com/", true],
+  ["https://example.com/", "https://example.com/#top", false],
+  ["*://*.example.com/*", "https://www.example.com/", true],
+  ["*://*.example.com/*", "https://example.com/", false],
+  ["*://*", "file:///home/user/index.html", true],
+  ["*example*", "https://www.example.org/", true],
+  ["/path/", "/path/", true],
+  ["https://example.com/(a|b)", "https://example.com/a", false],
+  ["https://example.com/(a|b)", "https://example.com/(a|b)", true]
+];
+
+const MATCH_PATTERN_CASES = [
+  ["*://*.example.com/*", "https://www.example.com/page", true],
+  ["*://*.example.com/*", "https://example.com/", true],
+  ["*://*.example.com/*", "http://sub.www.example.com/", true],
+  ["*://*.example.com/*", "https://notexample.com/", false],
+  ["*://*.example.com/*", "file:///example.com/", false],
+  ["*://*/*", "wss://example.com/socket", true],
+  ["*://*/*", "ftp://example.com/", false],
+  ["https://example.com/", "https://example.com:8080/", true],
+  ["https://example.com/", "https://example.com/#top", true],
+  ["https://example.com/", "https://example.com/page", false],
+  ["file:///home/*", "file:///home/user/index.html", true],
+  ["<all_urls>", "file:///home/user/index.html", true],
+  ["<all_urls>", "about:blank", false]
+];
+
+const REGEX_CASES = [
+  ["/example\\.(com|org)/", "https://www.example.org/", true],
+  ["/example\\.(com|org)/", "https://www.example.net/", false],
+  ["/^https:\\/\\/example\\.com\\/$/", "https://example.com/", true],
+  ["/^https:\\/\\/example\\.com\\/$/", "https://example.com/page", false],
+  ["/EXAMPLE/i", "https://example.com/", true],
+  ["/EXAMPLE/", "https://example.com/", false]
+];
+
+
+test("url pattern syntax is detected for new patterns", () => {
+  assert.equal(getURLPatternType("/example\\.com/i"), "regex");
+  assert.equal(getURLPatternType("*://*.example.com/*"), "match-pattern");
+  assert.equal(getURLPatternType("file:///home/*"), "match-pattern");
+  assert.equal(getURLPatternType("<all_urls>"), "match-pattern");
+  assert.equal(getURLPatternType("https://*.example.com*"), "wildcard");
+  assert.equal(getURLPatternType("*example*"), "wildcard");
+});
+
+
+test("wildcard patterns match the whole url", () => {
+  for (const [urlPattern, url, expected] of WILDCARD_CASES) {
+    assert.equal(matchesURLPattern(urlPattern, url, "wildcard"), expected, `${urlPattern} ${url}`);
+  }
+});
+
+
+test("match patterns follow the WebExtension rules", () => {
+  for (const [urlPattern, url, expected] of MATCH_PATTERN_CASES) {
+    assert.equal(matchesURLPattern(urlPattern, url, "match-pattern"), expected, `${urlPattern} ${url}`);
+  }
+});
+
+
+test("regular expressions are used as they are", () => {
+  for (const [urlPattern, url, expected] of REGEX_CASES) {
+    assert.equal(matchesURLPattern(urlPattern, url, "regex"), expected, `${urlPattern} ${url}`);
+  }
+});
+
+
+test("invalid patterns throw and never match", () => {
+  assert.throws(() => urlPatternToRegExp("/example(/", "regex"));
+  assert.throws(() => urlPatternToRegExp("example", "regex"));
+  assert.throws(() => urlPatternToRegExp("*example*", "match-pattern"));
+  assert.equal(matchesURLPattern("/example(/", "https://example(/", "regex"), false);
+});
+
+
+test("stored patterns without a syntax keep their wildcard meaning", () => {
+  const url = "https://example.com/";
+  // patterns of older versions which look like match patterns or regular expressions
+  assert.equal(matchesURLPattern("*://*.example.com/*", url), false);
+  assert.equal(matchesURLPattern("/example/", url), false);
+
+  for (const urlPattern of ["*://*.example.com/*", "/example/"]) {
+    const exclusion = new Exclusion({ urlPattern: urlPattern });
+    assert.equal(exclusion.getURLPatternType(), "wildcard");
+    assert.equal(exclusion.matchesURL(url), false);
+    assert.deepEqual(exclusion.toJSON(), { urlPattern: urlPattern });
+
+    // exclusions of the oldest versions only consist of the url pattern string
+    assert.equal(new Exclusion(urlPattern).getURLPatternType(), "wildcard");
+
+    const siteRule = new SiteRule({ urlPattern: urlPattern });
+    assert.equal(siteRule.getURLPatternType(), "wildcard");
+    assert.equal(siteRule.matchesURL(url), false);
+  }
+});
+
+
+test("the syntax of a pattern is stored and restored", () => {
+  const url = "https://example.com/";
+  for (const urlPattern of ["*://*.example.com/*", "/example/"]) {
+    const exclusion = new Exclusion(urlPattern);
+          exclusion.setURLPatternType(getURLPatternType(urlPattern));
+    const restoredExclusion = new Exclusion(JSON.parse(JSON.stringify(exclusion)));
+    assert.equal(restoredExclusion.getURLPatternType(), getURLPatternType(urlPattern));
+    assert.equal(restoredExclusion.matchesURL(url), true);
+
+    const siteRule = new SiteRule(urlPattern);
+          siteRule.setURLPatternType(getURLPatternType(urlPattern));
+    const restoredSiteRule = new SiteRule(JSON.parse(JSON.stringify(siteRule)));
+    assert.equal(restoredSiteRule.getURLPatternType(), getURLPatternType(urlPattern));
+    assert.equal(restoredSiteRule.matchesURL(url), true);
+  }
+
+  assert.throws(() => new Exclusion("*").setURLPatternType("glob"));
+});
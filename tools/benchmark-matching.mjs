@@ -0,0 +1,150 @@
+import { performance } from "node:perf_hooks";
+
+import Gesture from "/core/models/gesture.mjs";
+
+import Command from "/core/models/command.mjs";
+
+import GestureIndex from "/core/utils/gesture-index.mjs";
+
+import { getClosestGestureByPattern as getBaselineGestureByPattern } from "./baseline-matching.mjs";
+
+
+/**
+ * Compares the gesture matching from before the pre-computed gesture index (see baseline-matching.mjs) with the gesture index on synthetic gesture sets
+ * For every algorithm the average time per pattern and the agreement of the best matching gesture is reported
+ * The template algorithm is not compared because it did not exist in the baseline
+ * Usage: node --experimental-loader ./tools/module-loader.mjs tools/benchmark-matching.mjs
+ **/
+
+const GESTURE_SET_SIZES = [10, 50, 100, 200, 500];
+
+const ALGORITHMS = ["combined", "shape-independent", "strict"];
+
+const QUERY_COUNT = 200;
+
+const DEVIATION_TOLERANCE = 0.15;
+
+// fixed seed so the results are reproducible
+const SEED = 0x6765737475726566;
+
+
+/**
+ * Mulberry32 pseudo random number generator
+ **/
+function createRandom (seed) {
+  return () => {
+    seed |= 0;
+    seed = seed + 0x6D2B79F5 | 0;
+    let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+
+/**
+ * Creates a random pattern consisting of 2 to 12 vectors in one of the 8 main directions
+ **/
+function createPattern (random) {
+  const vectorCount = 2 + Math.floor(random() * 11);
+  const pattern = [];
+  let previousDirection = null;
+  while (pattern.length < vectorCount) {
+    const direction = Math.floor(random() * 8);
+    if (direction === previousDirection) continue;
+    const angle = direction * Math.PI / 4;
+    const magnitude = 20 + random() * 180;
+    pattern.push([ Math.round(Math.sin(angle) * magnitude), Math.round(Math.cos(angle) * magnitude) ]);
+    previousDirection = direction;
+  }
+  return pattern;
+}
+
+
+/**
+ * Creates a noisy copy of the given pattern similar to a pattern drawn by the user
+ * Vector directions and magnitudes are slightly changed and vectors are randomly split
+ **/
+function distortPattern (pattern, random) {
+  const distortedPattern = [];
+  for (const [x, y] of pattern) {
+    const angle = Math.atan2(x, y) + (random() - 0.5) * Math.PI / 8;
+    const magnitude = Math.hypot(x, y) * (0.7 + random() * 0.6);
+    const parts = random() < 0.25 ? 2 : 1;
+    for (let i = 0; i < parts; i++) {
+      const partAngle = angle + (random() - 0.5) * Math.PI / 16;
+      distortedPattern.push([
+        Math.round(Math.sin(partAngle) * magnitude / parts),
+        Math.round(Math.cos(partAngle) * magnitude / parts)
+      ]);
+    }
+  }
+  return distortedPattern;
+}
+
+
+/**
+ * Creates queries based on random gestures of the set
+ * Half of the queries are incomplete to simulate the live matching while the gesture is performed
+ **/
+function createQueries (gestures, count, random) {
+  const queries = [];
+  for (let i = 0; i < count; i++) {
+    const gesture = gestures[Math.floor(random() * gestures.length)];
+    let pattern = distortPattern(gesture.getPattern(), random);
+    if (i % 2 === 1) pattern = pattern.slice(0, 1 + Math.floor(random() * pattern.length));
+    queries.push(pattern);
+  }
+  return queries;
+}
+
+
+/**
+ * Runs all queries with the given matcher function which returns the best matching gesture or null
+ * Returns the average duration per query in milliseconds and the best matching gesture of every query
+ **/
+function measure (queries, matcher) {
+  const results = [];
+  const start = performance.now();
+  for (const pattern of queries) {
+    results.push(matcher(pattern));
+  }
+  return {
+    duration: (performance.now() - start) / queries.length,
+    results: results
+  };
+}
+
+
+const random = createRandom(SEED);
+const rows = [];
+
+for (const size of GESTURE_SET_SIZES) {
+  const gestures = Array.from({ length: size }, (value, i) => {
+    return new Gesture(createPattern(random), new Command({ name: "ReloadTab" }), `Gesture ${i}`);
+  });
+  const queries = createQueries(gestures, QUERY_COUNT, random);
+
+  const indexStart = performance.now();
+  const index = new GestureIndex(gestures);
+  const indexDuration = performance.now() - indexStart;
+
+  for (const algorithm of ALGORITHMS) {
+    const baseline = measure(queries, pattern => getBaselineGestureByPattern(pattern, gestures, DEVIATION_TOLERANCE, algorithm));
+    const indexed = measure(queries, pattern => index.getCandidates(pattern, DEVIATION_TOLERANCE, algorithm)[0]?.gesture ?? null);
+
+    const agreements = baseline.results.filter((gesture, i) => gesture === indexed.results[i]).length;
+
+    rows.push({
+      "gestures": size,
+      "algorithm": algorithm,
+      "index build (ms)": indexDuration.toFixed(2),
+      "baseline (ms/query)": baseline.duration.toFixed(3),
+      "indexed (ms/query)": indexed.duration.toFixed(3),
+      "speedup": (baseline.duration / indexed.duration).toFixed(1) + "x",
+      "agreement": (agreements / queries.length * 100).toFixed(1) + "%"
+    });
+  }
+}
+
+console.table(rows);
@@ -0,0 +1,230 @@
+import { readFileSync, writeFileSync, existsSync } from "node:fs";
+
+
+/**
+ * Generates the synthetic recordings of the gesture corpus (test/fixtures/gesture-corpus.json)
+ * Every default gesture pattern is turned into mouse traces with random size, rotation, speed and hand jitter
+ * Additionally some patterns that should not match any default gesture are added
+ * Multi-stroke gestures are added to the corpus together with their traces, which consist of one point array per stroke
+ * The random generator uses a fixed seed so the same corpus is produced on every run
+ * Recordings of real mouse movements ("source": "recorded") in an existing corpus file are kept
+ * Usage: node tools/generate-gesture-corpus.mjs [output file]
+ **/
+
+const DEFAULTS_FILE = new URL("../src/resources/json/defaults.json", import.meta.url);
+
+const OUTPUT_FILE = process.argv[2] ?? new URL("../test/fixtures/gesture-corpus.json", import.meta.url);
+
+const DESCRIPTION = "Mouse traces labelled with the command name of the expected default or multi-stroke gesture or null if no gesture should match. Traces of multiple strokes contain one point array per stroke. Traces marked as synthetic were generated from the gesture patterns with random size, rotation, speed and hand jitter.";
+
+// number of traces generated for each default gesture
+const TRACES_PER_GESTURE = 8;
+
+// number of traces generated for each pattern that should not match
+const TRACES_PER_NEGATIVE_PATTERN = 2;
+
+// patterns that should not be recognized as any default gesture
+const NEGATIVE_PATTERNS = [
+  [[0, 200], [200, 0]],
+  [[200, 0], [0, 200]],
+  [[0, -200], [-200, 0]],
+  [[100, 100], [100, -100], [100, 100]],
+  [[200, 0], [0, 200], [-200, 0], [0, -200]],
+  [[0, 200], [200, 0], [0, -200]]
+];
+
+// multi-stroke gestures which are matched in addition to the default gestures, the strokes are separated by pen-up vectors
+// the pen-up vectors are marked by a third element like in the add-on
+const MULTI_STROKE_GESTURES = [
+  { pattern: [[200, 200], [0, -200, 1], [-200, 200]], command: { name: "RestoreTab" } },
+  { pattern: [[200, 0], [-200, 100, 1], [200, 0]], command: { name: "NewWindow" } },
+  { pattern: [[0, 200], [100, -200, 1], [0, 200]], command: { name: "CloseWindow" } },
+  { pattern: [[200, 0], [-100, 0, 1], [0, 200]], command: { name: "TogglePin" } }
+];
+
+// number of traces generated for each multi-stroke gesture
+const TRACES_PER_MULTI_STROKE_GESTURE = 4;
+
+// multi-stroke patterns that should not be recognized as any gesture
+const NEGATIVE_MULTI_STROKE_PATTERNS = [
+  [[0, 200], [-100, -100, 1], [200, 0]],
+  [[200, 0], [-200, 100, 1], [200, 0], [-200, 100, 1], [200, 0]]
+];
+
+// fixed seed so the corpus is reproducible
+const SEED = 20240611;
+
+
+/**
+ * Mulberry32 pseudo random number generator
+ **/
+function createRandom (seed) {
+  return () => {
+    seed |= 0;
+    seed = seed + 0x6D2B79F5 | 0;
+    let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+
+const random = createRandom(SEED);
+
+/**
+ * Returns a random number in the range of [min, max)
+ **/
+function between (min, max) {
+  return min + random() * (max - min);
+}
+
+
+/**
+ * Converts the given pattern to a mouse trace as an array of strokes, each an array of [x, y] client coordinates
+ * The pattern is scaled to a random size, slightly rotated and distorted,
+ * sampled with a varying speed (slow at the start and end), smoothed at its corners and overlaid with hand jitter
+ * The gaps between the strokes of multi-stroke patterns additionally vary in size
+ **/
+function createTrace (pattern) {
+  // absolute points of the pattern and the indices of the points that start a new stroke
+  let points = [[0, 0]];
+  const strokeStarts = [0];
+  for (const vector of pattern) {
+    const isPenUp = vector.length > 2;
+    const gapScale = isPenUp ? between(0.8, 1.2) : 1;
+    points.push([points.at(-1)[0] + vector[0] * gapScale, points.at(-1)[1] + vector[1] * gapScale]);
+    if (isPenUp) strokeStarts.push(points.length - 1);
+  }
+
+  const xs = points.map(point => point[0]);
+  const ys = points.map(point => point[1]);
+  const side = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)) || 1;
+  const size = between(120, 550);
+  const angle = between(-0.12, 0.12);
+  const scaleX = between(0.85, 1.15) * size / side;
+  const scaleY = between(0.85, 1.15) * size / side;
+  points = points
+    .map(([x, y]) => [x * scaleX, y * scaleY])
+    .map(([x, y]) => [x * Math.cos(angle) - y * Math.sin(angle), x * Math.sin(angle) + y * Math.cos(angle)]);
+
+  const baseStep = between(4, 11);
+  const strokes = strokeStarts.map((start, i) => points.slice(start, strokeStarts[i + 1]));
+  const smoothedStrokes = strokes.map(stroke => smoothSamples(sampleStroke(stroke, baseStep)));
+
+  // hand jitter as smoothed random walk
+  let jitterX = 0, jitterY = 0;
+  const offsetX = Math.round(between(300, 900));
+  const offsetY = Math.round(between(250, 550));
+  return smoothedStrokes.map(smoothedSamples => smoothedSamples.map(([x, y]) => {
+    jitterX = jitterX * 0.7 + between(-1.5, 1.5);
+    jitterY = jitterY * 0.7 + between(-1.5, 1.5);
+    return [Math.round(x + jitterX + offsetX), Math.round(y + jitterY + offsetY)];
+  }));
+}
+
+
+/**
+ * Samples the lines between the given points of a stroke with a varying speed (slow at the start and end)
+ **/
+function sampleStroke (points, baseStep) {
+  const segmentLengths = [];
+  let totalLength = 0;
+  for (let i = 1; i < points.length; i++) {
+    const length = Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+    segmentLengths.push(length);
+    totalLength += length;
+  }
+  const samples = [];
+  let distance = 0;
+  while (distance < totalLength) {
+    let rest = distance, i = 0;
+    while (i < segmentLengths.length - 1 && rest > segmentLengths[i]) {
+      rest -= segmentLengths[i];
+      i++;
+    }
+    const t = segmentLengths[i] ? Math.min(rest / segmentLengths[i], 1) : 0;
+    samples.push([
+      points[i][0] + (points[i + 1][0] - points[i][0]) * t,
+      points[i][1] + (points[i + 1][1] - points[i][1]) * t
+    ]);
+    const progress = distance / totalLength;
+    distance += baseStep * (0.4 + Math.sin(Math.PI * progress)) * between(0.7, 1.3);
+  }
+  samples.push(points.at(-1));
+  return samples;
+}
+
+
+/**
+ * Rounds the corners of the given samples by a moving average
+ **/
+function smoothSamples (samples) {
+  return samples.map((sample, i) => {
+    const window = samples.slice(Math.max(0, i - 2), i + 3);
+    return [
+      window.reduce((sum, point) => sum + point[0], 0) / window.length,
+      window.reduce((sum, point) => sum + point[1], 0) / window.length
+    ];
+  });
+}
+
+
+/**
+ * Creates a recording of the given pattern
+ * Traces of a single stroke are stored as "points", traces of multiple strokes as "strokes"
+ **/
+function createRecording (gesture, pattern) {
+  const strokes = createTrace(pattern);
+  return strokes.length === 1
+    ? { gesture: gesture, source: "synthetic", points: strokes[0] }
+    : { gesture: gesture, source: "synthetic", strokes: strokes };
+}
+
+
+/**
+ * Formats the corpus with one recording per line so changes stay readable in diffs
+ **/
+function formatCorpus (recordings) {
+  const formatLine = value => "    " + JSON.stringify(value).replace(/,"/g, ', "').replace(/":/g, '": ');
+  const gestureLines = MULTI_STROKE_GESTURES.map(formatLine);
+  const lines = recordings.map(formatLine);
+  return `{\n  "description": ${JSON.stringify(DESCRIPTION)},\n  "multiStrokeGestures": [\n${gestureLines.join(",\n")}\n  ],\n  "recordings": [\n${lines.join(",\n")}\n  ]\n}\n`;
+}
+
+
+const Defaults = JSON.parse(readFileSync(DEFAULTS_FILE, "utf8"));
+
+const recordings = [];
+
+for (const gesture of Defaults.Gestures) {
+  for (let i = 0; i < TRACES_PER_GESTURE; i++) {
+    recordings.push(createRecording(gesture.command.name, gesture.pattern));
+  }
+}
+
+for (const pattern of NEGATIVE_PATTERNS) {
+  for (let i = 0; i < TRACES_PER_NEGATIVE_PATTERN; i++) {
+    recordings.push(createRecording(null, pattern));
+  }
+}
+
+for (const gesture of MULTI_STROKE_GESTURES) {
+  for (let i = 0; i < TRACES_PER_MULTI_STROKE_GESTURE; i++) {
+    recordings.push(createRecording(gesture.command.name, gesture.pattern));
+  }
+}
+
+for (const pattern of NEGATIVE_MULTI_STROKE_PATTERNS) {
+  for (let i = 0; i < TRACES_PER_NEGATIVE_PATTERN; i++) {
+    recordings.push(createRecording(null, pattern));
+  }
+}
+
+// keep the real recordings of the existing corpus
+if (existsSync(OUTPUT_FILE)) {
+  const Corpus = JSON.parse(readFileSync(OUTPUT_FILE, "utf8"));
+  recordings.push(...Corpus.recordings.filter(recording => recording.source === "recorded"));
+}
+
+writeFileSync(OUTPUT_FILE, formatCorpus(recordings));
+console.log(`${recordings.length} recordings written`);
@@ -0,0 +1,19 @@
+import { pathToFileURL, fileURLToPath } from "node:url";
+import { resolve as resolvePath, dirname } from "node:path";
+
+// the extension resolves absolute module paths relative to the src directory
+const SOURCE_DIRECTORY = resolvePath(dirname(fileURLToPath(import.meta.url)), "../src");
+
+const SOURCE_PREFIXES = ["/core/", "/views/", "/resources/"];
+
+
+/**
+ * Node module resolve hook which maps the absolute imports used by the extension to the src directory
+ * Usage: node --experimental-loader ./tools/module-loader.mjs <script>
+ **/
+export async function resolve (specifier, context, nextResolve) {
+  if (SOURCE_PREFIXES.some(prefix => specifier.startsWith(prefix))) {
+    return nextResolve(pathToFileURL(SOURCE_DIRECTORY + specifier).href, context);
+  }
+  return nextResolve(specifier, context);
+}